@@ -2,8 +2,8 @@
 /**
  * Block Master/Main Branch Commits Hook
  *
- * Prevents direct commits to protected branches (main, master, production, develop).
- * Only allows commits on feature branches.
+ * Prevents direct commits to protected branches (main, master, production, develop
+ * by default). Only allows commits on feature branches.
  *
  * Usage:
  *   Automatically triggered by Claude Code hooks system when:
@@ -11,17 +11,16 @@
  *   - Matcher: Bash
  *   - Pattern: "git commit" | "git push" | "git merge"
  *
- * Exit codes:
- *   0 - Allow (on feature branch)
- *   2 - Block (on protected branch) - exit code 2 blocks and provides feedback
+ * Output:
+ *   Nothing on a feature branch; a PreToolUse deny decision on a protected
+ *   branch, which blocks the command and tells Claude why
+ *
+ * Configuration (.claude/aai-hooks.json, see lib/hook-config.cjs):
+ *   protectedBranches - Branch names (PROTECTED_BRANCHES=a,b overrides)
  */
 
 const { execSync } = require('child_process');
-
-// Protected branch patterns - configurable via environment
-const PROTECTED_BRANCHES = (process.env.PROTECTED_BRANCHES || 'main,master,production,develop')
-  .split(',')
-  .map(b => b.trim().toLowerCase());
+const { runHook, pass, deny } = require('./lib/hook-runtime.cjs');
 
 /**
  * Get current git branch name
@@ -41,70 +40,37 @@ function getCurrentBranch(cwd) {
 /**
  * Check if branch is protected
  */
-function isProtectedBranch(branchName) {
+function isProtectedBranch(branchName, protectedBranches) {
   if (!branchName) return false;
   const lowerBranch = branchName.toLowerCase();
-  return PROTECTED_BRANCHES.some(
+  return protectedBranches.map(b => b.toLowerCase()).some(
     (protected) => lowerBranch === protected || lowerBranch === `origin/${protected}`
   );
 }
 
-/**
- * Read stdin for hook context
- */
-async function readStdin() {
-  return new Promise((resolve) => {
-    let data = '';
-    process.stdin.setEncoding('utf8');
-    process.stdin.on('readable', () => {
-      let chunk;
-      while ((chunk = process.stdin.read()) !== null) {
-        data += chunk;
-      }
-    });
-    process.stdin.on('end', () => {
-      resolve(data);
-    });
-    setTimeout(() => resolve(data), 100);
-  });
-}
-
 /**
  * Main hook function
  */
-async function main() {
-  const stdinData = await readStdin();
-  let context = {};
-
-  if (stdinData.trim()) {
-    try {
-      context = JSON.parse(stdinData);
-    } catch {
-      // Use default context
-    }
-  }
-
-  const command = context?.tool_input?.command || '';
-  const cwd = context?.cwd || process.cwd();
+function main(input, { protectedBranches }) {
+  const command = input.tool_input?.command || '';
 
   // Only check git commands
   if (!command.match(/git\s+(commit|push|merge)/)) {
-    process.exit(0);
+    return pass();
   }
 
   // Get current branch
-  const currentBranch = getCurrentBranch(cwd);
+  const currentBranch = getCurrentBranch(input.cwd);
 
   if (!currentBranch) {
     // Can't determine branch - allow but warn
     console.error('[block-master] Warning: Could not determine current branch');
-    process.exit(0);
+    return pass();
   }
 
   // Check if on protected branch
-  if (isProtectedBranch(currentBranch)) {
-    const message = `
-⛔ BLOCKED: Cannot operate directly on '${currentBranch}'
+  if (isProtectedBranch(currentBranch, protectedBranches)) {
+    return deny(`⛔ BLOCKED: Cannot operate directly on '${currentBranch}'
 
 This is a protected branch. Direct commits/pushes/merges are not allowed.
 
@@ -116,16 +82,11 @@ REQUIRED: Create a feature branch first:
 
 Then make your changes on the feature branch.
 
-Protected branches: ${PROTECTED_BRANCHES.join(', ')}
-`;
-
-    console.error(message);
-    // Exit code 2 blocks the operation and sends feedback to Claude
-    process.exit(2);
+Protected branches: ${protectedBranches.join(', ')}`);
   }
 
   // On feature branch - allow
-  process.exit(0);
+  return pass();
 }
 
-main();
+runHook('block-master-commits', { events: ['PreToolUse'] }, main);
@@ -7,105 +7,55 @@
  *
  * Usage:
  *   Automatically triggered by Claude Code hooks system when:
- *   - Tool: Bash
+ *   - Event: PreToolUse
+ *   - Matcher: Bash
  *   - Pattern: "npm " (note the space to avoid matching "pnpm")
  *
- * Exit codes:
- *   0 - Allow (npm is correct or not a package management command)
- *   2 - Block (wrong package manager detected)
+ * Output:
+ *   Nothing when npm is correct or the command doesn't manage packages; a
+ *   PreToolUse deny decision naming the right package manager otherwise
  */
 
 const fs = require('fs');
+const path = require('path');
+const { runHook, pass, deny } = require('./lib/hook-runtime.cjs');
 
-/**
- * Read stdin for hook input
- */
-function readStdin() {
-  return new Promise((resolve) => {
-    let data = '';
-    process.stdin.setEncoding('utf8');
-    process.stdin.on('readable', () => {
-      let chunk;
-      while ((chunk = process.stdin.read()) !== null) {
-        data += chunk;
-      }
-    });
-    process.stdin.on('end', () => {
-      resolve(data);
-    });
-    setTimeout(() => resolve(data), 100);
-  });
-}
+// Lock file → package manager, in detection order
+const LOCK_FILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun']
+];
 
 /**
  * Main hook execution
  */
-async function main() {
-  try {
-    const stdinData = await readStdin();
-    let command = '';
-
-    try {
-      const input = JSON.parse(stdinData);
-      command = input.tool_input?.command || '';
-    } catch {
-      command = stdinData || '';
-    }
-
-    // Check if this is an npm command (but not npx which is fine)
-    const isNpmCommand = /\bnpm\s+(install|i|add|remove|rm|uninstall|run|test|start|build|ci)\b/.test(command);
-
-    if (!isNpmCommand) {
-      // Not an npm package management command, allow
-      process.exit(0);
-    }
+function main(input) {
+  const command = input.tool_input?.command || '';
 
-    // Check if using npm when pnpm is the project's package manager
-    if (fs.existsSync('pnpm-lock.yaml')) {
-      console.error(`⛔ BLOCKED: This project uses pnpm (pnpm-lock.yaml exists).
+  // Check if this is an npm command (but not npx which is fine)
+  const isNpmCommand = /\bnpm\s+(install|i|add|remove|rm|uninstall|run|test|start|build|ci)\b/.test(command);
 
-Use pnpm instead of npm:
-  npm install  → pnpm install
-  npm test     → pnpm test
-  npm run X    → pnpm X
-  npm i pkg    → pnpm add pkg
-`);
-      process.exit(2);
-    }
-
-    // Check if using npm when yarn is the package manager
-    if (fs.existsSync('yarn.lock')) {
-      console.error(`⛔ BLOCKED: This project uses yarn (yarn.lock exists).
-
-Use yarn instead of npm:
-  npm install  → yarn install
-  npm test     → yarn test
-  npm run X    → yarn X
-  npm i pkg    → yarn add pkg
-`);
-      process.exit(2);
-    }
+  if (!isNpmCommand) {
+    // Not an npm package management command, allow
+    return pass();
+  }
 
-    // Check if using npm when bun is the package manager
-    if (fs.existsSync('bun.lockb')) {
-      console.error(`⛔ BLOCKED: This project uses bun (bun.lockb exists).
+  // Check if using npm when another package manager owns the lock file
+  for (const [lockFile, manager] of LOCK_FILES) {
+    if (fs.existsSync(path.join(input.cwd, lockFile))) {
+      return deny(`⛔ BLOCKED: This project uses ${manager} (${lockFile} exists).
 
-Use bun instead of npm:
-  npm install  → bun install
-  npm test     → bun test
-  npm run X    → bun X
-  npm i pkg    → bun add pkg
-`);
-      process.exit(2);
+Use ${manager} instead of npm:
+  npm install  → ${manager} install
+  npm test     → ${manager} test
+  npm run X    → ${manager} X
+  npm i pkg    → ${manager} add pkg`);
     }
-
-    // npm is correct or no lock file exists
-    process.exit(0);
-  } catch (error) {
-    // Don't block on hook errors, just continue
-    console.error(`[block-wrong-package-manager] Warning: ${error.message}`);
-    process.exit(0);
   }
+
+  // npm is correct or no lock file exists
+  return pass();
 }
 
-main();
+runHook('block-wrong-package-manager', { events: ['PreToolUse'] }, main);
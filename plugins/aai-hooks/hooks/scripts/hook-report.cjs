@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Hook Audit Report
+ *
+ * Summarizes the aai-hooks audit log (see lib/hook-audit.cjs) for tuning the
+ * guards:
+ * - Runs, blocks and errors per hook
+ * - False-positive candidates: require-verification blocks followed by a new
+ *   `[skip-verify]` commit in the same session, i.e. Claude bypassed the hook
+ * - Slow hooks: runs taking at least half (--slow) of the hook's timeout in
+ *   hooks.json
+ *
+ * Usage:
+ *   node hook-report.cjs                        # Report on ~/.claude/aai-hooks/audit.jsonl
+ *   node hook-report.cjs --since 7              # Only the last 7 days
+ *   node hook-report.cjs --log ./audit.jsonl    # Report on another log file
+ *   node hook-report.cjs --window 60            # Count a [skip-verify] up to 60 minutes after a block
+ *   node hook-report.cjs --slow 0.8             # Slow means at least 80% of the timeout
+ *   node hook-report.cjs --json                 # Machine-readable output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { auditLogPath, readRecords, summarize } = require('./lib/hook-audit.cjs');
+const { hookTimeouts } = require('./lib/hook-config.cjs');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { log: null, sinceDays: null, windowMinutes: 30, slowFraction: 0.5, json: false };
+  const number = (arg, value) => {
+    const parsed = Number(value);
+    if (value === undefined || !(parsed > 0)) throw new Error(`${arg} needs a positive number`);
+    return parsed;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--log') {
+      options.log = argv[++i];
+      if (!options.log) throw new Error('--log needs a file');
+    } else if (arg === '--since') {
+      options.sinceDays = number(arg, argv[++i]);
+    } else if (arg === '--window') {
+      options.windowMinutes = number(arg, argv[++i]);
+    } else if (arg === '--slow') {
+      options.slowFraction = number(arg, argv[++i]);
+    } else if (arg === '--json') {
+      options.json = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function formatMs(ms) {
+  if (ms === undefined) return '-';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function printReport(summary, logFile, options) {
+  console.log(`Hook audit report: ${logFile}`);
+  console.log('='.repeat(50));
+
+  console.log('\nRuns per hook:');
+  for (const hook of summary.hooks) {
+    const errors = hook.errors > 0 ? `, ${hook.errors} error(s)` : '';
+    console.log(`  ${hook.hook}: ${hook.runs} run(s), ${hook.blocks} block(s)${errors}, p95 ${formatMs(hook.p95Ms)}, max ${formatMs(hook.maxMs)}`);
+  }
+
+  console.log(`\nFalse-positive candidates (block, then [skip-verify] within ${options.windowMinutes} min):`);
+  if (summary.bypassed.length === 0) {
+    console.log('  None');
+  }
+  for (const { block, bypass } of summary.bypassed) {
+    console.log(`  ⚠️  ${block.timestamp} ${block.hook} ${block.decision}: ${block.command || '(no command)'}`);
+    if (block.reason) console.log(`     Reason: ${block.reason.split('\n')[0]}`);
+    console.log(`     Bypassed at ${bypass.timestamp} by a [skip-verify] command`);
+  }
+
+  console.log(`\nSlow hooks (runs taking ${Math.round(options.slowFraction * 100)}%+ of the timeout):`);
+  if (summary.slow.length === 0) {
+    console.log('  None');
+  }
+  for (const hook of summary.slow) {
+    console.log(`  ⚠️  ${hook.hook}: ${hook.slowRuns} of ${hook.runs} run(s), max ${formatMs(hook.maxMs)} (timeout ${hook.timeoutSeconds}s)`);
+  }
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  const logFile = options.log ? path.resolve(options.log) : auditLogPath();
+  if (!logFile) {
+    console.error('Error: the audit log is turned off (AAI_HOOKS_AUDIT_LOG=off); pass --log <file>');
+    process.exit(1);
+  }
+  if (!fs.existsSync(logFile)) {
+    console.error(`Error: no audit log at ${logFile} - it is written once the hooks have run`);
+    process.exit(1);
+  }
+
+  let { records, invalidLines } = readRecords(logFile);
+  if (options.sinceDays) {
+    const cutoff = Date.now() - options.sinceDays * 24 * 60 * 60 * 1000;
+    records = records.filter(record => Date.parse(record.timestamp) >= cutoff);
+  }
+
+  const summary = summarize(records, {
+    timeouts: hookTimeouts(),
+    slowFraction: options.slowFraction,
+    windowMinutes: options.windowMinutes
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify({ logFile, records: records.length, invalidLines, ...summary }, null, 2));
+    return;
+  }
+
+  printReport(summary, logFile, options);
+  console.log(`\n${'='.repeat(50)}`);
+  if (invalidLines > 0) {
+    console.log(`⚠️  Skipped ${invalidLines} unreadable line(s)`);
+  }
+  console.log(`${records.length} record(s)`);
+}
+
+main();
@@ -10,26 +10,29 @@
  *   - Event: PreToolUse (Bash commands)
  *
  * Output:
- *   Returns context summary for agent consumption via stdout JSON
+ *   A PreToolUse decision whose additionalContext carries PROJECT_CONTEXT
+ *   (package manager, commands, git state, stack); the command itself
+ *   proceeds unchanged
  */
 
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { runHook, pass, addContext } = require('./lib/hook-runtime.cjs');
 
 /**
  * Detects the package manager used by the project
  */
-function detectPackageManager() {
+function detectPackageManager(cwd) {
   // Check lock files (most reliable)
-  if (fs.existsSync('pnpm-lock.yaml')) return 'pnpm';
-  if (fs.existsSync('yarn.lock')) return 'yarn';
-  if (fs.existsSync('bun.lockb')) return 'bun';
-  if (fs.existsSync('package-lock.json')) return 'npm';
+  if (fs.existsSync(path.join(cwd, 'pnpm-lock.yaml'))) return 'pnpm';
+  if (fs.existsSync(path.join(cwd, 'yarn.lock'))) return 'yarn';
+  if (fs.existsSync(path.join(cwd, 'bun.lockb'))) return 'bun';
+  if (fs.existsSync(path.join(cwd, 'package-lock.json'))) return 'npm';
 
   // Check package.json packageManager field
   try {
-    const pkg = JSON.parse(fs.readFileSync('package.json', 'utf-8'));
+    const pkg = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf-8'));
     if (pkg.packageManager) {
       if (pkg.packageManager.startsWith('pnpm')) return 'pnpm';
       if (pkg.packageManager.startsWith('yarn')) return 'yarn';
@@ -45,9 +48,9 @@ function detectPackageManager() {
 /**
  * Gets the current git branch
  */
-function getCurrentBranch() {
+function getCurrentBranch(cwd) {
   try {
-    return execSync('git branch --show-current', { encoding: 'utf-8', stdio: 'pipe' }).trim();
+    return execSync('git branch --show-current', { cwd, encoding: 'utf-8', stdio: 'pipe' }).trim();
   } catch {
     return 'unknown';
   }
@@ -56,21 +59,21 @@ function getCurrentBranch() {
 /**
  * Gets the repository name from git
  */
-function getRepoName() {
+function getRepoName(cwd) {
   try {
-    const repoPath = execSync('git rev-parse --show-toplevel', { encoding: 'utf-8', stdio: 'pipe' }).trim();
+    const repoPath = execSync('git rev-parse --show-toplevel', { cwd, encoding: 'utf-8', stdio: 'pipe' }).trim();
     return path.basename(repoPath);
   } catch {
-    return path.basename(process.cwd());
+    return path.basename(cwd);
   }
 }
 
 /**
  * Checks if git working directory is clean
  */
-function isGitClean() {
+function isGitClean(cwd) {
   try {
-    const status = execSync('git status --porcelain', { encoding: 'utf-8', stdio: 'pipe' });
+    const status = execSync('git status --porcelain', { cwd, encoding: 'utf-8', stdio: 'pipe' });
     return status.trim() === '';
   } catch {
     return false;
@@ -80,9 +83,9 @@ function isGitClean() {
 /**
  * Detects the technology stack from package.json
  */
-function detectStack() {
+function detectStack(cwd) {
   try {
-    const pkg = JSON.parse(fs.readFileSync('package.json', 'utf-8'));
+    const pkg = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf-8'));
     const deps = { ...pkg.dependencies, ...pkg.devDependencies };
 
     return {
@@ -105,9 +108,9 @@ function detectStack() {
 /**
  * Detects and builds the full project context
  */
-function detectProjectContext() {
-  const projectRoot = process.cwd();
-  const packageManager = detectPackageManager();
+function detectProjectContext(cwd) {
+  const projectRoot = cwd;
+  const packageManager = detectPackageManager(cwd);
 
   return {
     packageManager,
@@ -122,11 +125,11 @@ function detectProjectContext() {
       projectRoot,
     },
     git: {
-      branch: getCurrentBranch(),
-      repoName: getRepoName(),
-      isClean: isGitClean(),
+      branch: getCurrentBranch(cwd),
+      repoName: getRepoName(cwd),
+      isClean: isGitClean(cwd),
     },
-    stack: detectStack(),
+    stack: detectStack(cwd),
     detectedAt: new Date().toISOString(),
   };
 }
@@ -134,29 +137,24 @@ function detectProjectContext() {
 /**
  * Main hook execution
  */
-function main() {
+function main(input) {
+  let summary;
   try {
-    const context = detectProjectContext();
-
-    // Output context summary for agent consumption
-    const summary = {
-      decision: 'continue',
-      PROJECT_CONTEXT: {
-        packageManager: context.packageManager,
-        commands: context.commands,
-        git: context.git,
-        stack: context.stack,
-      },
+    const context = detectProjectContext(input.cwd);
+    summary = {
+      packageManager: context.packageManager,
+      commands: context.commands,
+      git: context.git,
+      stack: context.stack,
     };
-
-    console.log(JSON.stringify(summary));
   } catch (error) {
     // Don't block on errors
-    console.log(JSON.stringify({
-      decision: 'continue',
-      warning: `Context detection failed: ${error.message}`,
-    }));
+    console.error(`[inject-project-context] Context detection failed: ${error.message}`);
+    return pass();
   }
+
+  // Context for Claude alongside the command; the command itself proceeds as normal
+  return addContext(`PROJECT_CONTEXT: ${JSON.stringify(summary)}`);
 }
 
-main();
+runHook('inject-project-context', { events: ['PreToolUse'] }, main);
@@ -0,0 +1,249 @@
+/**
+ * Hook Audit Log
+ *
+ * Every aai-hooks run appends one JSON line to a local log, so blocks leave
+ * a record beyond the stderr text of a session:
+ *
+ *   {"timestamp":"2026-10-19T09:12:03.114Z","hook":"require-verification",
+ *    "event":"PreToolUse","tool":"Bash","command":"git commit -m \"Done\"",
+ *    "commandHash":"0ac3c8633ca77a33","decision":"deny","reason":"...",
+ *    "durationMs":41,"session":"abc123","cwd":"/work/app"}
+ *
+ * decision is one of pass, allow, deny, ask, block, context, disabled (the
+ * hook is switched off in the config) or error (the hook failed and let the
+ * action proceed). durationMs covers the hook's own work, not Node's startup;
+ * a run killed by its hooks.json timeout never gets to write a record.
+ *
+ * The command (or file) is only written for the decisions worth reviewing:
+ * deny, ask, block and error. Every other run leaves it out, since commands
+ * can carry secrets and most runs just let them through; those records keep
+ * a commandHash, to tell runs of the same command apart, and skipVerify when
+ * the command contained `[skip-verify]`.
+ *
+ * The log lives in ~/.claude/aai-hooks/audit.jsonl. AAI_HOOKS_AUDIT_LOG
+ * points it elsewhere, or turns it off with `off`. When the log outgrows
+ * MAX_LOG_BYTES it is moved to audit.jsonl.1 (replacing the previous one).
+ *
+ * hook-report.cjs summarizes the log.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAX_LOG_BYTES = 5 * 1024 * 1024;
+const MAX_FIELD_LENGTH = 1000;
+
+// Decisions that stop what Claude was doing
+const BLOCKING_DECISIONS = ['deny', 'block'];
+
+// Decisions whose records include the command
+const COMMAND_DECISIONS = ['deny', 'ask', 'block', 'error'];
+
+// Hooks that let a commit through when its message contains [skip-verify]
+const SKIP_VERIFY_HOOKS = ['require-verification'];
+
+/**
+ * Where the audit log is written
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment (default: process.env)
+ * @param {string} [options.home] - Home directory (default: os.homedir())
+ * @returns {string|null} null when the log is turned off
+ */
+function auditLogPath({ env = process.env, home = os.homedir() } = {}) {
+  const setting = env.AAI_HOOKS_AUDIT_LOG;
+  if (setting === 'off') return null;
+  if (setting) return path.resolve(setting);
+  return path.join(home, '.claude', 'aai-hooks', 'audit.jsonl');
+}
+
+function truncate(text) {
+  if (typeof text !== 'string') return undefined;
+  return text.length > MAX_FIELD_LENGTH ? `${text.slice(0, MAX_FIELD_LENGTH)}…` : text;
+}
+
+/**
+ * What the hook looked at: the Bash command, or the file a tool touched
+ */
+function subjectOf(input) {
+  const toolInput = (input && input.tool_input) || {};
+  const subject = toolInput.command || toolInput.file_path;
+  return typeof subject === 'string' && subject !== '' ? subject : undefined;
+}
+
+function hashSubject(subject) {
+  return crypto.createHash('sha256').update(subject).digest('hex').slice(0, 16);
+}
+
+/**
+ * Decision name of a hook result (see hook-runtime.cjs)
+ */
+function decisionOf(result) {
+  if (!result) return 'pass';
+  return result.type === 'permission' ? result.decision : result.type;
+}
+
+/**
+ * Build the record of one hook run
+ *
+ * @param {string} hook - Script name
+ * @param {Object|null} input - The parsed event (null when it could not be parsed)
+ * @param {string} decision
+ * @param {Object} [details]
+ * @param {string} [details.reason]
+ * @param {number} [details.durationMs]
+ */
+function createRecord(hook, input, decision, { reason, durationMs } = {}) {
+  const subject = subjectOf(input);
+  return {
+    timestamp: new Date().toISOString(),
+    hook,
+    event: input ? input.hook_event_name : null,
+    tool: (input && input.tool_name) || undefined,
+    command: COMMAND_DECISIONS.includes(decision) ? truncate(subject) : undefined,
+    commandHash: subject ? hashSubject(subject) : undefined,
+    skipVerify: subject && subject.includes('[skip-verify]') ? true : undefined,
+    decision,
+    reason: truncate(reason),
+    durationMs,
+    session: (input && input.session_id) || undefined,
+    cwd: input ? input.cwd : undefined
+  };
+}
+
+/**
+ * Append a record to the log, rotating it when it is too large
+ *
+ * @param {Object} record
+ * @param {Object} [options] - See auditLogPath()
+ * @returns {string|null} The log file, null when logging is off
+ */
+function appendRecord(record, options) {
+  const logFile = auditLogPath(options);
+  if (!logFile) return null;
+
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  if (fs.existsSync(logFile) && fs.statSync(logFile).size > MAX_LOG_BYTES) {
+    fs.renameSync(logFile, `${logFile}.1`);
+  }
+  fs.appendFileSync(logFile, `${JSON.stringify(record)}\n`);
+  return logFile;
+}
+
+/**
+ * Read a log file
+ *
+ * @returns {{records: Object[], invalidLines: number}} Records in file order
+ */
+function readRecords(logFile) {
+  const records = [];
+  let invalidLines = 0;
+
+  for (const line of fs.readFileSync(logFile, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record && typeof record.hook === 'string' && typeof record.decision === 'string') {
+        records.push(record);
+      } else {
+        invalidLines++;
+      }
+    } catch {
+      invalidLines++;
+    }
+  }
+  return { records, invalidLines };
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return undefined;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+/**
+ * Blocks by a hook that honors `[skip-verify]`, followed within
+ * `windowMinutes` by a different command with `[skip-verify]` in the same
+ * session (or the same directory, for records without one): Claude bypassed
+ * the hook, so the block may have been wrong
+ *
+ * Every PreToolUse hook records each Bash command, so the other records of
+ * the blocked command itself (same commandHash) are not a bypass.
+ */
+function findBypassedBlocks(records, windowMinutes) {
+  const windowMs = windowMinutes * 60 * 1000;
+  const candidates = [];
+
+  records.forEach((record, i) => {
+    if (!BLOCKING_DECISIONS.includes(record.decision) || !SKIP_VERIFY_HOOKS.includes(record.hook)) return;
+    const scope = record.session || record.cwd;
+    const blockedAt = Date.parse(record.timestamp);
+
+    for (const later of records.slice(i + 1)) {
+      const laterAt = Date.parse(later.timestamp);
+      if (laterAt - blockedAt > windowMs) break;
+      if ((later.session || later.cwd) !== scope || later.commandHash === record.commandHash) continue;
+      if (later.skipVerify) {
+        candidates.push({ block: record, bypass: later });
+        break;
+      }
+    }
+  });
+  return candidates;
+}
+
+/**
+ * Summarize audit records
+ *
+ * @param {Object[]} records - In time order
+ * @param {Object} [options]
+ * @param {Object} [options.timeouts] - Hook name → hooks.json timeout in seconds
+ * @param {number} [options.slowFraction] - Runs taking at least this share of the timeout count as slow
+ * @param {number} [options.windowMinutes] - How long after a block a `[skip-verify]` still counts as a bypass
+ * @returns {{hooks: Object[], bypassed: Object[], slow: Object[]}}
+ */
+function summarize(records, { timeouts = {}, slowFraction = 0.5, windowMinutes = 30 } = {}) {
+  const byHook = new Map();
+  for (const record of records) {
+    if (!byHook.has(record.hook)) byHook.set(record.hook, []);
+    byHook.get(record.hook).push(record);
+  }
+
+  const hooks = [...byHook.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([hook, runs]) => {
+    const durations = runs
+      .map(run => run.durationMs)
+      .filter(duration => typeof duration === 'number')
+      .sort((a, b) => a - b);
+    const timeout = timeouts[hook];
+    return {
+      hook,
+      runs: runs.length,
+      blocks: runs.filter(run => BLOCKING_DECISIONS.includes(run.decision)).length,
+      errors: runs.filter(run => run.decision === 'error').length,
+      p95Ms: percentile(durations, 0.95),
+      maxMs: durations[durations.length - 1],
+      timeoutSeconds: timeout,
+      slowRuns: timeout ? durations.filter(duration => duration >= timeout * 1000 * slowFraction).length : 0
+    };
+  });
+
+  return {
+    hooks,
+    bypassed: findBypassedBlocks(records, windowMinutes),
+    slow: hooks.filter(hook => hook.slowRuns > 0)
+  };
+}
+
+module.exports = {
+  MAX_LOG_BYTES,
+  BLOCKING_DECISIONS,
+  COMMAND_DECISIONS,
+  SKIP_VERIFY_HOOKS,
+  auditLogPath,
+  decisionOf,
+  createRecord,
+  appendRecord,
+  readRecords,
+  summarize
+};
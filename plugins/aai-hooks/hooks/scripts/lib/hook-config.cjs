@@ -0,0 +1,274 @@
+/**
+ * Hook Configuration
+ *
+ * Per-project settings for the aai-hooks scripts, keyed by script name:
+ *
+ *   {
+ *     "validate-anti-patterns": { "checkDirs": ["src", "packages/api/src"] },
+ *     "block-master-commits": { "protectedBranches": ["main", "release"] },
+ *     "inject-project-context": { "enabled": false }
+ *   }
+ *
+ * Settings are merged in this order, later sources winning option by option
+ * (arrays are replaced, not appended to):
+ *   1. defaults (DEFAULTS below)
+ *   2. user config: ~/.claude/aai-hooks.json
+ *   3. repo config: .claude/aai-hooks.json in the project (found from the
+ *      hook's cwd upwards, up to the git root)
+ *   4. environment: PROTECTED_BRANCHES=a,b and AAI_HOOKS_DISABLE=hook,hook
+ *
+ * checkDirs entries may use `*` as a whole path segment to match every
+ * directory at that level: a `*` between packages/ and /src covers every
+ * package of a monorepo.
+ *
+ * A config file that fails validation is ignored as a whole, with a warning,
+ * so a typo never silently weakens a hook. Durations must also stay below the
+ * hook's timeout in hooks.json: Claude Code would kill the hook first.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_FILE = 'aai-hooks.json';
+const HOOKS_FILE = path.join(__dirname, '..', '..', 'hooks.json');
+
+// Every hook also accepts `enabled` (boolean, default true)
+const DEFAULTS = {
+  'block-master-commits': {
+    protectedBranches: ['main', 'master', 'production', 'develop']
+  },
+  'block-wrong-package-manager': {},
+  'inject-project-context': {},
+  'require-verification': {
+    completionKeywords: [
+      'complete', 'completed', 'done', 'finished', 'implemented',
+      'added', 'created', 'fixed', 'updated',
+      'implement', 'finish'
+    ],
+    evidenceSections: ['Files Modified', 'Changes Summary', 'Build Status', 'Test Status']
+  },
+  'validate-completion-claims': {
+    // Seconds; below the hook's 65s timeout in hooks.json
+    testTimeout: 60
+  },
+  'validate-anti-patterns': {
+    checkDirs: ['src', 'lib', 'app'],
+    backupFilePatterns: [
+      '\\.bak\\d*$', '\\.fixmock$', '\\.final$', '\\.prefinal$', '\\.broken$',
+      '\\.backup$', '\\.new$', '\\.old$', '\\.orig$', '\\.tmp$'
+    ],
+    consoleLogExclusions: [
+      'logger.ts', 'logger.js', 'logging.ts', 'logging.js',
+      '.test.ts', '.test.js', '.spec.ts', '.spec.js',
+      '__tests__/', '__mocks__/', '.md', 'node_modules/'
+    ]
+  }
+};
+
+// Option types: 'strings' (array of strings), 'patterns' (array of regular
+// expression sources), 'seconds' (positive number, below the hook's timeout)
+const SCHEMA = {
+  'block-master-commits': { protectedBranches: 'strings' },
+  'block-wrong-package-manager': {},
+  'inject-project-context': {},
+  'require-verification': { completionKeywords: 'strings', evidenceSections: 'strings' },
+  'validate-completion-claims': { testTimeout: 'seconds' },
+  'validate-anti-patterns': { checkDirs: 'strings', backupFilePatterns: 'patterns', consoleLogExclusions: 'strings' }
+};
+
+let timeouts = null;
+
+/**
+ * Timeout (seconds) of each hook script in hooks.json, keyed by script name
+ */
+function hookTimeouts() {
+  if (timeouts) return timeouts;
+  timeouts = {};
+  if (!fs.existsSync(HOOKS_FILE)) return timeouts;
+  const config = JSON.parse(fs.readFileSync(HOOKS_FILE, 'utf-8'));
+  for (const groups of Object.values(config.hooks || {})) {
+    for (const group of groups) {
+      for (const hook of group.hooks || []) {
+        const match = /hooks\/scripts\/([\w-]+)\.cjs/.exec(hook.command || '');
+        if (match && hook.timeout) timeouts[match[1]] = hook.timeout;
+      }
+    }
+  }
+  return timeouts;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkOption(label, type, value, timeout) {
+  switch (type) {
+    case 'strings':
+    case 'patterns':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        return `${label} must be an array of strings`;
+      }
+      if (type === 'patterns') {
+        for (const pattern of value) {
+          try {
+            new RegExp(pattern);
+          } catch (e) {
+            return `${label} has an invalid pattern: ${e.message}`;
+          }
+        }
+      }
+      return null;
+    case 'seconds':
+      if (typeof value !== 'number' || !(value > 0)) return `${label} must be a positive number of seconds`;
+      if (timeout && value >= timeout) return `${label} must be below the hook's ${timeout}s timeout in hooks.json`;
+      return null;
+    default:
+      return `${label} has unknown type ${type}`;
+  }
+}
+
+/**
+ * Validate a parsed config file against the schema
+ *
+ * @returns {string[]} Errors, empty when valid
+ */
+function validateConfig(config) {
+  if (!isObject(config)) {
+    return ['config must be a JSON object keyed by hook name'];
+  }
+
+  const errors = [];
+  for (const [hook, settings] of Object.entries(config)) {
+    if (hook === '$schema') continue;
+    if (!Object.prototype.hasOwnProperty.call(SCHEMA, hook)) {
+      errors.push(`unknown hook '${hook}' (one of: ${Object.keys(SCHEMA).join(', ')})`);
+      continue;
+    }
+    if (!isObject(settings)) {
+      errors.push(`${hook} must be an object`);
+      continue;
+    }
+    for (const [option, value] of Object.entries(settings)) {
+      if (option === 'enabled') {
+        if (typeof value !== 'boolean') errors.push(`${hook}.enabled must be true or false`);
+        continue;
+      }
+      const type = SCHEMA[hook][option];
+      if (!type) {
+        const known = ['enabled', ...Object.keys(SCHEMA[hook])];
+        errors.push(`${hook} has unknown option '${option}' (one of: ${known.join(', ')})`);
+        continue;
+      }
+      const error = checkOption(`${hook}.${option}`, type, value, hookTimeouts()[hook]);
+      if (error) errors.push(error);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Repo config path: .claude/aai-hooks.json in cwd or a parent, stopping at
+ * the git root
+ *
+ * @returns {string|null}
+ */
+function findRepoConfig(cwd) {
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    const candidate = path.join(dir, '.claude', CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    if (fs.existsSync(path.join(dir, '.git')) || path.dirname(dir) === dir) return null;
+  }
+}
+
+/**
+ * Read and validate one config file
+ *
+ * @returns {{config: Object|null, errors: string[]}} config is null when the file is missing or invalid
+ */
+function readConfigFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return { config: null, errors: [] };
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    return { config: null, errors: [`not valid JSON (${e.message})`] };
+  }
+  const errors = validateConfig(config);
+  return { config: errors.length === 0 ? config : null, errors };
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Settings of one hook, merged from all sources
+ *
+ * @param {string} hook - Script name (e.g. 'validate-anti-patterns')
+ * @param {string} cwd - Project directory the hook runs in
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment (default: process.env)
+ * @param {string} [options.home] - Home directory (default: os.homedir())
+ * @returns {{enabled: boolean, options: Object, sources: string[], warnings: string[]}}
+ */
+function loadConfig(hook, cwd, { env = process.env, home = os.homedir() } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULTS, hook)) {
+    throw new Error(`No configuration defined for hook '${hook}'`);
+  }
+
+  const settings = { enabled: true, ...DEFAULTS[hook] };
+  const sources = ['defaults'];
+  const warnings = [];
+
+  const userConfig = path.join(home, '.claude', CONFIG_FILE);
+  const repoConfig = findRepoConfig(cwd);
+  const files = repoConfig === userConfig ? [userConfig] : [userConfig, repoConfig];
+  for (const filePath of files) {
+    const { config, errors } = readConfigFile(filePath);
+    for (const error of errors) {
+      warnings.push(`${filePath} ignored: ${error}`);
+    }
+    if (config && config[hook]) {
+      Object.assign(settings, config[hook]);
+      sources.push(filePath);
+    }
+  }
+
+  if (hook === 'block-master-commits' && env.PROTECTED_BRANCHES) {
+    settings.protectedBranches = splitList(env.PROTECTED_BRANCHES);
+    sources.push('PROTECTED_BRANCHES');
+  }
+  if (env.AAI_HOOKS_DISABLE) {
+    const disabled = splitList(env.AAI_HOOKS_DISABLE);
+    for (const name of disabled.filter(name => !Object.prototype.hasOwnProperty.call(DEFAULTS, name))) {
+      warnings.push(`AAI_HOOKS_DISABLE names unknown hook '${name}'`);
+    }
+    if (disabled.includes(hook)) {
+      settings.enabled = false;
+      sources.push('AAI_HOOKS_DISABLE');
+    }
+  }
+
+  const { enabled, ...options } = settings;
+  return { enabled, options, sources, warnings };
+}
+
+/**
+ * Default settings of a hook (for running its checks outside of Claude Code)
+ */
+function defaultOptions(hook) {
+  return { ...DEFAULTS[hook] };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  DEFAULTS,
+  SCHEMA,
+  hookTimeouts,
+  validateConfig,
+  findRepoConfig,
+  loadConfig,
+  defaultOptions
+};
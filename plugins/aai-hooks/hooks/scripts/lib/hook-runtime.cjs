@@ -0,0 +1,336 @@
+/**
+ * Hook Runtime
+ *
+ * Shared plumbing for the aai-hooks scripts: reads and validates the event
+ * Claude Code sends on stdin, and turns a hook's decision into the output
+ * protocol from docs/claudecode/hooks-reference.md.
+ *
+ * A hook is a handler that receives the parsed event and returns one of the
+ * decisions below (or nothing, to let the action proceed untouched):
+ *
+ *   runHook('block-master', { events: ['PreToolUse'] }, (input) => {
+ *     if (onProtectedBranch(input.cwd)) return deny('Create a feature branch first');
+ *     return pass();
+ *   });
+ *
+ * The hook's settings from the aai-hooks config files (see hook-config.cjs)
+ * are passed to the handler as its second argument; a hook disabled there
+ * doesn't run at all.
+ *
+ * Decisions are rendered as stdout JSON with exit code 0, so they can carry
+ * more than a hard block: PreToolUse hooks can allow, deny or ask with a
+ * rewritten tool input (updatedInput), and most events accept
+ * additionalContext for Claude. Hook failures (bad input, exceptions) never
+ * block: they are reported on stderr and the action proceeds.
+ *
+ * Each run, including failed ones, is recorded in the audit log (see
+ * hook-audit.cjs).
+ */
+
+const { loadConfig } = require('./hook-config.cjs');
+const { createRecord, appendRecord, decisionOf } = require('./hook-audit.cjs');
+
+// Fields every event carries, and the extra fields of each event (type per field)
+const COMMON_FIELDS = { hook_event_name: 'string', cwd: 'string' };
+const EVENT_FIELDS = {
+  PreToolUse: { tool_name: 'string', tool_input: 'object' },
+  PermissionRequest: { tool_name: 'string', tool_input: 'object' },
+  PostToolUse: { tool_name: 'string', tool_input: 'object' },
+  Notification: { message: 'string' },
+  UserPromptSubmit: { prompt: 'string' },
+  Stop: { stop_hook_active: 'boolean' },
+  SubagentStop: { stop_hook_active: 'boolean' },
+  PreCompact: {},
+  Setup: {},
+  SessionStart: {},
+  SessionEnd: {}
+};
+
+// Events whose hookSpecificOutput accepts additionalContext
+const CONTEXT_EVENTS = ['PreToolUse', 'PostToolUse', 'UserPromptSubmit', 'SessionStart'];
+
+// Events that accept {decision: 'block', reason}
+const BLOCK_EVENTS = ['PostToolUse', 'UserPromptSubmit', 'Stop', 'SubagentStop'];
+
+const PERMISSION_DECISIONS = ['allow', 'deny', 'ask'];
+
+// Events a hook built on this runtime can handle
+const EVENTS = Object.keys(EVENT_FIELDS);
+
+class HookInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HookInputError';
+  }
+}
+
+/**
+ * Read stdin to the end (no timeout: large tool inputs arrive in several chunks)
+ *
+ * @returns {Promise<string>} '' when stdin is a terminal
+ */
+function readStdin(stream = process.stdin) {
+  return new Promise((resolve, reject) => {
+    if (stream.isTTY) {
+      resolve('');
+      return;
+    }
+    let data = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      data += chunk;
+    });
+    stream.on('end', () => resolve(data));
+    stream.on('error', reject);
+  });
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Parse and validate a hook event
+ *
+ * @param {string} text - Raw stdin
+ * @param {string[]} [events] - Events the hook handles (any when omitted)
+ * @returns {Object} The event, with cwd defaulted to process.cwd()
+ * @throws {HookInputError}
+ */
+function parseEvent(text, events) {
+  if (!text.trim()) {
+    throw new HookInputError('no hook event on stdin');
+  }
+
+  let input;
+  try {
+    input = JSON.parse(text);
+  } catch (e) {
+    throw new HookInputError(`hook event is not valid JSON (${e.message})`);
+  }
+  if (typeOf(input) !== 'object') {
+    throw new HookInputError(`hook event must be a JSON object, got ${typeOf(input)}`);
+  }
+
+  const event = input.hook_event_name;
+  if (typeof event !== 'string') {
+    throw new HookInputError('hook event has no hook_event_name');
+  }
+  if (!Object.prototype.hasOwnProperty.call(EVENT_FIELDS, event)) {
+    throw new HookInputError(`unknown hook event '${event}'`);
+  }
+  if (events && !events.includes(event)) {
+    throw new HookInputError(`${event} events are not handled by this hook (expected ${events.join(' or ')})`);
+  }
+
+  // Fields may be absent; when present they must have the documented type
+  for (const [field, type] of Object.entries({ ...COMMON_FIELDS, ...EVENT_FIELDS[event] })) {
+    if (input[field] !== undefined && typeOf(input[field]) !== type) {
+      throw new HookInputError(`${event} field ${field} must be ${type === 'object' ? 'an' : 'a'} ${type}, got ${typeOf(input[field])}`);
+    }
+  }
+
+  return { ...input, cwd: input.cwd || process.cwd() };
+}
+
+/**
+ * Let the action proceed without comment
+ */
+function pass() {
+  return { type: 'pass' };
+}
+
+/**
+ * PreToolUse permission decision
+ *
+ * @param {string} decision - 'allow' (skip the permission prompt), 'deny' or 'ask'
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Shown to Claude for deny, to the user otherwise
+ * @param {Object} [options.updatedInput] - Replacement tool input (with allow or ask)
+ * @param {string} [options.additionalContext] - Added to Claude's context
+ * @param {string} [options.systemMessage] - Warning shown to the user
+ */
+function permission(decision, { reason, updatedInput, additionalContext, systemMessage } = {}) {
+  if (!PERMISSION_DECISIONS.includes(decision)) {
+    throw new Error(`Unknown permission decision '${decision}' (one of: ${PERMISSION_DECISIONS.join(', ')})`);
+  }
+  if (updatedInput && decision === 'deny') {
+    throw new Error('updatedInput has no effect on a denied tool call');
+  }
+  return { type: 'permission', decision, reason, updatedInput, additionalContext, systemMessage };
+}
+
+function allow(options) {
+  return permission('allow', options);
+}
+
+/**
+ * Stop a tool call; the reason tells Claude what to do instead
+ */
+function deny(reason, options = {}) {
+  return permission('deny', { ...options, reason });
+}
+
+function ask(reason, options = {}) {
+  return permission('ask', { ...options, reason });
+}
+
+/**
+ * Rewrite a tool call's input; the user confirms the new input unless
+ * `decision` is 'allow'
+ */
+function rewrite(updatedInput, { decision = 'ask', ...options } = {}) {
+  return permission(decision, { ...options, updatedInput });
+}
+
+/**
+ * Add context for Claude without changing what happens
+ */
+function addContext(additionalContext, { systemMessage } = {}) {
+  return { type: 'context', additionalContext, systemMessage };
+}
+
+/**
+ * Keep Claude (Stop) or a subagent (SubagentStop) working, or reject a tool
+ * result (PostToolUse) or prompt (UserPromptSubmit)
+ *
+ * Stop hooks should check input.stop_hook_active before blocking again.
+ */
+function block(reason, { additionalContext, systemMessage } = {}) {
+  if (!reason) {
+    throw new Error('block() needs a reason - it is what Claude acts on');
+  }
+  return { type: 'block', reason, additionalContext, systemMessage };
+}
+
+/**
+ * Render a decision for an event
+ *
+ * @param {string} event
+ * @param {Object} [result] - Decision (default: pass())
+ * @param {string} [systemMessage] - Warning for the user, used when the decision carries none
+ * @returns {{stdout: string, exitCode: number}}
+ */
+function render(event, result, systemMessage) {
+  const decision = result || pass();
+  const output = {};
+
+  switch (decision.type) {
+    case 'pass':
+      break;
+
+    case 'permission':
+      if (event !== 'PreToolUse') {
+        throw new Error(`permission decisions only apply to PreToolUse hooks, not ${event}`);
+      }
+      output.hookSpecificOutput = { hookEventName: event, permissionDecision: decision.decision };
+      if (decision.reason) output.hookSpecificOutput.permissionDecisionReason = decision.reason;
+      if (decision.updatedInput) output.hookSpecificOutput.updatedInput = decision.updatedInput;
+      if (decision.additionalContext) output.hookSpecificOutput.additionalContext = decision.additionalContext;
+      break;
+
+    case 'context':
+      if (!CONTEXT_EVENTS.includes(event)) {
+        throw new Error(`${event} hooks cannot add context (only ${CONTEXT_EVENTS.join(', ')})`);
+      }
+      output.hookSpecificOutput = { hookEventName: event, additionalContext: decision.additionalContext };
+      break;
+
+    case 'block':
+      if (event === 'PreToolUse') {
+        throw new Error('PreToolUse hooks block with deny(), not block()');
+      }
+      if (!BLOCK_EVENTS.includes(event)) {
+        throw new Error(`${event} hooks cannot block (only ${BLOCK_EVENTS.join(', ')})`);
+      }
+      output.decision = 'block';
+      output.reason = decision.reason;
+      if (decision.additionalContext) {
+        if (!CONTEXT_EVENTS.includes(event)) {
+          throw new Error(`${event} hooks cannot add context (only ${CONTEXT_EVENTS.join(', ')})`);
+        }
+        output.hookSpecificOutput = { hookEventName: event, additionalContext: decision.additionalContext };
+      }
+      break;
+
+    default:
+      throw new Error(`Unknown hook decision ${JSON.stringify(decision)}`);
+  }
+
+  if (decision.systemMessage || systemMessage) output.systemMessage = decision.systemMessage || systemMessage;
+  if (Object.keys(output).length === 0) return { stdout: '', exitCode: 0 };
+  return { stdout: `${JSON.stringify(output)}\n`, exitCode: 0 };
+}
+
+/**
+ * Run a hook: read the event, call the handler and write its decision
+ *
+ * stdout is reserved for the decision, so console.log output from the
+ * handler is sent to stderr. Problems with the config files are shown to the
+ * user as a systemMessage. The outcome is appended to the audit log.
+ *
+ * @param {string} name - Script name, the hook's key in the config files (e.g. 'block-master-commits')
+ * @param {Object} options
+ * @param {string[]} options.events - Events the hook handles
+ * @param {function(Object, Object): (Object|undefined|Promise<Object|undefined>)} handler - Called with the event and the hook's settings
+ */
+async function runHook(name, { events }, handler) {
+  const log = console.log;
+  console.log = (...args) => console.error(...args);
+
+  let rendered;
+  let record;
+  let input = null;
+  let started = Date.now();
+  try {
+    const text = await readStdin();
+    started = Date.now();
+    input = parseEvent(text, events);
+    const config = loadConfig(name, input.cwd);
+    const warning = config.warnings.length > 0 ? `aai-hooks config: ${config.warnings.join('; ')}` : undefined;
+    for (const message of config.warnings) {
+      console.error(`[${name}] Warning: ${message}`);
+    }
+    const result = config.enabled ? await handler(input, config.options) : pass();
+    rendered = render(input.hook_event_name, result, warning);
+    record = createRecord(name, input, config.enabled ? decisionOf(result) : 'disabled', {
+      reason: result && result.reason,
+      durationMs: Date.now() - started
+    });
+  } catch (error) {
+    // Never block on hook errors, just continue
+    console.error(`[${name}] Warning: ${error.message}`);
+    rendered = { stdout: '', exitCode: 0 };
+    record = createRecord(name, input, 'error', { reason: error.message, durationMs: Date.now() - started });
+  } finally {
+    console.log = log;
+  }
+
+  try {
+    appendRecord(record);
+  } catch (error) {
+    console.error(`[${name}] Warning: could not write the audit log (${error.message})`);
+  }
+
+  process.stdout.write(rendered.stdout, () => process.exit(rendered.exitCode));
+}
+
+module.exports = {
+  EVENTS,
+  CONTEXT_EVENTS,
+  BLOCK_EVENTS,
+  HookInputError,
+  readStdin,
+  parseEvent,
+  pass,
+  permission,
+  allow,
+  deny,
+  ask,
+  rewrite,
+  addContext,
+  block,
+  render,
+  runHook
+};
@@ -10,20 +10,33 @@
  *
  * Usage:
  *   Automatically triggered by Claude Code hooks system when:
- *   - Tool: Bash
+ *   - Event: PreToolUse
+ *   - Matcher: Bash
  *   - Pattern: "git commit"
  *
+ *   node require-verification.cjs --self-test   # Run the built-in test cases
+ *
+ * Output:
+ *   Nothing when the commit may proceed; a PreToolUse deny decision for a
+ *   completion claim without verification
+ *
  * Validation:
  *   - Detects completion keywords in commit message
  *   - Requires task-completion-evidence.md OR passes basic checks
  *   - Validates evidence file contains required sections
  *
+ * Configuration (.claude/aai-hooks.json, see lib/hook-config.cjs):
+ *   completionKeywords - Words in a commit message that claim completion
+ *   evidenceSections   - Sections task-completion-evidence.md must contain
+ *
  * Note: This hook can be bypassed by including "[skip-verify]" in commit message
  * for WIP commits or other legitimate cases.
  */
 
 const { existsSync, readFileSync } = require('fs');
 const { execSync } = require('child_process');
+const { runHook, pass, deny } = require('./lib/hook-runtime.cjs');
+const { defaultOptions } = require('./lib/hook-config.cjs');
 const path = require('path');
 
 /**
@@ -31,11 +44,13 @@ const path = require('path');
  * @param {Object} context - Hook context
  * @param {string} context.command - The bash command being executed
  * @param {string} context.cwd - Current working directory
+ * @param {Object} [context.options] - Hook settings (default: the built-in defaults)
  * @returns {Object} - { block: boolean, message?: string }
  */
 function requireVerification(context) {
   const command = context.command || '';
   const cwd = context.cwd || process.cwd();
+  const { completionKeywords, evidenceSections } = context.options || defaultOptions('require-verification');
 
   // Only check git commit commands
   if (!command.includes('git commit')) {
@@ -57,16 +72,10 @@ function requireVerification(context) {
     return { block: false };
   }
 
-  // Check for completion claims (using word boundaries to avoid false positives)
-  const completionKeywords = [
-    'complete', 'completed', 'done', 'finished', 'implemented',
-    'added', 'created', 'fixed', 'updated',
-    'implement', 'finish'
-  ];
-
-  // Use word boundaries on both sides to match whole words only
+  // Check for completion claims, using word boundaries on both sides to match
+  // whole words only
   const hasCompletionClaim = completionKeywords.some(keyword => {
-    const regex = new RegExp(`\\b${keyword}\\b`, 'i');
+    const regex = new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i');
     return regex.test(message);
   });
 
@@ -83,14 +92,7 @@ function requireVerification(context) {
   if (hasEvidenceFile) {
     const evidence = readFileSync(evidenceFile, 'utf-8');
 
-    const requiredSections = [
-      'Files Modified',
-      'Changes Summary',
-      'Build Status',
-      'Test Status'
-    ];
-
-    const missingSections = requiredSections.filter(section =>
+    const missingSections = evidenceSections.filter(section =>
       !evidence.includes(section)
     );
 
@@ -132,10 +134,7 @@ ${basicCheck.reason}
 Options:
 1. Run tests and ensure they pass
 2. Create task-completion-evidence.md with:
-   - Files Modified
-   - Changes Summary
-   - Build Status
-   - Test Status
+${evidenceSections.map(s => `   - ${s}`).join('\n')}
 3. Add [skip-verify] to commit message for WIP commits
 
 CRITICAL: Do NOT claim completion without verification.
@@ -148,6 +147,10 @@ This prevents "Optimism Debt" where agents claim completion without proof.
   return { block: false };
 }
 
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Perform basic verification checks
  */
@@ -197,11 +200,26 @@ function performBasicVerification(cwd) {
   return { passed: true };
 }
 
-// Export for Claude Code hooks system
-module.exports = requireVerification;
+/**
+ * Hook entrypoint: deny the commit when verification fails
+ */
+function hookHandler(input, options) {
+  if (input.tool_name && input.tool_name !== 'Bash') {
+    return pass();
+  }
 
-// Allow running directly for testing
-if (require.main === module) {
+  const result = requireVerification({
+    command: input.tool_input?.command || '',
+    cwd: input.cwd,
+    options
+  });
+  return result.block ? deny(result.message.trim()) : pass();
+}
+
+/**
+ * Run the built-in test cases
+ */
+function selfTest() {
   const testCases = [
     {
       name: 'Should block: completion claim without evidence',
@@ -227,9 +245,11 @@ if (require.main === module) {
 
   console.log('Testing require-verification hook...\n');
 
+  let failures = 0;
   testCases.forEach(testCase => {
     const result = requireVerification({ command: testCase.command, cwd: process.cwd() });
     const passed = result.block === testCase.expectedBlock;
+    if (!passed) failures++;
 
     console.log(`${passed ? '✓' : '✗'} ${testCase.name}`);
     console.log(`  Command: ${testCase.command}`);
@@ -239,4 +259,17 @@ if (require.main === module) {
     }
     console.log();
   });
+
+  return failures === 0;
+}
+
+// Export the validation function (used by --self-test)
+module.exports = requireVerification;
+
+if (require.main === module) {
+  if (process.argv.includes('--self-test')) {
+    process.exit(selfTest() ? 0 : 1);
+  }
+
+  runHook('require-verification', { events: ['PreToolUse'] }, hookHandler);
 }
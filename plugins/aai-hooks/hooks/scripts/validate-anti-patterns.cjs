@@ -15,58 +15,47 @@
  *   Automatically triggered by Claude Code hooks system when:
  *   - Event: SubagentStop
  *
+ *   node validate-anti-patterns.cjs --self-test   # Validate the current directory
+ *
+ * Output:
+ *   Nothing when the subagent may stop; a block decision when anti-patterns
+ *   are found, so the subagent keeps working on them (once - see
+ *   stop_hook_active)
+ *
+ * Configuration (.claude/aai-hooks.json, see lib/hook-config.cjs):
+ *   checkDirs            - Directories searched for backup files and console.log
+ *                          (a `*` segment matches any directory, for monorepos)
+ *   backupFilePatterns   - Regular expressions for backup/temp file names
+ *   consoleLogExclusions - Path fragments where console.log is legitimate
+ *
  * This prevents anti-patterns from being introduced during agent work.
  */
 
-const { execSync } = require('child_process');
+const { execFileSync, execSync } = require('child_process');
 const { existsSync, readdirSync } = require('fs');
 const path = require('path');
-
-// Patterns for backup/temp files that should NEVER be committed
-const BACKUP_FILE_PATTERNS = [
-  /\.bak\d*$/,
-  /\.fixmock$/,
-  /\.final$/,
-  /\.prefinal$/,
-  /\.broken$/,
-  /\.backup$/,
-  /\.new$/,
-  /\.old$/,
-  /\.orig$/,
-  /\.tmp$/
-];
-
-// Default directories to check (can be customized per project)
-const DEFAULT_CHECK_DIRS = ['src', 'lib', 'app'];
-
-// Excluded patterns for console.log check (legitimate uses)
-const CONSOLE_LOG_EXCLUSIONS = [
-  'logger.ts',
-  'logger.js',
-  'logging.ts',
-  'logging.js',
-  '.test.ts',
-  '.test.js',
-  '.spec.ts',
-  '.spec.js',
-  '__tests__/',
-  '__mocks__/',
-  '.md',
-  'node_modules/'
-];
+const { runHook, pass, block } = require('./lib/hook-runtime.cjs');
+const { defaultOptions } = require('./lib/hook-config.cjs');
 
 /**
  * Main validation function
+ *
+ * @param {Object} context
+ * @param {string} context.cwd - Project directory
+ * @param {Object} [context.options] - Hook settings (default: the built-in defaults)
  */
 function validateAntiPatterns(context) {
   const issues = [];
   const warnings = [];
   const cwd = context?.cwd || process.cwd();
+  const options = context?.options || defaultOptions('validate-anti-patterns');
+  const backupPatterns = options.backupFilePatterns.map(pattern => new RegExp(pattern));
+  const checkDirs = expandDirs(cwd, options.checkDirs);
 
   console.log('[anti-patterns] Running anti-pattern validation...');
 
   // 1. Check for backup/temp files
-  const backupFiles = findBackupFiles(cwd);
+  const backupFiles = findBackupFiles(cwd, checkDirs, backupPatterns);
   if (backupFiles.length > 0) {
     issues.push({
       type: 'BACKUP_FILES',
@@ -78,7 +67,7 @@ function validateAntiPatterns(context) {
   }
 
   // 2. Check for console.log in production code (warning only)
-  const consoleLogFiles = findConsoleLogViolations(cwd);
+  const consoleLogFiles = findConsoleLogViolations(cwd, checkDirs, options.consoleLogExclusions);
   if (consoleLogFiles.length > 0) {
     warnings.push({
       type: 'CONSOLE_LOG',
@@ -90,7 +79,7 @@ function validateAntiPatterns(context) {
   }
 
   // 3. Check for staged backup files (about to be committed)
-  const stagedBackupFiles = findStagedBackupFiles(cwd);
+  const stagedBackupFiles = findStagedBackupFiles(cwd, backupPatterns);
   if (stagedBackupFiles.length > 0) {
     issues.push({
       type: 'STAGED_BACKUP_FILES',
@@ -124,21 +113,52 @@ function validateAntiPatterns(context) {
   }
 }
 
+/**
+ * Resolve checkDirs entries to the existing directories they name, relative
+ * to cwd. A `*` segment matches every directory at that level.
+ */
+function expandDirs(cwd, patterns) {
+  const dirs = [];
+
+  for (const pattern of patterns) {
+    let matches = [''];
+    for (const segment of pattern.split('/').filter(Boolean)) {
+      matches = matches.flatMap((dir) => {
+        if (segment !== '*') return [path.join(dir, segment)];
+        try {
+          return readdirSync(path.join(cwd, dir), { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+            .map(entry => path.join(dir, entry.name));
+        } catch {
+          return [];
+        }
+      });
+    }
+    for (const dir of matches) {
+      if (dir && existsSync(path.join(cwd, dir)) && !dirs.includes(dir)) {
+        dirs.push(dir);
+      }
+    }
+  }
+
+  return dirs;
+}
+
 /**
  * Find backup/temp files in the codebase
  */
-function findBackupFiles(cwd) {
+function findBackupFiles(cwd, checkDirs, backupPatterns) {
   const backupFiles = [];
 
   try {
-    // Check common directories for backup files
-    const dirsToCheck = [...DEFAULT_CHECK_DIRS, 'tests', '.claude'];
+    // Check the configured directories, plus tests and .claude
+    const dirsToCheck = expandDirs(cwd, [...checkDirs, 'tests', '.claude']);
 
     for (const dir of dirsToCheck) {
       const fullPath = path.join(cwd, dir);
       if (existsSync(fullPath)) {
         const files = findFilesRecursive(fullPath, file =>
-          BACKUP_FILE_PATTERNS.some(pattern => pattern.test(file))
+          backupPatterns.some(pattern => pattern.test(file))
         );
         backupFiles.push(...files.map(f => path.relative(cwd, f)));
       }
@@ -153,34 +173,31 @@ function findBackupFiles(cwd) {
 /**
  * Find console.log violations in production code
  */
-function findConsoleLogViolations(cwd) {
+function findConsoleLogViolations(cwd, checkDirs, exclusions) {
   const violations = [];
 
-  // Only check if src/ exists
-  const srcDir = path.join(cwd, 'src');
-  if (!existsSync(srcDir)) {
+  if (checkDirs.length === 0) {
     return violations;
   }
 
+  let result = '';
   try {
-    // Use grep to find console.log in src/ (fast)
-    const result = execSync(
-      'grep -rn "console\\.log" src/ --include="*.ts" --include="*.tsx" --include="*.js" --include="*.jsx" 2>/dev/null || true',
-      { cwd, encoding: 'utf-8', maxBuffer: 1024 * 1024 }
+    // Use grep to find console.log in the checked directories (fast)
+    result = execFileSync(
+      'grep',
+      ['-rl', 'console\\.log', '--include=*.ts', '--include=*.tsx', '--include=*.js', '--include=*.jsx', '--', ...checkDirs],
+      { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 1024 * 1024 }
     );
+  } catch (error) {
+    // grep exits 1 when nothing matches - that's OK
+    result = error.stdout || '';
+  }
 
-    const lines = result.split('\n').filter(line => line.trim());
-
-    for (const line of lines) {
-      const [filePath] = line.split(':');
-      if (filePath && !isExcluded(filePath, CONSOLE_LOG_EXCLUSIONS)) {
-        if (!violations.includes(filePath)) {
-          violations.push(filePath);
-        }
-      }
+  const files = result.split('\n').filter(line => line.trim());
+  for (const filePath of files) {
+    if (!isExcluded(filePath, exclusions) && !violations.includes(filePath)) {
+      violations.push(filePath);
     }
-  } catch (error) {
-    // Grep might fail if no matches - that's OK
   }
 
   return violations;
@@ -189,7 +206,7 @@ function findConsoleLogViolations(cwd) {
 /**
  * Find backup files that are staged for commit
  */
-function findStagedBackupFiles(cwd) {
+function findStagedBackupFiles(cwd, backupPatterns) {
   const stagedBackups = [];
 
   try {
@@ -201,7 +218,7 @@ function findStagedBackupFiles(cwd) {
     const stagedFiles = result.split('\n').filter(f => f.trim());
 
     for (const file of stagedFiles) {
-      if (BACKUP_FILE_PATTERNS.some(pattern => pattern.test(file))) {
+      if (backupPatterns.some(pattern => pattern.test(file))) {
         stagedBackups.push(file);
       }
     }
@@ -305,19 +322,46 @@ function generateReport(issues, warnings) {
   return lines.join('\n');
 }
 
-// Export for Claude Code hooks system
-module.exports = validateAntiPatterns;
+/**
+ * Hook entrypoint: keep the subagent working until the anti-patterns are fixed
+ */
+function hookHandler(input, options) {
+  const result = validateAntiPatterns({ cwd: input.cwd, options });
+  if (!result.block) {
+    return pass();
+  }
 
-// Allow running directly for testing
-if (require.main === module) {
+  // The subagent is already continuing because of a stop hook; don't hold it forever
+  if (input.stop_hook_active) {
+    console.error('[anti-patterns] Issues remain after one retry; allowing the subagent to stop');
+    return pass();
+  }
+
+  return block(result.message);
+}
+
+/**
+ * Validate the current directory and print what the hook would do
+ */
+function selfTest() {
   const result = validateAntiPatterns({ cwd: process.cwd() });
 
   if (result.block) {
     console.log('\nValidation would BLOCK with message:');
     console.log(result.message);
-    process.exit(1);
-  } else {
-    console.log('\nValidation would PASS');
-    process.exit(0);
+    return false;
+  }
+  console.log('\nValidation would PASS');
+  return true;
+}
+
+// Export the validation function (used by --self-test)
+module.exports = validateAntiPatterns;
+
+if (require.main === module) {
+  if (process.argv.includes('--self-test')) {
+    process.exit(selfTest() ? 0 : 1);
   }
+
+  runHook('validate-anti-patterns', { events: ['SubagentStop'] }, hookHandler);
 }
@@ -15,9 +15,20 @@
  *
  * Usage:
  *   Automatically triggered by Claude Code hooks system when:
- *   - Tool: Bash
+ *   - Event: PreToolUse
+ *   - Matcher: Bash
  *   - Pattern: "git commit"
  *
+ *   node validate-completion-claims.cjs --self-test   # List the built-in test cases
+ *
+ * Output:
+ *   Nothing when the commit may proceed; a PreToolUse deny decision when a
+ *   claim doesn't match reality
+ *
+ * Configuration (.claude/aai-hooks.json, see lib/hook-config.cjs):
+ *   testTimeout - Seconds the test run may take (default 60; must stay below
+ *                 the 65s timeout in hooks.json)
+ *
  * Validation:
  *   - Runs tests to verify claims
  *   - Compares claimed counts vs actual
@@ -25,6 +36,8 @@
  */
 
 const { execSync } = require('child_process');
+const { runHook, pass, deny } = require('./lib/hook-runtime.cjs');
+const { defaultOptions } = require('./lib/hook-config.cjs');
 const { existsSync, readFileSync } = require('fs');
 const path = require('path');
 
@@ -66,11 +79,13 @@ function detectTestCommand(cwd) {
  * @param {Object} context - Hook context
  * @param {string} context.command - The bash command being executed
  * @param {string} context.cwd - Current working directory
+ * @param {Object} [context.options] - Hook settings (default: the built-in defaults)
  * @returns {Object} - { block: boolean, message?: string }
  */
 function validateCompletionClaims(context) {
   const command = context.command || '';
   const cwd = context.cwd || process.cwd();
+  const { testTimeout } = context.options || defaultOptions('validate-completion-claims');
 
   if (!command.includes('git commit')) {
     return { block: false };
@@ -86,12 +101,12 @@ function validateCompletionClaims(context) {
   // Check for test count claims (e.g., "127/127 tests passing")
   const testCountMatch = message.match(/(\d+)\/(\d+)\s+tests?\s+passing/i);
   if (testCountMatch) {
-    return validateTestCount(testCountMatch[1], testCountMatch[2], cwd);
+    return validateTestCount(testCountMatch[1], testCountMatch[2], cwd, testTimeout);
   }
 
   // Check for "all tests passing" claim
   if (message.match(/all\s+tests?\s+passing/i)) {
-    return validateAllTestsPassing(cwd);
+    return validateAllTestsPassing(cwd, testTimeout);
   }
 
   // Check for file modification claims
@@ -105,7 +120,7 @@ function validateCompletionClaims(context) {
 /**
  * Validates test count claims match actual results
  */
-function validateTestCount(claimedPassing, claimedTotal, cwd) {
+function validateTestCount(claimedPassing, claimedTotal, cwd, testTimeout) {
   const claimed = {
     passing: parseInt(claimedPassing, 10),
     total: parseInt(claimedTotal, 10)
@@ -120,7 +135,7 @@ function validateTestCount(claimedPassing, claimedTotal, cwd) {
   try {
     const testOutput = execSync(`${testCommand} 2>&1`, {
       encoding: 'utf-8',
-      timeout: 60000,
+      timeout: testTimeout * 1000,
       stdio: 'pipe',
       cwd
     });
@@ -189,7 +204,7 @@ Run: ${testCommand}
 /**
  * Validates "all tests passing" claim
  */
-function validateAllTestsPassing(cwd) {
+function validateAllTestsPassing(cwd, testTimeout) {
   const testCommand = detectTestCommand(cwd);
   if (!testCommand) {
     console.log('[validate-claims] No test command found, skipping validation');
@@ -199,7 +214,7 @@ function validateAllTestsPassing(cwd) {
   try {
     const testOutput = execSync(`${testCommand} 2>&1`, {
       encoding: 'utf-8',
-      timeout: 60000,
+      timeout: testTimeout * 1000,
       stdio: 'pipe',
       cwd
     });
@@ -291,11 +306,26 @@ Evidence required:
   }
 }
 
-// Export for Claude Code hooks system
-module.exports = validateCompletionClaims;
+/**
+ * Hook entrypoint: deny the commit when its claims don't hold
+ */
+function hookHandler(input, options) {
+  if (input.tool_name && input.tool_name !== 'Bash') {
+    return pass();
+  }
 
-// Allow running directly for testing
-if (require.main === module) {
+  const result = validateCompletionClaims({
+    command: input.tool_input?.command || '',
+    cwd: input.cwd,
+    options
+  });
+  return result.block ? deny(result.message.trim()) : pass();
+}
+
+/**
+ * List the built-in test cases
+ */
+function selfTest() {
   const testCases = [
     {
       name: 'Should validate test count',
@@ -333,3 +363,15 @@ if (require.main === module) {
   console.log('  - Git working directory state (git status)');
   console.log('  - Accuracy of claims in commit message');
 }
+
+// Export the validation function (used by --self-test)
+module.exports = validateCompletionClaims;
+
+if (require.main === module) {
+  if (process.argv.includes('--self-test')) {
+    selfTest();
+    process.exit(0);
+  }
+
+  runHook('validate-completion-claims', { events: ['PreToolUse'] }, hookHandler);
+}
@@ -5,126 +5,128 @@
  * Generates plugin-manifest.json from all plugins in the plugins/ directory.
  * This manifest is used by AlphaAgent for plugin discovery and installation.
  *
+ * The output is deterministic: the same plugins/ tree always produces the same
+ * bytes. Each plugin carries a `contentHash` (SHA-256 over its sorted file tree)
+ * so installers can detect changed plugins.
+ *
+ * A plugin that can't be listed (no or unreadable plugin.json, unknown
+ * category) fails the build rather than silently dropping out of the manifest.
+ *
  * Usage:
- *   node scripts/build-manifest.js
+ *   node scripts/build-manifest.js           # Regenerate plugin-manifest.json
+ *   node scripts/build-manifest.js --check   # Exit 1 if plugin-manifest.json is stale
  */
 
 const fs = require('fs');
 const path = require('path');
+const { listAgents, listSkills, listCommands } = require('./lib/components');
+const { analyzePlugin } = require('./lib/context-cost');
+const { loadCategories, checkCategory } = require('./lib/categories');
+const { hashTree } = require('./lib/hash');
+const { indexComponents } = require('./lib/component-index');
+const { buildMarketplaceIndex } = require('./lib/references');
+const { resolveInstallPlan } = require('./lib/dependency-graph');
 
 const PLUGINS_DIR = path.join(__dirname, '..', 'plugins');
 const OUTPUT_PATH = path.join(__dirname, '..', 'plugin-manifest.json');
 
 /**
  * Get plugin metadata
+ *
+ * @param {string} pluginPath - Plugin directory
+ * @param {Object} categories - loadCategories() result
+ * @param {Object} index - buildMarketplaceIndex() result, to resolve the install order
+ * @throws {Error} When the plugin can't be listed
  */
-function getPluginMetadata(pluginPath) {
+function getPluginMetadata(pluginPath, categories, index) {
   const pluginName = path.basename(pluginPath);
   const manifestPath = path.join(pluginPath, '.claude-plugin', 'plugin.json');
 
   if (!fs.existsSync(manifestPath)) {
-    console.warn(`  Warning: ${pluginName} missing plugin.json, skipping`);
-    return null;
+    throw new Error(`${pluginName}: missing .claude-plugin/plugin.json`);
   }
 
+  let manifest;
   try {
-    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
-
-    // Count components
-    const components = {
-      agents: 0,
-      skills: 0,
-      commands: 0,
-      hooks: false
-    };
-
-    // Count agents
-    const agentsDir = path.join(pluginPath, 'agents');
-    if (fs.existsSync(agentsDir)) {
-      components.agents = fs.readdirSync(agentsDir).filter(f => f.endsWith('.md')).length;
-    }
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`${pluginName}: cannot read plugin.json: ${e.message}`);
+  }
 
-    // Count skills
-    const skillsDir = path.join(pluginPath, 'skills');
-    if (fs.existsSync(skillsDir)) {
-      components.skills = fs.readdirSync(skillsDir).filter(f =>
-        fs.statSync(path.join(skillsDir, f)).isDirectory()
-      ).length;
-    }
+  // Category is declared in plugin.json and must exist in the category registry
+  const problems = checkCategory(categories, manifest.category, manifest.subcategory);
+  if (problems.length > 0) {
+    throw new Error(`${pluginName}: ${problems.map(p => p.message).join('; ')}`);
+  }
 
-    // Count commands
-    const commandsDir = path.join(pluginPath, 'commands');
-    if (fs.existsSync(commandsDir)) {
-      components.commands = fs.readdirSync(commandsDir).filter(f => f.endsWith('.md')).length;
-    }
+  // Count components
+  const components = {
+    agents: listAgents(pluginPath).length,
+    skills: listSkills(pluginPath).length,
+    commands: listCommands(pluginPath).length,
+    hooks: false
+  };
 
-    // Check for hooks
-    const hooksPath = path.join(pluginPath, 'hooks', 'hooks.json');
-    components.hooks = fs.existsSync(hooksPath);
-
-    // Determine category from name
-    let category = 'other';
-    if (pluginName.startsWith('aai-stack-')) category = 'stack';
-    else if (pluginName.startsWith('aai-pm-')) category = 'pm';
-    else if (pluginName.startsWith('aai-dev-')) category = 'dev';
-    else if (pluginName === 'aai-core' || pluginName === 'aai-hooks') category = 'workflow';
-    else if (pluginName === 'aai-testing') category = 'testing';
-    else if (pluginName === 'aai-architecture') category = 'architecture';
-    else if (pluginName === 'aai-docs') category = 'docs';
-    else if (pluginName === 'aai-blog') category = 'blog';
-    else if (pluginName === 'aai-devops') category = 'devops';
-    else if (pluginName === 'aai-quality') category = 'quality';
-
-    return {
-      name: manifest.name || pluginName,
-      version: manifest.version || '1.0.0',
-      description: manifest.description || '',
-      category,
-      source: `./plugins/${pluginName}`,
-      keywords: manifest.keywords || [],
-      author: manifest.author,
-      components,
-      requires: manifest.requires || {},
-      recommends: manifest.recommends || {},
-      autoLoad: manifest.autoLoad || null
-    };
-  } catch (e) {
-    console.warn(`  Warning: Error reading ${pluginName}: ${e.message}`);
-    return null;
-  }
+  // Check for hooks
+  const hooksPath = path.join(pluginPath, 'hooks', 'hooks.json');
+  components.hooks = fs.existsSync(hooksPath);
+
+  // Estimated tokens added to the model's context (see scripts/context-cost.js)
+  components.contextCost = analyzePlugin(pluginPath).cost;
+
+  return {
+    name: manifest.name || pluginName,
+    version: manifest.version || '1.0.0',
+    description: manifest.description || '',
+    category: manifest.category,
+    subcategory: manifest.subcategory,
+    source: `./plugins/${pluginName}`,
+    contentHash: hashTree(pluginPath),
+    keywords: manifest.keywords || [],
+    author: manifest.author,
+    components,
+    // Every agent, skill, command and hook, for discovery without cloning
+    componentIndex: indexComponents(pluginPath, manifest),
+    requires: manifest.requires || {},
+    recommends: manifest.recommends || {},
+    conflicts: manifest.conflicts || {},
+    // requires.plugins resolved transitively, dependencies first (see scripts/dependency-graph.js)
+    installOrder: resolveInstallPlan(index, manifest.name || pluginName).order,
+    autoLoad: manifest.autoLoad || null
+  };
 }
 
 /**
- * Main execution
+ * Build the manifest object from every plugin directory
+ *
+ * @param {Object} categories - loadCategories() result
+ * @param {Function} log - Progress logger
+ * @returns {{manifest: Object, errors: string[]}} errors name the plugins left out
  */
-function main() {
-  console.log('Building plugin manifest...\n');
-
-  if (!fs.existsSync(PLUGINS_DIR)) {
-    console.error('Error: plugins/ directory not found');
-    process.exit(1);
-  }
-
+function buildManifest(categories, log) {
   const plugins = fs.readdirSync(PLUGINS_DIR).filter(f =>
     fs.statSync(path.join(PLUGINS_DIR, f)).isDirectory()
   );
 
-  console.log(`Found ${plugins.length} plugins\n`);
+  log(`Found ${plugins.length} plugins\n`);
 
   const manifestEntries = [];
+  const errors = [];
+  const index = buildMarketplaceIndex(plugins.map(p => path.join(PLUGINS_DIR, p)));
 
   for (const pluginDir of plugins.sort()) {
     const pluginPath = path.join(PLUGINS_DIR, pluginDir);
-    console.log(`Processing: ${pluginDir}`);
+    log(`Processing: ${pluginDir}`);
 
-    const metadata = getPluginMetadata(pluginPath);
-    if (metadata) {
-      manifestEntries.push(metadata);
-      console.log(`  ✅ Added to manifest`);
+    try {
+      manifestEntries.push(getPluginMetadata(pluginPath, categories, index));
+      log(`  ✅ Added to manifest`);
+    } catch (e) {
+      errors.push(e.message);
+      log(`  ❌ ${e.message}`);
     }
   }
 
-  // Build manifest
   const manifest = {
     $schema: 'https://claude.ai/schemas/plugin-manifest.json',
     name: 'alphaagent-team',
@@ -136,22 +138,114 @@ function main() {
       url: 'https://github.com/the-answerai'
     },
     repository: 'https://github.com/the-answerai/alphaagent-team',
-    plugins: manifestEntries,
-    generatedAt: new Date().toISOString()
+    plugins: manifestEntries
   };
+  return { manifest, errors };
+}
+
+function serialize(manifest) {
+  return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+/**
+ * Describe how the committed manifest differs from a fresh build
+ */
+function describeStaleness(committedText, manifest) {
+  let committed;
+  try {
+    committed = JSON.parse(committedText);
+  } catch (e) {
+    return [`plugin-manifest.json is not valid JSON: ${e.message}`];
+  }
+
+  const differences = [];
+  const before = new Map((committed.plugins || []).map(p => [p.name, p]));
+  const after = new Map(manifest.plugins.map(p => [p.name, p]));
+
+  for (const [name, entry] of after) {
+    if (!before.has(name)) {
+      differences.push(`${name}: missing from plugin-manifest.json`);
+    } else if (JSON.stringify(before.get(name)) !== JSON.stringify(entry)) {
+      const fields = Object.keys({ ...entry, ...before.get(name) })
+        .filter(key => JSON.stringify(entry[key]) !== JSON.stringify(before.get(name)[key]));
+      differences.push(`${name}: ${fields.join(', ')} changed`);
+    }
+  }
+  for (const name of before.keys()) {
+    if (!after.has(name)) differences.push(`${name}: no longer in plugins/`);
+  }
+
+  const { plugins: _before, ...committedRest } = committed;
+  const { plugins: _after, ...manifestRest } = manifest;
+  if (JSON.stringify(committedRest) !== JSON.stringify(manifestRest)) {
+    differences.push('marketplace metadata changed');
+  }
+
+  return differences.length > 0 ? differences : ['formatting differs'];
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const check = process.argv.includes('--check');
+  const log = check ? () => {} : console.log;
+
+  log('Building plugin manifest...\n');
+
+  if (!fs.existsSync(PLUGINS_DIR)) {
+    console.error('Error: plugins/ directory not found');
+    process.exit(1);
+  }
+
+  let categories;
+  try {
+    categories = loadCategories();
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  const { manifest, errors } = buildManifest(categories, log);
+  if (errors.length > 0) {
+    console.error(`\n❌ ${errors.length} plugin(s) cannot be added to plugin-manifest.json:`);
+    for (const error of errors) {
+      console.error(`   - ${error}`);
+    }
+    console.error('\n   Fix them (node scripts/validate-plugins.js shows the details); plugin-manifest.json was not written');
+    process.exit(1);
+  }
+  const output = serialize(manifest);
+
+  if (check) {
+    const committed = fs.existsSync(OUTPUT_PATH) ? fs.readFileSync(OUTPUT_PATH, 'utf-8') : null;
+
+    if (committed === output) {
+      console.log(`✅ plugin-manifest.json is up to date (${manifest.plugins.length} plugins)`);
+      return;
+    }
+
+    console.log('❌ plugin-manifest.json is stale:');
+    const differences = committed === null ? ['file not found'] : describeStaleness(committed, manifest);
+    for (const difference of differences) {
+      console.log(`   - ${difference}`);
+    }
+    console.log('\n   Run node scripts/build-manifest.js to regenerate it');
+    process.exit(1);
+  }
 
   // Write manifest
-  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(manifest, null, 2));
+  fs.writeFileSync(OUTPUT_PATH, output);
 
   console.log(`\n${'='.repeat(50)}`);
   console.log(`\n✅ Generated plugin-manifest.json`);
-  console.log(`   Plugins: ${manifestEntries.length}`);
+  console.log(`   Plugins: ${manifest.plugins.length}`);
   console.log(`   Output: ${OUTPUT_PATH}`);
 
   // Summary by category
   console.log('\nPlugins by category:');
   const byCategory = {};
-  for (const plugin of manifestEntries) {
+  for (const plugin of manifest.plugins) {
     byCategory[plugin.category] = (byCategory[plugin.category] || 0) + 1;
   }
   for (const [category, count] of Object.entries(byCategory).sort()) {
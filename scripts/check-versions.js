@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * Version Check Script
+ *
+ * Compares every plugin against a base ref and fails when a plugin's files changed
+ * but its plugin.json `version` didn't. Suggests the bump from what changed:
+ *   - major: an agent, command or skill was removed
+ *   - minor: an agent, command or skill was added
+ *   - patch: anything else
+ *
+ * Changes to a plugin's CHANGELOG.md alone don't require a bump.
+ *
+ * Usage:
+ *   node scripts/check-versions.js --base origin/main               # Check bumps (exits 1 if missing)
+ *   node scripts/check-versions.js --base origin/main --changelog   # Also write CHANGELOG.md sections
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listAgents, listCommands, listSkills, componentsFromPaths } = require('./lib/components');
+const { changedFilesSince, showFile, listFilesAt, commitsSince } = require('./lib/git');
+const { BUMP_TYPES, parseVersion, bumpType, incrementVersion } = require('./lib/semver');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PLUGINS_DIR = path.join(ROOT_DIR, 'plugins');
+
+const CHANGELOG_FILE = 'CHANGELOG.md';
+
+const COMPONENT_TYPES = [
+  { key: 'agents', label: 'agent' },
+  { key: 'commands', label: 'command' },
+  { key: 'skills', label: 'skill' }
+];
+
+/**
+ * Group changed files by plugin directory name, ignoring changelog-only edits
+ *
+ * @returns {Map<string, string[]>} Plugin directory → changed files (repo-relative)
+ */
+function changedPlugins(changedFiles) {
+  const plugins = new Map();
+  const pluginsRel = path.relative(ROOT_DIR, PLUGINS_DIR);
+
+  for (const file of changedFiles) {
+    const [dir, name, ...rest] = file.split('/');
+    if (dir !== pluginsRel || rest.length === 0) continue;
+    if (rest.join('/') === CHANGELOG_FILE) continue;
+
+    if (!plugins.has(name)) plugins.set(name, []);
+    plugins.get(name).push(file);
+  }
+
+  return plugins;
+}
+
+/**
+ * Current component names of a plugin
+ */
+function currentComponents(pluginPath) {
+  return {
+    agents: listAgents(pluginPath).map(c => c.name),
+    commands: listCommands(pluginPath).map(c => c.name),
+    skills: listSkills(pluginPath).filter(c => fs.existsSync(c.file)).map(c => c.name)
+  };
+}
+
+/**
+ * Components added and removed between two component sets
+ *
+ * @returns {{added: string[], removed: string[]}} Entries like "skill api-design"
+ */
+function diffComponents(before, after) {
+  const added = [];
+  const removed = [];
+
+  for (const { key, label } of COMPONENT_TYPES) {
+    for (const name of after[key].filter(n => !before[key].includes(n))) added.push(`${label} ${name}`);
+    for (const name of before[key].filter(n => !after[key].includes(n))) removed.push(`${label} ${name}`);
+  }
+
+  return { added, removed };
+}
+
+/**
+ * Compare one plugin against the base ref
+ *
+ * @returns {Object|null} null if the plugin didn't exist at the base ref or was deleted
+ */
+function checkPlugin(base, name, files) {
+  const pluginPath = path.join(PLUGINS_DIR, name);
+  const pluginRel = path.relative(ROOT_DIR, pluginPath);
+  const manifestRel = `${pluginRel}/.claude-plugin/plugin.json`;
+
+  if (!fs.existsSync(pluginPath)) return null;
+
+  const result = { name, pluginPath, files, errors: [], warnings: [] };
+
+  try {
+    result.version = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, manifestRel), 'utf-8')).version;
+  } catch (e) {
+    result.errors.push(`Invalid plugin.json: ${e.message}`);
+    return result;
+  }
+
+  const baseManifest = showFile(base, manifestRel, ROOT_DIR);
+  if (baseManifest === null) {
+    result.isNew = true;
+    return result;
+  }
+
+  try {
+    result.baseVersion = JSON.parse(baseManifest).version;
+  } catch (e) {
+    result.errors.push(`Invalid plugin.json at ${base}: ${e.message}`);
+    return result;
+  }
+
+  for (const [label, version] of [['base', result.baseVersion], ['current', result.version]]) {
+    if (!parseVersion(version)) {
+      result.errors.push(`Invalid ${label} version '${version}'`);
+    }
+  }
+  if (result.errors.length > 0) return result;
+
+  const before = componentsFromPaths(listFilesAt(base, pluginRel, ROOT_DIR));
+  const { added, removed } = diffComponents(before, currentComponents(pluginPath));
+  result.added = added;
+  result.removed = removed;
+  result.suggested = removed.length > 0 ? 'major' : added.length > 0 ? 'minor' : 'patch';
+  result.bump = bumpType(result.baseVersion, result.version);
+
+  const suggestedVersion = incrementVersion(result.baseVersion, result.suggested);
+  if (!result.bump) {
+    result.errors.push(
+      `${files.length} file(s) changed but version is ${result.version} (${result.baseVersion} at ${base}); ` +
+      `suggested: ${result.suggested} → ${suggestedVersion}`
+    );
+  } else if (BUMP_TYPES.indexOf(result.bump) < BUMP_TYPES.indexOf(result.suggested)) {
+    result.warnings.push(
+      `Version bumped ${result.bump} (${result.baseVersion} → ${result.version}) but changes suggest ` +
+      `${result.suggested} → ${suggestedVersion}`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Build a changelog section for a plugin's current version
+ */
+function changelogSection(result, base) {
+  const commits = commitsSince(base, path.relative(ROOT_DIR, result.pluginPath), ROOT_DIR);
+  const date = commits.length > 0 ? commits[0].date : new Date().toISOString().slice(0, 10);
+  const lines = [`## [${result.version}] - ${date}`, ''];
+
+  if (result.added && result.added.length > 0) {
+    lines.push('### Added', '', ...result.added.map(c => `- ${c}`), '');
+  }
+  if (result.removed && result.removed.length > 0) {
+    lines.push('### Removed', '', ...result.removed.map(c => `- ${c}`), '');
+  }
+  if (commits.length > 0) {
+    lines.push('### Changes', '', ...commits.map(c => `- ${c.subject} (${c.hash})`), '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Insert or replace the section for the current version in a plugin's CHANGELOG.md
+ */
+function writeChangelog(result, section) {
+  const filePath = path.join(result.pluginPath, CHANGELOG_FILE);
+  const content = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf-8')
+    : `# Changelog\n\nAll notable changes to ${result.name} are documented in this file.\n\n`;
+
+  const lines = content.split('\n');
+  const heading = `## [${result.version}]`;
+  const start = lines.findIndex(l => l.startsWith(heading));
+  let updated;
+
+  if (start !== -1) {
+    const next = lines.findIndex((l, i) => i > start && l.startsWith('## '));
+    const end = next === -1 ? lines.length : next;
+    updated = [...lines.slice(0, start), ...section.split('\n'), ...lines.slice(end)].join('\n');
+  } else {
+    const first = lines.findIndex(l => l.startsWith('## '));
+    const at = first === -1 ? lines.length : first;
+    const before = lines.slice(0, at).join('\n').replace(/\n*$/, '\n\n');
+    updated = before + section + (first === -1 ? '' : '\n' + lines.slice(at).join('\n'));
+  }
+
+  fs.writeFileSync(filePath, updated.replace(/\n*$/, '\n'));
+  return filePath;
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { base: null, changelog: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--changelog') {
+      options.changelog = true;
+    } else if (arg === '--base') {
+      options.base = argv[++i];
+    } else if (arg.startsWith('--base=')) {
+      options.base = arg.slice('--base='.length);
+    } else {
+      console.error(`Error: Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.base) {
+    console.error('Error: --base <ref> is required');
+    process.exit(1);
+  }
+
+  let plugins;
+  try {
+    plugins = changedPlugins(changedFilesSince(options.base, ROOT_DIR));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  console.log(`Checking versions of ${plugins.size} changed plugin(s) against ${options.base}...`);
+  console.log('='.repeat(50));
+
+  const results = [...plugins]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, files]) => checkPlugin(options.base, name, files))
+    .filter(Boolean);
+
+  for (const result of results) {
+    console.log(`\n${result.name}`);
+
+    if (result.isNew) {
+      console.log(`  ✅ New plugin at ${result.version}`);
+    } else if (result.errors.length > 0) {
+      console.log('  ❌ FAILED');
+      result.errors.forEach(e => console.log(`     Error: ${e}`));
+    } else {
+      console.log(`  ✅ ${result.baseVersion} → ${result.version} (${result.bump})`);
+    }
+    result.warnings.forEach(w => console.log(`     ⚠️  ${w}`));
+    (result.removed || []).forEach(c => console.log(`     Removed ${c}`));
+    (result.added || []).forEach(c => console.log(`     Added ${c}`));
+
+    if (options.changelog && result.errors.length === 0) {
+      const filePath = writeChangelog(result, changelogSection(result, options.base));
+      console.log(`     Wrote ${path.relative(ROOT_DIR, filePath)}`);
+    }
+  }
+
+  const failed = results.filter(r => r.errors.length > 0);
+
+  console.log('\n' + '='.repeat(50));
+  if (failed.length > 0) {
+    console.log(`\n❌ ${failed.length} plugin(s) need a version bump`);
+    console.log('   Bump `version` in plugin.json, then run node scripts/sync-catalog.js --write');
+    process.exit(1);
+  }
+
+  console.log('\n✅ All changed plugins have a version bump');
+}
+
+main();
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Context Cost Analyzer
+ *
+ * Estimates (offline) how many tokens each plugin adds to the model's context:
+ * descriptions loaded up front, and the agent, skill and command files loaded
+ * when invoked. Flags files and descriptions over the budgets of the
+ * `context/budget` rule in .plugin-lint.json.
+ *
+ * Usage:
+ *   node scripts/context-cost.js                          # Cost per plugin, largest first
+ *   node scripts/context-cost.js plugins/aai-stack-react  # Cost per component of one plugin
+ *   node scripts/context-cost.js --details                # Cost per component of every plugin
+ *   node scripts/context-cost.js --json                   # Machine-readable output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const lint = require('./lib/lint');
+const { analyzePlugin, findOverBudget } = require('./lib/context-cost');
+const { listDirs } = require('./lib/components');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PLUGINS_DIR = path.join(ROOT_DIR, 'plugins');
+
+/**
+ * Budgets for a plugin from the context/budget rule settings
+ */
+function budgetsFor(config, registry, pluginName) {
+  return lint.ruleSettings(config, registry.get('context/budget'), pluginName).options;
+}
+
+/**
+ * Right-align a number in a column
+ */
+function col(value, width = 8) {
+  return String(value).padStart(width);
+}
+
+function printPlugin(result, details) {
+  const { cost } = result;
+  const flag = result.overBudget.length > 0 ? ' ⚠️' : '';
+  console.log(
+    `${result.name.padEnd(28)}${col(cost.descriptions)}${col(cost.agents)}${col(cost.skills)}` +
+    `${col(cost.commands)}${col(cost.total)}${flag}`
+  );
+
+  if (!details) return;
+
+  for (const component of [...result.components].sort((a, b) => b.tokens - a.tokens)) {
+    const over = result.overBudget.filter(o => o.component === component);
+    const note = over.map(o => `⚠️  ${o.kind} over ${o.budget}`).join(', ');
+    console.log(`  ${`${component.type} ${component.name}`.padEnd(42)}${col(component.descriptionTokens, 6)}${col(component.tokens)}  ${note}`.trimEnd());
+  }
+  console.log('');
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const pluginArgs = args.filter(a => !a.startsWith('--'));
+  const details = args.includes('--details') || pluginArgs.length > 0;
+
+  let config;
+  let registry;
+  try {
+    config = lint.loadConfig(path.join(ROOT_DIR, lint.CONFIG_FILE), { optional: true });
+    registry = lint.createRegistry(config);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  const pluginPaths = pluginArgs.length > 0
+    ? pluginArgs.map(p => path.resolve(p))
+    : listDirs(PLUGINS_DIR).map(name => path.join(PLUGINS_DIR, name));
+
+  for (const pluginPath of pluginPaths) {
+    if (!fs.existsSync(pluginPath)) {
+      console.error(`Error: Plugin not found: ${path.relative(process.cwd(), pluginPath)}`);
+      process.exit(1);
+    }
+  }
+
+  const results = pluginPaths.map(pluginPath => {
+    const name = path.basename(pluginPath);
+    const analysis = analyzePlugin(pluginPath);
+    return {
+      name,
+      ...analysis,
+      overBudget: findOverBudget(analysis.components, budgetsFor(config, registry, name))
+    };
+  }).sort((a, b) => b.cost.total - a.cost.total);
+
+  if (json) {
+    console.log(JSON.stringify(results.map(r => ({
+      name: r.name,
+      contextCost: r.cost,
+      components: r.components.map(c => ({
+        type: c.type,
+        name: c.name,
+        file: path.relative(ROOT_DIR, c.file),
+        tokens: c.tokens,
+        descriptionTokens: c.descriptionTokens
+      })),
+      overBudget: r.overBudget.map(o => ({
+        type: o.component.type,
+        name: o.component.name,
+        kind: o.kind,
+        tokens: o.tokens,
+        budget: o.budget
+      }))
+    })), null, 2));
+    return;
+  }
+
+  console.log('Estimated context cost (tokens)\n');
+  console.log(`${'Plugin'.padEnd(28)}${col('Descr.')}${col('Agents')}${col('Skills')}${col('Cmds')}${col('Total')}`);
+  console.log('='.repeat(68));
+
+  for (const result of results) {
+    printPlugin(result, details);
+  }
+
+  const overBudget = results.flatMap(r => r.overBudget);
+  const descriptions = results.reduce((total, r) => total + r.cost.descriptions, 0);
+
+  console.log('='.repeat(68));
+  console.log(`\nDescriptions loaded up front by all ${results.length} plugin(s): ~${descriptions} tokens`);
+
+  if (overBudget.length > 0) {
+    console.log(`\n⚠️  ${overBudget.length} file(s) or description(s) over budget (run with --details to see them)`);
+  } else {
+    console.log('\n✅ Everything is within budget');
+  }
+}
+
+main();
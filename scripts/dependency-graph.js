@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Plugin Dependency Graph
+ *
+ * Resolves `requires.plugins` transitively and prints the install order of each
+ * plugin, the plugins it recommends, and any conflicts, cycles or unknown
+ * plugins in that closure. Agent skills provided by plugins outside the closure
+ * are reported as warnings. Also exports the graph as Mermaid or Graphviz DOT.
+ *
+ * Usage:
+ *   node scripts/dependency-graph.js                          # Install plan for every plugin with dependencies
+ *   node scripts/dependency-graph.js aai-dev-fullstack        # Install plan for one plugin
+ *   node scripts/dependency-graph.js --format mermaid         # Graph as a Mermaid flowchart
+ *   node scripts/dependency-graph.js --format dot --output plugins.dot
+ *
+ * Options:
+ *   --format <plan|json|mermaid|dot>  Output format (default: plan)
+ *   --output <file>                   Write the output to a file instead of stdout
+ *   --all                             Include plugins without dependencies
+ *
+ * Exits 1 when a plan has a conflict, a cycle or an unknown plugin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildMarketplaceIndex } = require('./lib/references');
+const { listDirs } = require('./lib/components');
+const {
+  buildDependencyGraph,
+  resolveInstallPlan,
+  subgraph,
+  connectedOnly,
+  toMermaid,
+  toDot
+} = require('./lib/dependency-graph');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PLUGINS_DIR = path.join(ROOT_DIR, 'plugins');
+
+const FORMATS = ['plan', 'json', 'mermaid', 'dot'];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { format: 'plan', output: null, all: false, plugins: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--all') {
+      options.all = true;
+    } else if (['--format', '--output'].includes(arg)) {
+      options[arg.slice(2)] = argv[++i];
+    } else if (/^--(format|output)=/.test(arg)) {
+      const [key, value] = arg.slice(2).split(/=(.*)/);
+      options[key] = value;
+    } else {
+      // Accept plugin names and plugin paths
+      options.plugins.push(path.basename(path.resolve(arg)));
+    }
+  }
+
+  return options;
+}
+
+function hasProblems(plan) {
+  return plan.conflicts.length > 0 || plan.cycles.length > 0 || plan.missing.length > 0;
+}
+
+/**
+ * Human-readable install plans
+ */
+function formatPlans(plans) {
+  const lines = [];
+
+  for (const plan of plans) {
+    lines.push(`${hasProblems(plan) ? '❌' : '✅'} ${plan.plugin}`);
+    lines.push(`   Install order: ${plan.order.join(' → ')}`);
+    if (plan.recommended.length > 0) {
+      lines.push(`   Recommended: ${plan.recommended.join(', ')}`);
+    }
+    for (const { plugin, requiredBy } of plan.missing) {
+      lines.push(`   Error: ${requiredBy} requires unknown plugin '${plugin}'`);
+    }
+    for (const { plugin, conflictsWith } of plan.conflicts) {
+      lines.push(`   Error: ${plugin} conflicts with ${conflictsWith}`);
+    }
+    for (const cycle of plan.cycles) {
+      lines.push(`   Error: Dependency cycle: ${cycle.join(' → ')}`);
+    }
+    for (const { plugin, agent, skill, provider } of plan.unsatisfied) {
+      lines.push(`   Warning: ${plugin} agent '${agent}' uses skill '${skill}' from ${provider}, which is not installed`);
+    }
+    lines.push('');
+  }
+
+  const failed = plans.filter(hasProblems).length;
+  lines.push('='.repeat(50));
+  lines.push(failed > 0
+    ? `\n❌ ${failed} of ${plans.length} plugin(s) cannot be installed cleanly`
+    : `\n✅ ${plans.length} plugin(s) resolve cleanly`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!FORMATS.includes(options.format)) {
+    console.error(`Error: Unknown format '${options.format}' (expected one of: ${FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const index = buildMarketplaceIndex(listDirs(PLUGINS_DIR).map(name => path.join(PLUGINS_DIR, name)));
+
+  for (const name of options.plugins) {
+    if (!index.plugins.has(name)) {
+      console.error(`Error: Plugin not found: ${name}`);
+      process.exit(1);
+    }
+  }
+
+  let graph = buildDependencyGraph(index);
+  if (options.plugins.length > 0) {
+    graph = subgraph(graph, options.plugins);
+  } else if (!options.all) {
+    graph = connectedOnly(graph);
+  }
+
+  const names = options.plugins.length > 0
+    ? options.plugins
+    : graph.nodes.filter(name => options.all || graph.edges.some(e => e.from === name));
+  const plans = names.map(name => resolveInstallPlan(index, name));
+
+  let output;
+  switch (options.format) {
+    case 'mermaid':
+      output = toMermaid(graph);
+      break;
+    case 'dot':
+      output = toDot(graph);
+      break;
+    case 'json':
+      output = JSON.stringify({ graph, plans }, null, 2) + '\n';
+      break;
+    default:
+      output = formatPlans(plans);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (plans.some(hasProblems)) {
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Documentation Generator
+ *
+ * Regenerates the catalog documentation from plugin-manifest.json:
+ *   - the `<!-- generated:... -->` regions of README.md and docs/README.md
+ *     (plugin counts, lists and tables; see scripts/lib/docs.js)
+ *   - plugins/<name>/README.md, listing the plugin's agents, skills, commands
+ *     and hooks
+ *
+ * Plugin READMEs are part of each plugin's content hash, so run
+ * build-manifest.js again after they change.
+ *
+ * Usage:
+ *   node scripts/generate-docs.js           # Rewrite generated docs
+ *   node scripts/generate-docs.js --check   # Exit 1 if any generated doc is stale
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { updateRegions, renderPluginReadme } = require('./lib/docs');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'plugin-manifest.json');
+
+// Hand-written files with generated regions, relative to the repository root
+const REGION_FILES = ['README.md', 'docs/README.md'];
+
+/**
+ * Render every generated document
+ *
+ * @param {Object} manifest - Parsed plugin-manifest.json
+ * @returns {{files: Array<{file: string, content: string}>, errors: string[]}}
+ */
+function renderDocs(manifest) {
+  const files = [];
+  const errors = [];
+
+  for (const file of REGION_FILES) {
+    const filePath = path.join(ROOT_DIR, file);
+    if (!fs.existsSync(filePath)) {
+      errors.push(`${file}: file not found`);
+      continue;
+    }
+
+    const result = updateRegions(fs.readFileSync(filePath, 'utf-8'), manifest, path.dirname(file));
+    errors.push(...result.errors.map(error => `${file}: ${error}`));
+    if (result.regions === 0) {
+      errors.push(`${file}: no generated regions found`);
+    }
+    files.push({ file, content: result.text });
+  }
+
+  for (const plugin of manifest.plugins) {
+    const dir = (plugin.source || `./plugins/${plugin.name}`).replace(/^\.\//, '');
+    if (!fs.existsSync(path.join(ROOT_DIR, dir))) {
+      errors.push(`${plugin.name}: plugin directory ${dir} not found - run node scripts/build-manifest.js`);
+      continue;
+    }
+    files.push({ file: `${dir}/README.md`, content: renderPluginReadme(plugin, manifest.name) });
+  }
+
+  return { files, errors };
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const check = process.argv.includes('--check');
+
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    console.error('Error: plugin-manifest.json not found - run node scripts/build-manifest.js');
+    process.exit(1);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+  const { files, errors } = renderDocs(manifest);
+
+  if (errors.length > 0) {
+    for (const error of errors) {
+      console.error(`❌ ${error}`);
+    }
+    process.exit(1);
+  }
+
+  const stale = files.filter(({ file, content }) => {
+    const filePath = path.join(ROOT_DIR, file);
+    return !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf-8') !== content;
+  });
+
+  if (check) {
+    if (stale.length === 0) {
+      console.log(`✅ Generated docs are up to date (${files.length} files)`);
+      return;
+    }
+    console.log(`❌ ${stale.length} generated doc(s) are stale:`);
+    for (const { file } of stale) {
+      console.log(`   ${file}`);
+    }
+    console.log('\n   Run node scripts/generate-docs.js to regenerate them');
+    process.exit(1);
+  }
+
+  for (const { file, content } of stale) {
+    fs.writeFileSync(path.join(ROOT_DIR, file), content);
+    console.log(`✅ Updated ${file}`);
+  }
+
+  if (stale.length === 0) {
+    console.log(`✅ Generated docs are up to date (${files.length} files)`);
+  } else if (stale.some(({ file }) => file.startsWith('plugins/'))) {
+    console.log('\n⚠️  Plugin READMEs changed - run node scripts/build-manifest.js to update content hashes');
+  }
+}
+
+main();
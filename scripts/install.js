@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * Project Plugin Installer
+ *
+ * Installs plugins from this marketplace into a project's .claude/plugins/
+ * directory, with everything they require, and pins them in
+ * .claude/plugins.lock.json (version and content hash). Works from
+ * plugin-manifest.json, so regenerate it first if plugins changed.
+ *
+ * Usage:
+ *   node scripts/install.js install aai-dev-fullstack --project ../my-app   # Install with its requirements
+ *   node scripts/install.js update --project ../my-app                      # Update every installed plugin
+ *   node scripts/install.js update aai-core --project ../my-app             # Update one plugin
+ *   node scripts/install.js uninstall aai-dev-fullstack --project ../my-app # Remove it and unused requirements
+ *   node scripts/install.js list --project ../my-app                        # Show installed plugins
+ *
+ * Options:
+ *   --project <dir>   Project to install into (default: current directory)
+ *
+ * `list` exits 1 when an installed copy is missing or no longer matches the lockfile.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashTree } = require('./lib/hash');
+const {
+  projectPaths,
+  readLockfile,
+  dependentsOf,
+  directPlugins,
+  reconcile
+} = require('./lib/installer');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'plugin-manifest.json');
+
+const COMMANDS = ['install', 'update', 'uninstall', 'list'];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { command: null, project: process.cwd(), plugins: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--project') {
+      options.project = argv[++i];
+    } else if (arg.startsWith('--project=')) {
+      options.project = arg.slice('--project='.length);
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.plugins.push(arg);
+    }
+  }
+
+  options.project = path.resolve(options.project || '.');
+  return options;
+}
+
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    throw new Error('plugin-manifest.json not found - run node scripts/build-manifest.js');
+  }
+  return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+}
+
+/**
+ * Print one change made by reconcile()
+ */
+function printChange({ action, name, version, from, requiredBy }) {
+  switch (action) {
+    case 'installed':
+      console.log(`✅ Installed ${name}@${version}${requiredBy.length > 0 ? ` (required by ${requiredBy.join(', ')})` : ''}`);
+      break;
+    case 'updated':
+      console.log(`⬆️  Updated ${name} ${from} → ${version}`);
+      break;
+    case 'restored':
+      console.log(`✅ Restored ${name}@${version}`);
+      break;
+    default:
+      console.log(`🗑️  Removed ${name}`);
+  }
+}
+
+function install(context, names) {
+  if (names.length === 0) throw new Error('Name at least one plugin to install');
+
+  const unknown = names.filter(name => !context.byName.has(name));
+  if (unknown.length > 0) throw new Error(`Unknown plugin '${unknown[0]}'`);
+
+  for (const name of names.filter(n => context.lock.plugins[n])) {
+    console.log(`   ${name}@${context.lock.plugins[name].version} is already installed`);
+  }
+  reconcile(context, new Set([...directPlugins(context.lock), ...names]), new Set(), printChange);
+}
+
+function update(context, names) {
+  const installed = Object.keys(context.lock.plugins);
+  const notInstalled = names.filter(name => !installed.includes(name));
+  if (notInstalled.length > 0) throw new Error(`${notInstalled[0]} is not installed`);
+
+  const targets = names.length > 0 ? names : installed;
+  for (const name of targets.filter(n => !context.byName.has(n))) {
+    console.log(`⚠️  ${name} is no longer in the marketplace; keeping the installed copy`);
+  }
+
+  const refresh = new Set(targets.filter(name => context.byName.has(name)));
+  if (reconcile(context, directPlugins(context.lock), refresh, printChange) === 0) {
+    console.log('✅ Everything is up to date');
+  }
+}
+
+function uninstall(context, names) {
+  if (names.length === 0) throw new Error('Name at least one plugin to uninstall');
+
+  for (const name of names) {
+    if (!context.lock.plugins[name]) throw new Error(`${name} is not installed`);
+
+    const dependents = dependentsOf(context.lock, name).filter(d => !names.includes(d));
+    if (dependents.length > 0) {
+      throw new Error(`${name} is required by ${dependents.join(', ')}; uninstall ${dependents.length > 1 ? 'them' : 'it'} first`);
+    }
+  }
+
+  const direct = directPlugins(context.lock);
+  names.forEach(name => direct.delete(name));
+  reconcile(context, direct, new Set(), printChange);
+}
+
+function list({ byName, paths, lock }) {
+  const names = Object.keys(lock.plugins).sort();
+  if (names.length === 0) {
+    console.log(`No plugins installed in ${paths.claudeDir}`);
+    return true;
+  }
+
+  let intact = true;
+  console.log(`Plugins installed in ${paths.claudeDir}\n`);
+
+  for (const name of names) {
+    const locked = lock.plugins[name];
+    const dir = path.join(paths.pluginsDir, name);
+    const available = byName.get(name);
+
+    let status = '✅';
+    if (!fs.existsSync(dir)) {
+      status = '❌ missing - run update';
+      intact = false;
+    } else if (hashTree(dir) !== locked.contentHash) {
+      status = '❌ modified since install - run update to restore';
+      intact = false;
+    } else if (available && available.contentHash !== locked.contentHash) {
+      status = `⬆️  ${available.version} available`;
+    }
+
+    const how = locked.direct ? '' : ` (required by ${dependentsOf(lock, name).join(', ')})`;
+    console.log(`   ${`${name}@${locked.version}`.padEnd(32)} ${status}${how}`);
+  }
+
+  return intact;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!COMMANDS.includes(options.command)) {
+    console.error(`Usage: node scripts/install.js <${COMMANDS.join('|')}> [plugin...] [--project <dir>]`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(options.project)) {
+    console.error(`Error: Project directory not found: ${options.project}`);
+    process.exit(1);
+  }
+
+  try {
+    const manifest = loadManifest();
+    const paths = projectPaths(options.project);
+    const context = {
+      manifest,
+      byName: new Map(manifest.plugins.map(p => [p.name, p])),
+      marketplaceDir: ROOT_DIR,
+      paths,
+      lock: readLockfile(paths.lockPath)
+    };
+
+    switch (options.command) {
+      case 'install':
+        install(context, options.plugins);
+        break;
+      case 'update':
+        update(context, options.plugins);
+        break;
+      case 'uninstall':
+        uninstall(context, options.plugins);
+        break;
+      default:
+        if (!list(context)) process.exit(1);
+    }
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+main();
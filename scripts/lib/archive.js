@@ -0,0 +1,189 @@
+/**
+ * Reproducible Plugin Archives
+ *
+ * Packs a directory into a gzipped tarball (ustar) whose bytes depend only on
+ * the files' paths, contents and executable bits: entries are sorted, owners
+ * and timestamps are zeroed, and the gzip header carries no time or OS. The
+ * same plugin tree therefore always produces the same tar bytes.
+ *
+ * The compressed bytes are only stable for a given zlib build: another Node.js
+ * version may deflate the same tar differently. Compare tars (tarDirectory())
+ * when the check must hold across machines.
+ *
+ * Also reads such archives back, so their contents can be checked against a
+ * plugin's contentHash without extracting them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { listFiles } = require('./hash');
+
+const BLOCK_SIZE = 512;
+
+// Entry types used in these archives
+const TYPE_FILE = '0';
+const TYPE_SYMLINK = '2';
+
+/**
+ * Write a NUL-padded field into a header
+ */
+function writeField(header, offset, length, value) {
+  const bytes = Buffer.from(value, 'utf-8');
+  if (bytes.length > length) {
+    throw new Error(`'${value}' is too long for a tar header field (${length} bytes)`);
+  }
+  bytes.copy(header, offset);
+}
+
+function writeOctal(header, offset, length, value) {
+  writeField(header, offset, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+}
+
+/**
+ * Split a path into ustar `prefix` and `name` (at most 155 and 100 bytes)
+ */
+function splitPath(entryPath) {
+  if (Buffer.byteLength(entryPath) <= 100) return { prefix: '', name: entryPath };
+
+  for (let i = entryPath.indexOf('/'); i !== -1; i = entryPath.indexOf('/', i + 1)) {
+    const prefix = entryPath.slice(0, i);
+    const name = entryPath.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) return { prefix, name };
+  }
+  throw new Error(`Path too long for a tar archive: ${entryPath}`);
+}
+
+/**
+ * ustar header block for an entry
+ */
+function tarHeader({ path: entryPath, size, mode, type, linkname = '' }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const { prefix, name } = splitPath(entryPath);
+
+  writeField(header, 0, 100, name);
+  writeOctal(header, 100, 8, mode);
+  writeOctal(header, 108, 8, 0); // uid
+  writeOctal(header, 116, 8, 0); // gid
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, 0); // mtime
+  header.fill(' ', 148, 156); // checksum is computed with its own field as spaces
+  writeField(header, 156, 1, type);
+  writeField(header, 157, 100, linkname);
+  writeField(header, 257, 6, 'ustar\0');
+  writeField(header, 263, 2, '00');
+  writeField(header, 345, 155, prefix);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeField(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+  return header;
+}
+
+function padding(size) {
+  const remainder = size % BLOCK_SIZE;
+  return Buffer.alloc(remainder === 0 ? 0 : BLOCK_SIZE - remainder);
+}
+
+/**
+ * Pack a directory into a reproducible (uncompressed) tar
+ *
+ * @param {string} dir - Directory to pack
+ * @param {string} root - Directory name the entries are placed under (e.g. "aai-core")
+ * @returns {Buffer}
+ */
+function tarDirectory(dir, root) {
+  const blocks = [];
+
+  for (const relPath of listFiles(dir)) {
+    const filePath = path.join(dir, relPath);
+    const stats = fs.lstatSync(filePath);
+    const entryPath = `${root}/${relPath}`;
+
+    if (stats.isSymbolicLink()) {
+      blocks.push(tarHeader({ path: entryPath, size: 0, mode: 0o777, type: TYPE_SYMLINK, linkname: fs.readlinkSync(filePath) }));
+      continue;
+    }
+
+    const content = fs.readFileSync(filePath);
+    // Only the executable bit is kept: hook scripts must stay runnable
+    const mode = stats.mode & 0o111 ? 0o755 : 0o644;
+    blocks.push(tarHeader({ path: entryPath, size: content.length, mode, type: TYPE_FILE }), content, padding(content.length));
+  }
+
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Compress a tar without a timestamp or OS in the gzip header
+ */
+function gzipTar(tar) {
+  const gzip = zlib.gzipSync(tar, { level: 9 });
+  gzip[9] = 0xff; // OS: unknown, so the bytes don't depend on the platform that built them
+  return gzip;
+}
+
+/**
+ * Pack a directory into a .tar.gz
+ *
+ * @param {string} dir - Directory to pack
+ * @param {string} root - Directory name the entries are placed under
+ * @returns {Buffer}
+ */
+function packDirectory(dir, root) {
+  return gzipTar(tarDirectory(dir, root));
+}
+
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return block.toString('utf-8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+/**
+ * Read the entries of a .tar.gz created by packDirectory()
+ *
+ * @param {Buffer} archive
+ * @returns {Array<{path: string, type: string, mode: number, content: Buffer|string}>} Symlinks carry their target as content
+ */
+function readArchive(archive) {
+  return readTar(zlib.gunzipSync(archive));
+}
+
+/**
+ * Read the entries of a tar created by tarDirectory()
+ *
+ * @param {Buffer} tar
+ * @returns {Array<{path: string, type: string, mode: number, content: Buffer|string}>}
+ */
+function readTar(tar) {
+  const entries = [];
+
+  for (let offset = 0; offset + BLOCK_SIZE <= tar.length;) {
+    const header = tar.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) break;
+
+    const name = readString(header, 0, 100);
+    const prefix = readString(header, 345, 155);
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156]);
+    const entryPath = prefix ? `${prefix}/${name}` : name;
+    offset += BLOCK_SIZE;
+
+    if (type === TYPE_SYMLINK) {
+      entries.push({ path: entryPath, type, mode: 0o777, content: readString(header, 157, 100) });
+    } else if (type === TYPE_FILE || type === '\0') {
+      entries.push({
+        path: entryPath,
+        type: TYPE_FILE,
+        mode: parseInt(readString(header, 100, 8).trim(), 8),
+        content: tar.subarray(offset, offset + size)
+      });
+    }
+    offset += size + padding(size).length;
+  }
+
+  return entries;
+}
+
+module.exports = { tarDirectory, gzipTar, packDirectory, readArchive, readTar };
@@ -0,0 +1,435 @@
+/**
+ * autoLoad Conditions
+ *
+ * Grammar, validation and evaluation of the `autoLoad.when` condition in
+ * plugin.json, which says which projects a plugin applies to. A condition is a
+ * JSON object with exactly one of these forms:
+ *
+ *   { "dependency": "react" }                        package in dependencies or devDependencies
+ *   { "dependency": "next", "version": ">=13" }      ...whose version satisfies an npm range
+ *   { "dependency": "jest", "dev": true }            ...in devDependencies only
+ *                                                    ("dev": false: anywhere else)
+ *   { "file": "tsconfig.json" }                      a file matching the glob exists
+ *   { "config": "tsconfig.json", "key": "compilerOptions.jsx" }
+ *                                                    a config file contains the (dotted) key
+ *   { "any": [ ...conditions ] }                     at least one condition holds
+ *   { "all": [ ...conditions ] }                     every condition holds
+ *   { "always": true }                               every project
+ *
+ * Package names may use `*` ("@auth0/*"). Globs support `*`, `?` and `**`; a
+ * glob without a slash matches a file name at any depth. JSON config files
+ * (comments allowed) are checked for the key path; other config files are
+ * searched for `<last key>:` or `<last key> =`.
+ *
+ * The older shorthand `{ "dependencies": [...], "devDependencies": [...],
+ * "files": [...], "always": bool }` is still accepted and means "any of these".
+ *
+ * Project detection follows detectStack() in
+ * aai-hooks/hooks/scripts/inject-project-context.cjs: dependencies come from
+ * the project root's package.json. A dependency's version is the one installed
+ * in node_modules, or the lowest version its declared range allows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseRange, satisfies, minVersion } = require('./semver');
+
+// Directories never searched for `file` globs
+const SKIPPED_DIRS = ['node_modules', '.git', 'dist', 'build', 'coverage', '.next'];
+
+// Deepest directory level searched for `file` globs
+const MAX_DEPTH = 6;
+
+// Allowed keys of each condition form, by the key that identifies it
+const FORMS = {
+  dependency: ['dependency', 'version', 'dev'],
+  file: ['file'],
+  config: ['config', 'key'],
+  any: ['any'],
+  all: ['all'],
+  always: ['always']
+};
+
+const SHORTHAND_KEYS = ['dependencies', 'devDependencies', 'files', 'always'];
+
+/**
+ * Read what conditions need to know about a project
+ *
+ * @param {string} projectDir - Project root
+ * @returns {{
+ *   root: string,
+ *   packageJson: Object|null,
+ *   dependencies: Map<string, {spec: string, section: string}>,
+ *   version: (name: string) => string|null,
+ *   files: () => string[]
+ * }}
+ */
+function detectProject(projectDir) {
+  const root = path.resolve(projectDir);
+  const packageJson = readJson(path.join(root, 'package.json'));
+
+  const dependencies = new Map();
+  for (const section of ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']) {
+    for (const [name, spec] of Object.entries((packageJson && packageJson[section]) || {})) {
+      if (!dependencies.has(name)) dependencies.set(name, { spec: String(spec), section });
+    }
+  }
+
+  let files = null;
+  return {
+    root,
+    packageJson,
+    dependencies,
+    version(name) {
+      const installed = readJson(path.join(root, 'node_modules', name, 'package.json'));
+      if (installed && typeof installed.version === 'string') return installed.version;
+      const dep = dependencies.get(name);
+      return dep ? minVersion(dep.spec) : null;
+    },
+    // Listed on first use; most conditions only look at dependencies
+    files: () => files || (files = listProjectFiles(root))
+  };
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every file under a project, relative and '/'-separated, skipping dependencies and build output
+ */
+function listProjectFiles(root) {
+  const files = [];
+
+  const walk = (dir, prefix, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.includes(entry.name) && depth < MAX_DEPTH) {
+          walk(path.join(dir, entry.name), relPath, depth + 1);
+        }
+      } else {
+        files.push(relPath);
+      }
+    }
+  };
+
+  walk(root, '', 0);
+  return files.sort();
+}
+
+/**
+ * Convert a glob to a RegExp: `**` matches across directories, `*` and `?`
+ * within one. A pattern without a slash matches the file name at any depth.
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(glob.includes('/') ? `^${source}$` : `(^|/)${source}$`);
+}
+
+/**
+ * Rewrite the shorthand form as an `any` condition
+ */
+function normalizeCondition(when) {
+  if (!isObject(when) || !Object.keys(when).some(key => key !== 'always' && SHORTHAND_KEYS.includes(key))) {
+    return when;
+  }
+
+  const any = [];
+  if (when.always === true) any.push({ always: true });
+  for (const name of when.dependencies || []) any.push({ dependency: name });
+  for (const name of when.devDependencies || []) any.push({ dependency: name, dev: true });
+  for (const glob of when.files || []) any.push({ file: glob });
+  return { any };
+}
+
+/**
+ * Check a condition against the grammar
+ *
+ * @param {*} when - `autoLoad.when`
+ * @param {string} [basePath] - JSON path of `when`, for locating errors
+ * @returns {Array<{path: string, message: string}>} Problems, empty when valid
+ */
+function validateCondition(when, basePath = 'autoLoad.when') {
+  if (isObject(when) && Object.keys(when).some(key => key !== 'always' && SHORTHAND_KEYS.includes(key))) {
+    return validateShorthand(when, basePath);
+  }
+
+  const errors = [];
+  const check = (condition, at) => {
+    if (!isObject(condition)) {
+      errors.push({ path: at, message: 'condition must be an object' });
+      return;
+    }
+
+    const forms = Object.keys(FORMS).filter(key => key in condition);
+    if (forms.length !== 1) {
+      errors.push({
+        path: at,
+        message: forms.length === 0
+          ? `condition needs one of: ${Object.keys(FORMS).join(', ')}`
+          : `condition mixes ${forms.join(' and ')}; wrap them in "all" or "any"`
+      });
+      return;
+    }
+
+    const form = forms[0];
+    for (const key of Object.keys(condition).filter(k => !FORMS[form].includes(k))) {
+      errors.push({ path: `${at}.${key}`, message: `unknown field '${key}' in a ${form} condition (allowed: ${FORMS[form].join(', ')})` });
+    }
+
+    switch (form) {
+      case 'dependency':
+        if (!isNonEmptyString(condition.dependency)) {
+          errors.push({ path: `${at}.dependency`, message: 'dependency must be a package name' });
+        }
+        if (condition.version !== undefined && !parseRange(condition.version)) {
+          errors.push({ path: `${at}.version`, message: `invalid version range '${condition.version}'` });
+        }
+        if (condition.dev !== undefined && typeof condition.dev !== 'boolean') {
+          errors.push({ path: `${at}.dev`, message: 'dev must be true or false' });
+        }
+        break;
+      case 'file':
+        if (!isNonEmptyString(condition.file)) {
+          errors.push({ path: `${at}.file`, message: 'file must be a glob' });
+        }
+        break;
+      case 'config':
+        if (!isNonEmptyString(condition.config)) {
+          errors.push({ path: `${at}.config`, message: 'config must be a file path' });
+        }
+        if (!isNonEmptyString(condition.key)) {
+          errors.push({ path: `${at}.key`, message: 'key must be a (dotted) key path' });
+        }
+        break;
+      case 'any':
+      case 'all':
+        if (!Array.isArray(condition[form]) || condition[form].length === 0) {
+          errors.push({ path: `${at}.${form}`, message: `${form} must be a non-empty array of conditions` });
+        } else {
+          condition[form].forEach((child, i) => check(child, `${at}.${form}[${i}]`));
+        }
+        break;
+      default:
+        if (condition.always !== true) {
+          errors.push({ path: `${at}.always`, message: 'always must be true (omit autoLoad for plugins that never apply)' });
+        }
+    }
+  };
+
+  check(when, basePath);
+  return errors;
+}
+
+function validateShorthand(when, basePath) {
+  const errors = [];
+  for (const key of Object.keys(when)) {
+    const at = `${basePath}.${key}`;
+    if (!SHORTHAND_KEYS.includes(key)) {
+      errors.push({ path: at, message: `unknown field '${key}' (allowed: ${SHORTHAND_KEYS.join(', ')})` });
+    } else if (key === 'always' ? typeof when.always !== 'boolean' : !Array.isArray(when[key]) || !when[key].every(isNonEmptyString)) {
+      errors.push({ path: at, message: key === 'always' ? 'always must be true or false' : `${key} must be an array of strings` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Evaluate a condition against a project
+ *
+ * @param {Object} when - A valid condition (see validateCondition)
+ * @param {Object} project - detectProject() result
+ * @returns {{matched: boolean, reasons: string[]}} Why it holds (empty when it doesn't)
+ */
+function evaluateCondition(when, project) {
+  const condition = normalizeCondition(when);
+  const yes = reason => ({ matched: true, reasons: [reason] });
+  const no = { matched: false, reasons: [] };
+
+  if ('any' in condition) {
+    const results = condition.any.map(child => evaluateCondition(child, project)).filter(r => r.matched);
+    return results.length > 0 ? { matched: true, reasons: results.flatMap(r => r.reasons) } : no;
+  }
+
+  if ('all' in condition) {
+    const results = condition.all.map(child => evaluateCondition(child, project));
+    return results.every(r => r.matched) ? { matched: true, reasons: results.flatMap(r => r.reasons) } : no;
+  }
+
+  if ('always' in condition) {
+    return condition.always === true ? yes('applies to every project') : no;
+  }
+
+  if ('dependency' in condition) {
+    const reasons = [];
+    for (const { name, spec, section } of matchDependencies(project, condition.dependency)) {
+      if (condition.dev !== undefined && condition.dev !== (section === 'devDependencies')) continue;
+
+      if (condition.version === undefined) {
+        reasons.push(`\`${name}\` ${spec} in ${section}`);
+        continue;
+      }
+      const version = project.version(name);
+      if (version === null) {
+        // "latest", git URLs, workspace: links... can't be compared
+        reasons.push(`\`${name}\` ${spec} in ${section} (version not checked against ${condition.version})`);
+      } else if (satisfies(version, condition.version)) {
+        reasons.push(`\`${name}\` ${version} in ${section} satisfies ${condition.version}`);
+      }
+    }
+    return reasons.length > 0 ? { matched: true, reasons } : no;
+  }
+
+  if ('file' in condition) {
+    const regex = globToRegExp(condition.file);
+    const match = project.files().find(file => regex.test(file));
+    return match ? yes(`${match} exists`) : no;
+  }
+
+  if ('config' in condition) {
+    const regex = globToRegExp(condition.config);
+    for (const file of project.files().filter(f => regex.test(f))) {
+      if (configHasKey(path.join(project.root, file), condition.key)) {
+        return yes(`${file} has ${condition.key}`);
+      }
+    }
+    return no;
+  }
+
+  return no;
+}
+
+/**
+ * Dependencies matching a package name or pattern ("@auth0/*")
+ */
+function matchDependencies(project, pattern) {
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return [...project.dependencies]
+    .filter(([name]) => regex.test(name))
+    .map(([name, dep]) => ({ name, ...dep }));
+}
+
+/**
+ * Whether a config file contains a dotted key path
+ */
+function configHasKey(filePath, keyPath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return false;
+  }
+
+  const keys = keyPath.split('.');
+  const data = parseJsonc(text);
+  if (data !== undefined) {
+    let current = data;
+    for (const key of keys) {
+      if (!isObject(current) || !(key in current)) return false;
+      current = current[key];
+    }
+    return true;
+  }
+
+  // JavaScript, TypeScript, YAML or TOML: look for the innermost key being assigned
+  const last = keys[keys.length - 1].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[\\s{,'"])${last}['"]?\\s*[:=]`, 'm').test(text);
+}
+
+/**
+ * Parse JSON that may contain comments and trailing commas (tsconfig.json style)
+ *
+ * @returns {*} undefined when the text isn't JSON
+ */
+function parseJsonc(text) {
+  const stripped = text
+    .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+    .replace(/,(\s*[}\]])/g, '$1');
+  try {
+    return JSON.parse(stripped);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Evaluate a plugin's autoLoad block against a project
+ *
+ * @param {Object|null} autoLoad - plugin.json `autoLoad`
+ * @param {Object} project - detectProject() result
+ * @returns {{applies: boolean, reasons: string[]}}
+ */
+function evaluateAutoLoad(autoLoad, project) {
+  if (!autoLoad || autoLoad.when === undefined) return { applies: false, reasons: [] };
+  const { matched, reasons } = evaluateCondition(autoLoad.when, project);
+  return { applies: matched, reasons };
+}
+
+/**
+ * One-line Markdown description of a condition, for generated docs
+ * ("`next` >=13 in deps", "`jest` in devDeps or `jest.config.*` exists")
+ *
+ * @param {Object} when - A valid condition (see validateCondition)
+ * @returns {string}
+ */
+function describeCondition(when) {
+  const describe = (condition, nested) => {
+    if ('any' in condition || 'all' in condition) {
+      const parts = condition.any || condition.all;
+      const text = parts.map(part => describe(part, true)).join(condition.any ? ' or ' : ' and ');
+      return nested && parts.length > 1 ? `(${text})` : text;
+    }
+    if ('always' in condition) return condition.always === true ? 'always' : 'never';
+    if ('file' in condition) return `\`${condition.file}\` exists`;
+    if ('config' in condition) return `\`${condition.key}\` set in \`${condition.config}\``;
+
+    const version = condition.version ? ` ${condition.version}` : '';
+    const section = condition.dev === true ? 'devDeps' : 'deps';
+    return `\`${condition.dependency}\`${version} in ${section}`;
+  };
+
+  return describe(normalizeCondition(when), false);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+module.exports = {
+  detectProject,
+  listProjectFiles,
+  globToRegExp,
+  normalizeCondition,
+  validateCondition,
+  evaluateCondition,
+  evaluateAutoLoad,
+  describeCondition
+};
@@ -0,0 +1,74 @@
+/**
+ * Category Registry
+ *
+ * Plugin categories and subcategories live in .claude-plugin/categories.json.
+ * Each plugin declares `category` (and optionally `subcategory`) in plugin.json;
+ * the validator and the manifest builder both check it against this registry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATEGORIES_PATH = path.join(__dirname, '..', '..', '.claude-plugin', 'categories.json');
+
+/**
+ * Load the category registry
+ *
+ * @param {string} [filePath] - Registry file (default: .claude-plugin/categories.json)
+ * @returns {Object<string, {description: string, subcategories: string[]}>} Category name → definition
+ */
+function loadCategories(filePath = CATEGORIES_PATH) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Cannot read category registry ${path.basename(filePath)}: ${e.message}`);
+  }
+
+  if (!raw || typeof raw.categories !== 'object' || Array.isArray(raw.categories)) {
+    throw new Error(`${path.basename(filePath)} must have a "categories" object`);
+  }
+
+  const categories = {};
+  for (const [name, def] of Object.entries(raw.categories)) {
+    categories[name] = {
+      description: (def && def.description) || '',
+      subcategories: (def && def.subcategories) || []
+    };
+  }
+  return categories;
+}
+
+/**
+ * Check a plugin's category and subcategory against the registry
+ *
+ * @param {Object} categories - loadCategories() result
+ * @param {*} category - plugin.json `category`
+ * @param {*} [subcategory] - plugin.json `subcategory`
+ * @returns {Array<{field: string, message: string}>} Problems, empty when valid
+ */
+function checkCategory(categories, category, subcategory) {
+  const names = Object.keys(categories).join(', ');
+
+  if (category === undefined || category === null || category === '') {
+    return [{ field: 'category', message: `Missing category (one of: ${names})` }];
+  }
+  if (!Object.prototype.hasOwnProperty.call(categories, category)) {
+    return [{ field: 'category', message: `Unknown category '${category}' (one of: ${names})` }];
+  }
+  if (subcategory === undefined) return [];
+
+  const allowed = categories[category].subcategories;
+  if (allowed.length === 0) {
+    return [{ field: 'subcategory', message: `Category '${category}' has no subcategories (got '${subcategory}')` }];
+  }
+  if (!allowed.includes(subcategory)) {
+    return [{
+      field: 'subcategory',
+      message: `Unknown subcategory '${subcategory}' for category '${category}' (one of: ${allowed.join(', ')})`
+    }];
+  }
+  return [];
+}
+
+module.exports = { CATEGORIES_PATH, loadCategories, checkCategory };
@@ -0,0 +1,121 @@
+/**
+ * Component Index
+ *
+ * Describes every agent, skill, command and hook a plugin provides, so the
+ * manifest can answer "which plugin provides /jira-retro" without reading the
+ * markdown. Paths are relative to the plugin root and '/'-separated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { parseToolList } = require('./component-schemas');
+const { listAgents, listSkills, listCommands } = require('./components');
+
+/**
+ * Read a component's frontmatter data ({} when missing or invalid)
+ */
+function readFrontmatter(file) {
+  const { data, errors } = parseFrontmatter(fs.readFileSync(file, 'utf-8'));
+  return data && errors.length === 0 ? data : {};
+}
+
+function describe(pluginPath, { name, file }, data) {
+  return {
+    name,
+    description: typeof data.description === 'string' ? data.description : '',
+    path: path.relative(pluginPath, file).split(path.sep).join('/')
+  };
+}
+
+/**
+ * Hooks configuration: plugin.json `hooks` (inline object or path) or hooks/hooks.json
+ *
+ * @returns {Object|null}
+ */
+function loadHooksConfig(pluginPath, manifest) {
+  if (manifest.hooks && typeof manifest.hooks === 'object') return manifest.hooks;
+
+  const hooksPath = path.join(pluginPath, manifest.hooks || 'hooks/hooks.json');
+  if (!fs.existsSync(hooksPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(hooksPath, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * List every hook handler with the event and matcher it runs on
+ *
+ * @returns {Array<{event: string, matcher: string|null, type: string, description?: string, timeout?: number}>}
+ */
+function indexHooks(pluginPath, manifest = {}) {
+  const config = loadHooksConfig(pluginPath, manifest);
+  if (!config || typeof config.hooks !== 'object' || config.hooks === null) return [];
+
+  const hooks = [];
+  for (const [event, groups] of Object.entries(config.hooks)) {
+    if (!Array.isArray(groups)) continue;
+
+    for (const group of groups) {
+      if (!group || !Array.isArray(group.hooks)) continue;
+
+      for (const hook of group.hooks) {
+        if (!hook || typeof hook !== 'object') continue;
+        hooks.push({
+          event,
+          matcher: typeof group.matcher === 'string' && group.matcher !== '' ? group.matcher : null,
+          type: hook.type,
+          description: hook.description,
+          timeout: hook.timeout
+        });
+      }
+    }
+  }
+  return hooks;
+}
+
+/**
+ * Index every component of a plugin
+ *
+ * @param {string} pluginPath - Plugin directory
+ * @param {Object} [manifest] - Parsed plugin.json (for an inline or relocated `hooks` entry)
+ * @returns {{agents: Object[], skills: Object[], commands: Object[], hooks: Object[]}}
+ */
+function indexComponents(pluginPath, manifest = {}) {
+  const agents = listAgents(pluginPath).map(component => {
+    const data = readFrontmatter(component.file);
+    return {
+      ...describe(pluginPath, component, data),
+      model: typeof data.model === 'string' ? data.model : undefined,
+      tools: typeof data.tools === 'string' || Array.isArray(data.tools) ? parseToolList(data.tools) : undefined
+    };
+  });
+
+  const skills = listSkills(pluginPath)
+    .filter(component => fs.existsSync(component.file))
+    .map(component => {
+      const data = readFrontmatter(component.file);
+      return {
+        ...describe(pluginPath, component, data),
+        // Skills can be invoked as /name unless they opt out
+        'user-invocable': data['user-invocable'] !== false
+      };
+    });
+
+  const commands = listCommands(pluginPath).map(component => {
+    const data = readFrontmatter(component.file);
+    const hint = data['argument-hint'];
+    return {
+      ...describe(pluginPath, component, data),
+      // `argument-hint: [a | b]` parses as a YAML list; keep the brackets the author wrote
+      'argument-hint': Array.isArray(hint) ? `[${hint.join(', ')}]` : hint
+    };
+  });
+
+  return { agents, skills, commands, hooks: indexHooks(pluginPath, manifest) };
+}
+
+module.exports = { indexComponents, indexHooks };
@@ -0,0 +1,301 @@
+/**
+ * Component Frontmatter Schemas
+ *
+ * Field definitions for agent, skill and command frontmatter, based on the
+ * Claude Code subagent and skill references in docs/claudecode/.
+ */
+
+// Model aliases accepted by Claude Code (full model IDs are also accepted)
+const MODEL_ALIASES = ['sonnet', 'opus', 'haiku', 'inherit'];
+
+// Built-in tools that may appear in `tools`, `disallowedTools` and `allowed-tools`
+const KNOWN_TOOLS = [
+  'AskUserQuestion', 'Bash', 'BashOutput', 'Edit', 'ExitPlanMode', 'Glob', 'Grep',
+  'KillShell', 'LSP', 'MCPSearch', 'MultiEdit', 'NotebookEdit', 'Read', 'Skill',
+  'SlashCommand', 'Task', 'TaskCreate', 'TaskGet', 'TaskList', 'TaskOutput',
+  'TaskUpdate', 'TodoWrite', 'WebFetch', 'WebSearch', 'Write'
+];
+
+const PERMISSION_MODES = ['default', 'acceptEdits', 'dontAsk', 'bypassPermissions', 'plan'];
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Shared field definitions, referenced by name from each component schema
+const FIELDS = {
+  name: { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*$/, maxLength: 64, hint: 'lowercase letters, numbers and hyphens' },
+  description: { type: 'string', nonEmpty: true },
+  model: { type: 'string', check: checkModel },
+  tools: { type: 'tools' },
+  disallowedTools: { type: 'tools' },
+  'allowed-tools': { type: 'tools' },
+  permissionMode: { type: 'string', enum: PERMISSION_MODES },
+  skills: { type: 'list', itemPattern: /^[a-z0-9][a-z0-9-]*\??$/ },
+  hooks: { type: 'object' },
+  model_configurable: { type: 'boolean' },
+  'argument-hint': { type: ['string', 'list'] },
+  'user-invocable': { type: 'boolean' },
+  'disable-model-invocation': { type: 'boolean' },
+  context: { type: 'string', enum: ['fork'] },
+  agent: { type: 'string' },
+  auto_load: { type: ['string', 'boolean'] },
+  priority: { type: 'string', enum: PRIORITIES }
+};
+
+// Fields still accepted but superseded, with what to use instead
+const DEPRECATED_FIELDS = {
+  auto_load: 'say which projects the plugin applies to with autoLoad.when in plugin.json (e.g. { "always": true })'
+};
+
+// Per-component schemas: required fields, recommended fields and allowed fields
+const SCHEMAS = {
+  agent: {
+    required: ['name', 'description'],
+    recommended: [],
+    fields: [
+      'name', 'description', 'tools', 'disallowedTools', 'model', 'permissionMode',
+      'skills', 'hooks', 'model_configurable', 'user-invocable'
+    ]
+  },
+  skill: {
+    required: [],
+    recommended: ['description'],
+    fields: [
+      'name', 'description', 'argument-hint', 'disable-model-invocation', 'user-invocable',
+      'allowed-tools', 'model', 'context', 'agent', 'hooks', 'auto_load', 'priority'
+    ]
+  },
+  command: {
+    required: [],
+    recommended: ['description'],
+    fields: [
+      'name', 'description', 'argument-hint', 'disable-model-invocation', 'user-invocable',
+      'allowed-tools', 'model', 'context', 'agent', 'hooks'
+    ]
+  }
+};
+
+/**
+ * Validate parsed frontmatter against a component schema
+ *
+ * @param {string} type - 'agent' | 'skill' | 'command'
+ * @param {Object} data - Parsed frontmatter
+ * @param {Object<string, number>} keyLines - Line number of each top-level field
+ * @returns {{errors: Array<{rule: string, line: number, message: string}>, warnings: Array<{rule: string, line: number, message: string}>}}
+ */
+function validateFrontmatter(type, data, keyLines = {}) {
+  const schema = SCHEMAS[type];
+  const errors = [];
+  const warnings = [];
+
+  for (const field of schema.required) {
+    if (isMissing(data[field])) {
+      errors.push({ rule: 'frontmatter/required-field', line: 1, message: `Missing required field '${field}'` });
+    }
+  }
+
+  for (const field of schema.recommended) {
+    if (isMissing(data[field])) {
+      warnings.push({ rule: 'frontmatter/recommended-field', line: 1, message: `Missing recommended field '${field}'` });
+    }
+  }
+
+  for (const [field, value] of Object.entries(data)) {
+    const line = keyLines[field] || 1;
+
+    if (!schema.fields.includes(field)) {
+      const suggestion = suggestField(field, schema.fields);
+      if (suggestion) {
+        errors.push({ rule: 'frontmatter/unknown-field', line, message: `Unknown ${type} field '${field}' (did you mean '${suggestion}'?)` });
+      } else {
+        warnings.push({ rule: 'frontmatter/unknown-field', line, message: `Unknown ${type} field '${field}'` });
+      }
+      continue;
+    }
+
+    if (value === null && !schema.required.includes(field)) continue;
+
+    for (const message of checkField(field, FIELDS[field], value)) {
+      errors.push({ rule: 'frontmatter/field-value', line, message });
+    }
+    if (DEPRECATED_FIELDS[field]) {
+      warnings.push({ rule: 'frontmatter/deprecated-field', line, message: `Field '${field}' is deprecated: ${DEPRECATED_FIELDS[field]}` });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Check a single field value against its definition
+ */
+function checkField(field, def, value) {
+  const messages = [];
+  const types = Array.isArray(def.type) ? def.type : [def.type];
+
+  if (!types.some(t => matchesType(t, value))) {
+    messages.push(`Field '${field}' must be ${types.map(describeType).join(' or ')}, got ${describeValue(value)}`);
+    return messages;
+  }
+
+  if (typeof value === 'string') {
+    if (def.nonEmpty && value.trim() === '') {
+      messages.push(`Field '${field}' must not be empty`);
+    }
+    if (def.pattern && !def.pattern.test(value)) {
+      messages.push(`Field '${field}' value '${value}' is invalid (${def.hint})`);
+    }
+    if (def.maxLength && value.length > def.maxLength) {
+      messages.push(`Field '${field}' exceeds ${def.maxLength} characters`);
+    }
+    if (def.enum && !def.enum.includes(value)) {
+      messages.push(`Field '${field}' must be one of: ${def.enum.join(', ')} (got '${value}')`);
+    }
+  }
+
+  if (def.type === 'list' && def.itemPattern) {
+    for (const item of value) {
+      if (typeof item !== 'string' || !def.itemPattern.test(item)) {
+        messages.push(`Field '${field}' has invalid entry ${describeValue(item)}`);
+      }
+    }
+  }
+
+  if (def.type === 'tools') {
+    for (const tool of parseToolList(value)) {
+      const message = checkTool(tool);
+      if (message) messages.push(`Field '${field}': ${message}`);
+    }
+  }
+
+  if (def.check) {
+    const message = def.check(value);
+    if (message) messages.push(`Field '${field}': ${message}`);
+  }
+
+  return messages;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'list': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'tools': return typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+    default: return false;
+  }
+}
+
+function describeType(type) {
+  return {
+    string: 'a string',
+    boolean: 'true or false',
+    list: 'a list',
+    object: 'a mapping',
+    tools: 'a comma-separated string or list of tool names'
+  }[type];
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'object') return 'a mapping';
+  return `${typeof value} '${value}'`;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Normalize a tools value (comma-separated string or list) to tool entries
+ */
+function parseToolList(value) {
+  if (Array.isArray(value)) return value.map(v => v.trim()).filter(Boolean);
+
+  const tools = [];
+  let current = '';
+  let depth = 0;
+  for (const ch of value) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      tools.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  tools.push(current.trim());
+  return tools.filter(Boolean);
+}
+
+/**
+ * Check a tool entry: "Read", "Bash(git:*)" or "mcp__server__tool"
+ */
+function checkTool(tool) {
+  if (/^mcp__[\w-]+(__[\w-]+|__\*)?$/.test(tool)) return null;
+
+  const match = tool.match(/^([A-Za-z]+)(\((.*)\))?$/);
+  if (!match) return `invalid tool entry '${tool}'`;
+
+  if (!KNOWN_TOOLS.includes(match[1])) {
+    const suggestion = suggestField(match[1], KNOWN_TOOLS);
+    return `unknown tool '${match[1]}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`;
+  }
+  if (match[2] && match[3].trim() === '') {
+    return `empty permission rule in '${tool}'`;
+  }
+  return null;
+}
+
+function checkModel(value) {
+  if (MODEL_ALIASES.includes(value)) return null;
+  if (/^claude-[a-z0-9.-]+$/.test(value)) return null;
+
+  const suggestion = suggestField(value, MODEL_ALIASES);
+  return `unknown model '${value}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''} - use ${MODEL_ALIASES.join(', ')} or a full model ID`;
+}
+
+/**
+ * Suggest the closest known name for a likely typo
+ */
+function suggestField(name, candidates) {
+  const normalized = name.toLowerCase().replace(/_/g, '-');
+  let best = null;
+  let bestDistance = 3;
+
+  for (const candidate of candidates) {
+    const target = candidate.toLowerCase().replace(/_/g, '-');
+    const distance = target === normalized ? 0 : levenshtein(normalized, target);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = temp;
+    }
+  }
+  return prev[b.length];
+}
+
+module.exports = {
+  SCHEMAS,
+  FIELDS,
+  KNOWN_TOOLS,
+  MODEL_ALIASES,
+  validateFrontmatter,
+  parseToolList
+};
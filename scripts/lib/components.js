@@ -0,0 +1,102 @@
+/**
+ * Plugin Component Discovery
+ *
+ * Locates agent, skill and command markdown files inside a plugin directory.
+ * Agents and commands may be flat files (agents/name.md) or folders
+ * (agents/name/AGENT.md, commands/name/COMMAND.md).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * List subdirectories of a directory (empty if it doesn't exist)
+ */
+function listDirs(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => fs.statSync(path.join(dir, f)).isDirectory())
+    .sort();
+}
+
+/**
+ * List markdown components stored as flat files or as folders with an index file
+ */
+function listMarkdownComponents(dir, indexFile) {
+  if (!fs.existsSync(dir)) return [];
+
+  const components = [];
+  for (const entry of fs.readdirSync(dir).sort()) {
+    const entryPath = path.join(dir, entry);
+    if (fs.statSync(entryPath).isDirectory()) {
+      const indexPath = path.join(entryPath, indexFile);
+      if (fs.existsSync(indexPath)) {
+        components.push({ name: entry, file: indexPath });
+      }
+    } else if (entry.endsWith('.md')) {
+      components.push({ name: path.basename(entry, '.md'), file: entryPath });
+    }
+  }
+  return components;
+}
+
+/**
+ * List agent definitions in a plugin
+ * @returns {Array<{name: string, file: string}>}
+ */
+function listAgents(pluginPath) {
+  return listMarkdownComponents(path.join(pluginPath, 'agents'), 'AGENT.md');
+}
+
+/**
+ * List command definitions in a plugin
+ * @returns {Array<{name: string, file: string}>}
+ */
+function listCommands(pluginPath) {
+  return listMarkdownComponents(path.join(pluginPath, 'commands'), 'COMMAND.md');
+}
+
+/**
+ * List skill folders in a plugin; `file` points at SKILL.md, which may not exist
+ * @returns {Array<{name: string, file: string}>}
+ */
+function listSkills(pluginPath) {
+  const skillsDir = path.join(pluginPath, 'skills');
+  return listDirs(skillsDir).map(name => ({
+    name,
+    file: path.join(skillsDir, name, 'SKILL.md')
+  }));
+}
+
+/**
+ * Derive component names from a plugin's file list, e.g. a `git ls-tree` of an
+ * older revision. Follows the same layout rules as the list* functions.
+ *
+ * @param {string[]} relPaths - File paths relative to the plugin root, '/'-separated
+ * @returns {{agents: string[], commands: string[], skills: string[]}}
+ */
+function componentsFromPaths(relPaths) {
+  const found = { agents: new Set(), commands: new Set(), skills: new Set() };
+  const indexFiles = { agents: 'AGENT.md', commands: 'COMMAND.md' };
+
+  for (const relPath of relPaths) {
+    const [dir, entry, file, ...rest] = relPath.split('/');
+    if (rest.length > 0 || !entry) continue;
+
+    if (dir === 'skills' && file === 'SKILL.md') {
+      found.skills.add(entry);
+    } else if (indexFiles[dir] && file === indexFiles[dir]) {
+      found[dir].add(entry);
+    } else if (indexFiles[dir] && !file && entry.endsWith('.md')) {
+      found[dir].add(path.basename(entry, '.md'));
+    }
+  }
+
+  return {
+    agents: [...found.agents].sort(),
+    commands: [...found.commands].sort(),
+    skills: [...found.skills].sort()
+  };
+}
+
+module.exports = { listDirs, listAgents, listCommands, listSkills, componentsFromPaths };
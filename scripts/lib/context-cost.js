@@ -0,0 +1,119 @@
+/**
+ * Context Cost Estimation
+ *
+ * Offline token estimates for the parts of a plugin that end up in the model's
+ * context. Descriptions are loaded up front (they are how Claude decides which
+ * agent or skill to use); the full agent, skill or command file is loaded when
+ * it is invoked.
+ *
+ * The estimate approximates a BPE tokenizer without shipping one: words cost one
+ * token per ~6 letters, numbers one per 3 digits, punctuation runs one per 4
+ * characters and each line break one. That is close enough to compare files with
+ * each other and with a budget, not to predict exact usage.
+ */
+
+const fs = require('fs');
+const { parseFrontmatter } = require('./frontmatter');
+const { listAgents, listSkills, listCommands } = require('./components');
+
+// Default budgets in estimated tokens, per file type and per description
+const DEFAULT_BUDGETS = {
+  agent: 3000,
+  skill: 5000,
+  command: 3000,
+  description: 100
+};
+
+const TOKEN_PIECES = /[A-Za-z]+|\d+|([^\sA-Za-z\d])\1*|\n+/g;
+
+/**
+ * Estimate the number of tokens in a text
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  let tokens = 0;
+
+  for (const [piece] of text.matchAll(TOKEN_PIECES)) {
+    if (/^[A-Za-z]/.test(piece)) tokens += Math.max(1, Math.round(piece.length / 6));
+    else if (/^\d/.test(piece)) tokens += Math.ceil(piece.length / 3);
+    else if (piece[0] === '\n') tokens += 1;
+    else tokens += Math.ceil(piece.length / 4);
+  }
+
+  return tokens;
+}
+
+/**
+ * Estimate the context cost of every agent, skill and command in a plugin
+ *
+ * @param {string} pluginPath - Plugin directory
+ * @returns {{
+ *   components: Array<{type: string, name: string, file: string, tokens: number, descriptionTokens: number}>,
+ *   cost: {descriptions: number, agents: number, skills: number, commands: number, total: number}
+ * }}
+ */
+function analyzePlugin(pluginPath) {
+  const components = [];
+  const add = (type, { name, file }) => {
+    if (!fs.existsSync(file)) return;
+    const content = fs.readFileSync(file, 'utf-8');
+    const { data } = parseFrontmatter(content);
+    const description = data && typeof data.description === 'string' ? data.description : '';
+
+    components.push({
+      type,
+      name,
+      file,
+      tokens: estimateTokens(content),
+      descriptionTokens: estimateTokens(description)
+    });
+  };
+
+  listAgents(pluginPath).forEach(c => add('agent', c));
+  listSkills(pluginPath).forEach(c => add('skill', c));
+  listCommands(pluginPath).forEach(c => add('command', c));
+
+  const sum = (list, key) => list.reduce((total, c) => total + c[key], 0);
+  const ofType = type => components.filter(c => c.type === type);
+  const cost = {
+    descriptions: sum(components, 'descriptionTokens'),
+    agents: sum(ofType('agent'), 'tokens'),
+    skills: sum(ofType('skill'), 'tokens'),
+    commands: sum(ofType('command'), 'tokens')
+  };
+  cost.total = cost.agents + cost.skills + cost.commands;
+
+  return { components, cost };
+}
+
+/**
+ * Components whose file or description exceeds its budget
+ *
+ * @param {Object[]} components - analyzePlugin().components
+ * @param {Object} [budgets] - Overrides for DEFAULT_BUDGETS
+ * @returns {Array<{component: Object, kind: 'file'|'description', tokens: number, budget: number}>}
+ */
+function findOverBudget(components, budgets = {}) {
+  const limits = { ...DEFAULT_BUDGETS, ...budgets };
+  const over = [];
+
+  for (const component of components) {
+    if (component.tokens > limits[component.type]) {
+      over.push({ component, kind: 'file', tokens: component.tokens, budget: limits[component.type] });
+    }
+    if (component.descriptionTokens > limits.description) {
+      over.push({ component, kind: 'description', tokens: component.descriptionTokens, budget: limits.description });
+    }
+  }
+
+  return over;
+}
+
+module.exports = {
+  DEFAULT_BUDGETS,
+  estimateTokens,
+  analyzePlugin,
+  findOverBudget
+};
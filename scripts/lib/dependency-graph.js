@@ -0,0 +1,197 @@
+/**
+ * Plugin Dependency Graph
+ *
+ * Resolves `requires.plugins`, `recommends.plugins` and `conflicts.plugins`
+ * across the marketplace: the transitive closure and install order of each
+ * plugin, the conflicts inside that closure, and Mermaid/DOT exports of the
+ * graph.
+ *
+ * Install order lists dependencies before the plugins that require them, in the
+ * order they are declared, and ends with the plugin itself.
+ */
+
+const { dependencyNames, findDependencyCycles, resolveAgentSkills } = require('./references');
+
+// Edge kinds, in the order they are drawn
+const EDGE_KINDS = ['requires', 'recommends', 'conflicts'];
+
+/**
+ * Every dependency edge between plugins in the marketplace
+ *
+ * @param {Object} index - buildMarketplaceIndex() result
+ * @returns {{nodes: string[], edges: Array<{from: string, to: string, kind: string}>}}
+ */
+function buildDependencyGraph(index) {
+  const nodes = [...index.plugins.keys()].sort();
+  const edges = [];
+
+  for (const name of nodes) {
+    const { manifest } = index.plugins.get(name);
+    for (const kind of EDGE_KINDS) {
+      for (const to of dependencyNames(manifest, kind)) {
+        edges.push({ from: name, to, kind });
+      }
+    }
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Resolve what installing one plugin brings in
+ *
+ * @param {Object} index - buildMarketplaceIndex() result
+ * @param {string} name - Plugin to install
+ * @returns {{
+ *   plugin: string,
+ *   order: string[],
+ *   recommended: string[],
+ *   missing: Array<{plugin: string, requiredBy: string}>,
+ *   conflicts: Array<{plugin: string, conflictsWith: string}>,
+ *   cycles: string[][],
+ *   unsatisfied: Array<{plugin: string, agent: string, skill: string, provider: string}>
+ * }}
+ */
+function resolveInstallPlan(index, name) {
+  const order = [];
+  const missing = [];
+  const state = new Map();
+
+  const visit = (current) => {
+    state.set(current, 'visiting');
+    const entry = index.plugins.get(current);
+
+    for (const dep of dependencyNames(entry && entry.manifest, 'requires')) {
+      if (!index.plugins.has(dep)) {
+        missing.push({ plugin: dep, requiredBy: current });
+      } else if (!state.has(dep)) {
+        visit(dep);
+      }
+      // A 'visiting' dependency is a cycle, reported separately
+    }
+
+    state.set(current, 'done');
+    order.push(current);
+  };
+
+  if (index.plugins.has(name)) visit(name);
+
+  const installed = new Set(order);
+  const recommended = [];
+  const conflicts = [];
+  const unsatisfied = [];
+
+  for (const plugin of order) {
+    const { manifest, path: pluginPath } = index.plugins.get(plugin);
+
+    for (const dep of dependencyNames(manifest, 'recommends')) {
+      if (!installed.has(dep) && !recommended.includes(dep)) recommended.push(dep);
+    }
+    for (const other of dependencyNames(manifest, 'conflicts')) {
+      if (installed.has(other)) conflicts.push({ plugin, conflictsWith: other });
+    }
+
+    // Skills the plugin's agents use that live in a plugin this install doesn't bring in
+    for (const ref of resolveAgentSkills(plugin, pluginPath, index)) {
+      if (ref.provider && !installed.has(ref.provider.plugin) && !ref.optional) {
+        unsatisfied.push({ plugin, agent: ref.agent, skill: ref.ref, provider: ref.provider.plugin });
+      }
+    }
+  }
+
+  return {
+    plugin: name,
+    order,
+    recommended,
+    missing,
+    conflicts,
+    cycles: findDependencyCycles(index).filter(cycle => cycle.some(p => installed.has(p))),
+    unsatisfied
+  };
+}
+
+/**
+ * Keep only the edges (and their nodes) reachable from the given plugins
+ *
+ * @param {Object} graph - buildDependencyGraph() result
+ * @param {string[]} roots - Plugin names
+ */
+function subgraph(graph, roots) {
+  const keep = new Set(roots);
+  const queue = [...roots];
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    for (const edge of graph.edges.filter(e => e.from === name)) {
+      if (!keep.has(edge.to)) {
+        keep.add(edge.to);
+        // Conflicting plugins are shown but not followed
+        if (edge.kind !== 'conflicts') queue.push(edge.to);
+      }
+    }
+  }
+
+  return {
+    nodes: graph.nodes.filter(n => keep.has(n)).concat([...keep].filter(n => !graph.nodes.includes(n)).sort()),
+    edges: graph.edges.filter(e => keep.has(e.from) && keep.has(e.to))
+  };
+}
+
+/**
+ * Drop plugins that have no dependency edges
+ */
+function connectedOnly(graph) {
+  const connected = new Set(graph.edges.flatMap(e => [e.from, e.to]));
+  return { nodes: graph.nodes.filter(n => connected.has(n)), edges: graph.edges };
+}
+
+/**
+ * Mermaid flowchart: requires -->, recommends -.->, conflicts x--x
+ */
+function toMermaid(graph) {
+  const id = name => name.replace(/[^A-Za-z0-9_]/g, '_');
+  const arrows = { requires: '-->', recommends: '-.->', conflicts: 'x--x' };
+  const lines = ['flowchart LR'];
+
+  for (const node of graph.nodes) {
+    lines.push(`  ${id(node)}["${node}"]`);
+  }
+  for (const edge of graph.edges) {
+    const label = edge.kind === 'requires' ? '' : `|${edge.kind}|`;
+    lines.push(`  ${id(edge.from)} ${arrows[edge.kind]}${label} ${id(edge.to)}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Graphviz DOT: requires solid, recommends dashed, conflicts red
+ */
+function toDot(graph) {
+  const styles = {
+    requires: '',
+    recommends: ' [style=dashed, label="recommends"]',
+    conflicts: ' [color=red, dir=none, label="conflicts"]'
+  };
+  const lines = ['digraph plugins {', '  rankdir=LR;', '  node [shape=box];'];
+
+  for (const node of graph.nodes) {
+    lines.push(`  "${node}";`);
+  }
+  for (const edge of graph.edges) {
+    lines.push(`  "${edge.from}" -> "${edge.to}"${styles[edge.kind]};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  EDGE_KINDS,
+  buildDependencyGraph,
+  resolveInstallPlan,
+  subgraph,
+  connectedOnly,
+  toMermaid,
+  toDot
+};
@@ -0,0 +1,212 @@
+/**
+ * Generated Documentation
+ *
+ * Renders catalog documentation from plugin-manifest.json: the marked regions
+ * of hand-written Markdown files, and a README for each plugin.
+ *
+ * A region is delimited by HTML comments and may carry attributes; everything
+ * between the markers is replaced. Regions can be inline (inside a sentence or
+ * table cell) or span lines:
+ *
+ *   **<!-- generated:plugin-count -->31<!-- /generated:plugin-count --> plugins**
+ *
+ *   <!-- generated:plugin-table category=stack columns=autoload -->
+ *   | Plugin | Auto-loads when | Description |
+ *   ...
+ *   <!-- /generated:plugin-table -->
+ *
+ * Regions:
+ *   plugin-count [category=a,b]                       Number of plugins
+ *   plugin-list [category=a,b]                        `name`, `name`, ...
+ *   plugin-table [category=a,b] [columns=autoload,requires]
+ *                                                     Plugin | [Auto-loads when] | Description | [Requires]
+ *   component-table [category=a,b]                    Agent, skill, command and hook counts per plugin
+ */
+
+const path = require('path');
+const { describeCondition } = require('./autoload');
+
+const REGION_PATTERN = /<!-- generated:([a-z-]+)((?:\s+[a-z]+=[^\s>]+)*)\s*-->([\s\S]*?)<!-- \/generated:\1 -->/g;
+
+const GENERATED_NOTICE = '<!-- Generated by scripts/generate-docs.js from plugin-manifest.json. ' +
+  'Edit plugin.json and the component files instead. -->';
+
+/**
+ * Parse region attributes (" category=pm,dev columns=requires") into lists
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, key, value] of text.matchAll(/([a-z]+)=([^\s>]+)/g)) {
+    attributes[key] = value.split(',').filter(Boolean);
+  }
+  return attributes;
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function cell(text) {
+  return String(text === undefined || text === null ? '' : text).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(h => '-'.repeat(h.length + 2)).join('|')}|`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Link from a generated file to a plugin directory ("./plugins/aai-core/")
+ *
+ * @param {string} fromDir - Directory of the file, relative to the repository root
+ * @param {Object} plugin - plugin-manifest.json entry
+ * @param {string} [file] - File inside the plugin to link to
+ */
+function pluginLink(fromDir, plugin, file = '') {
+  const target = path.posix.join(plugin.source || `./plugins/${plugin.name}`, file);
+  const relative = path.posix.relative(fromDir.split(path.sep).join('/') || '.', target);
+  const link = relative.startsWith('.') ? relative : `./${relative}`;
+  return file ? link : `${link}/`;
+}
+
+/**
+ * Plugins in the requested categories, in the order the categories are listed
+ */
+function selectPlugins(manifest, attributes) {
+  const categories = attributes.category || [];
+  const plugins = [...(manifest.plugins || [])].sort((a, b) => a.name.localeCompare(b.name));
+  if (categories.length === 0) return plugins;
+  return categories.flatMap(category => plugins.filter(p => p.category === category));
+}
+
+function requiredPluginNames(plugin) {
+  return (plugin.requires && plugin.requires.plugins) || [];
+}
+
+const RENDERERS = {
+  'plugin-count': (plugins) => String(plugins.length),
+
+  'plugin-list': (plugins) => plugins.map(p => `\`${p.name}\``).join(', '),
+
+  'plugin-table': (plugins, attributes, fromDir) => {
+    const columns = attributes.columns || [];
+    const headers = ['Plugin'];
+    if (columns.includes('autoload')) headers.push('Auto-loads when');
+    headers.push('Description');
+    if (columns.includes('requires')) headers.push('Requires');
+
+    return table(headers, plugins.map(plugin => {
+      const row = [`[${plugin.name}](${pluginLink(fromDir, plugin)})`];
+      if (columns.includes('autoload')) {
+        row.push(plugin.autoLoad && plugin.autoLoad.when !== undefined ? describeCondition(plugin.autoLoad.when) : '');
+      }
+      row.push(plugin.description);
+      if (columns.includes('requires')) {
+        row.push(requiredPluginNames(plugin).map(name => `\`${name}\``).join(', '));
+      }
+      return row;
+    }));
+  },
+
+  'component-table': (plugins, attributes, fromDir) => table(
+    ['Plugin', 'Agents', 'Skills', 'Commands', 'Hooks'],
+    plugins.map(plugin => {
+      const index = plugin.componentIndex || {};
+      return [
+        `[${plugin.name}](${pluginLink(fromDir, plugin, 'README.md')})`,
+        ...['agents', 'skills', 'commands', 'hooks'].map(key => (index[key] || []).length)
+      ];
+    })
+  )
+};
+
+/**
+ * Regenerate every marked region of a Markdown file
+ *
+ * @param {string} text - File contents
+ * @param {Object} manifest - Parsed plugin-manifest.json
+ * @param {string} fromDir - Directory of the file, relative to the repository root (for links)
+ * @returns {{text: string, regions: number, errors: string[]}}
+ */
+function updateRegions(text, manifest, fromDir) {
+  let regions = 0;
+  const errors = [];
+
+  const updated = text.replace(REGION_PATTERN, (match, name, attributeText, content) => {
+    const render = RENDERERS[name];
+    if (!render) {
+      errors.push(`Unknown region 'generated:${name}' (expected one of: ${Object.keys(RENDERERS).join(', ')})`);
+      return match;
+    }
+
+    const attributes = parseAttributes(attributeText);
+    const plugins = selectPlugins(manifest, attributes);
+    if (plugins.length === 0) {
+      errors.push(`Region 'generated:${name}${attributeText}' matches no plugins`);
+    }
+
+    regions++;
+    const output = render(plugins, attributes, fromDir);
+    const body = content.includes('\n') ? `\n${output}\n` : output;
+    return `<!-- generated:${name}${attributeText} -->${body}<!-- /generated:${name} -->`;
+  });
+
+  return { text: updated, regions, errors };
+}
+
+/**
+ * README.md for a plugin directory
+ *
+ * @param {Object} plugin - plugin-manifest.json entry
+ * @param {string} marketplaceName - Marketplace to install from
+ * @returns {string}
+ */
+function renderPluginReadme(plugin, marketplaceName) {
+  const index = plugin.componentIndex || {};
+  const siblingLink = name => `[\`${name}\`](../${name}/)`;
+  const lines = [GENERATED_NOTICE, '', `# ${plugin.name}`, '', plugin.description || '', ''];
+
+  const facts = [`- **Category:** ${plugin.category || 'uncategorized'}`];
+  if (requiredPluginNames(plugin).length > 0) {
+    facts.push(`- **Requires:** ${requiredPluginNames(plugin).map(siblingLink).join(', ')}`);
+  }
+  const recommended = (plugin.recommends && plugin.recommends.plugins) || [];
+  if (recommended.length > 0) {
+    facts.push(`- **Recommends:** ${recommended.map(siblingLink).join(', ')}`);
+  }
+  const conflicts = (plugin.conflicts && plugin.conflicts.plugins) || [];
+  if (conflicts.length > 0) {
+    facts.push(`- **Conflicts with:** ${conflicts.map(siblingLink).join(', ')}`);
+  }
+  if (plugin.autoLoad && plugin.autoLoad.when !== undefined) {
+    facts.push(`- **Auto-loads when:** ${describeCondition(plugin.autoLoad.when)}`);
+  }
+  lines.push(...facts, '', '## Installation', '', '```shell', `/plugin install ${plugin.name}@${marketplaceName}`, '```');
+
+  const sections = [
+    ['Agents', index.agents, ['Agent', 'Model', 'Description'],
+      a => [`[${a.name}](./${a.path})`, a.model || 'inherit', a.description]],
+    ['Skills', index.skills, ['Skill', 'Description'],
+      s => [`[${s.name}](./${s.path})`, s.description]],
+    ['Commands', index.commands, ['Command', 'Arguments', 'Description'],
+      c => [`[/${plugin.name}:${c.name}](./${c.path})`, c['argument-hint'] ? `\`${c['argument-hint']}\`` : '', c.description]],
+    ['Hooks', index.hooks, ['Event', 'Matcher', 'Description', 'Timeout'],
+      h => [h.event, h.matcher ? `\`${h.matcher}\`` : '', h.description, h.timeout ? `${h.timeout}s` : '']]
+  ];
+
+  for (const [title, items, headers, row] of sections) {
+    if (!items || items.length === 0) continue;
+    lines.push('', `## ${title}`, '', table(headers, items.map(row)));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  GENERATED_NOTICE,
+  parseAttributes,
+  updateRegions,
+  renderPluginReadme
+};
@@ -0,0 +1,25 @@
+/**
+ * Validation Findings
+ *
+ * Finding constructor shared by the lint rules and the reporters.
+ * Every finding carries a rule id, severity, plugin, file path and line so that
+ * CI bots can annotate the exact source line.
+ */
+
+/**
+ * Create a finding
+ *
+ * @param {string} ruleId - Id of the rule that produced the finding
+ * @param {'error'|'warning'} severity
+ * @param {string} message
+ * @param {Object} location
+ * @param {string} location.plugin - Plugin name
+ * @param {string} location.file - File path relative to the repository root
+ * @param {number} [location.line] - 1-based line number
+ * @returns {{ruleId: string, severity: string, plugin: string, file: string, line: number, message: string}}
+ */
+function createFinding(ruleId, severity, message, { plugin, file, line = 1 }) {
+  return { ruleId, severity, plugin, file, line, message };
+}
+
+module.exports = { createFinding };
@@ -0,0 +1,454 @@
+/**
+ * YAML Frontmatter Parser
+ *
+ * Parses the `---` delimited YAML block at the top of agent, skill and command
+ * markdown files. Supports the YAML subset used by Claude Code frontmatter:
+ * block mappings and sequences, plain/quoted scalars, flow sequences and
+ * mappings, block scalars (| and >) and comments.
+ *
+ * Errors are collected (not thrown) with 1-based line numbers of the source file.
+ *
+ * A bracketed value that is not a single flow collection (for example
+ * `argument-hint: [file] [format]`) is read as a plain string, matching how
+ * Claude Code reads argument hints.
+ */
+
+/**
+ * Parse frontmatter from markdown content
+ *
+ * @param {string} content - Full markdown file content
+ * @returns {{
+ *   hasFrontmatter: boolean,
+ *   data: Object,
+ *   errors: Array<{line: number, message: string}>,
+ *   keyLines: Object<string, number>,
+ *   body: string,
+ *   bodyLine: number
+ * }}
+ */
+function parseFrontmatter(content) {
+  const lines = content.split(/\r?\n/);
+
+  if (lines[0] !== '---') {
+    return { hasFrontmatter: false, data: {}, errors: [], keyLines: {}, body: content, bodyLine: 1 };
+  }
+
+  let end = -1;
+  for (let i = 1; i < lines.length; i++) {
+    if (lines[i] === '---' || lines[i] === '...') {
+      end = i;
+      break;
+    }
+  }
+
+  if (end === -1) {
+    return {
+      hasFrontmatter: true,
+      data: {},
+      errors: [{ line: 1, message: 'Unterminated frontmatter (missing closing ---)' }],
+      keyLines: {},
+      body: '',
+      bodyLine: lines.length + 1
+    };
+  }
+
+  const parser = new FrontmatterParser(lines.slice(1, end), 2);
+  const data = parser.parseDocument();
+
+  return {
+    hasFrontmatter: true,
+    data,
+    errors: parser.errors,
+    keyLines: parser.keyLines,
+    body: lines.slice(end + 1).join('\n'),
+    bodyLine: end + 2
+  };
+}
+
+/**
+ * Line-oriented parser for the frontmatter block
+ */
+class FrontmatterParser {
+  constructor(lines, firstLine) {
+    this.lines = lines;
+    this.firstLine = firstLine;
+    this.pos = 0;
+    this.errors = [];
+    this.keyLines = {};
+  }
+
+  error(index, message) {
+    this.errors.push({ line: this.firstLine + index, message });
+  }
+
+  isBlank(index) {
+    return /^\s*(#.*)?$/.test(this.lines[index]);
+  }
+
+  indentOf(index) {
+    return this.lines[index].match(/^ */)[0].length;
+  }
+
+  /** Index of the next non-blank, non-comment line at or after pos */
+  peek() {
+    let i = this.pos;
+    while (i < this.lines.length && this.isBlank(i)) i++;
+    return i < this.lines.length ? i : -1;
+  }
+
+  parseDocument() {
+    const first = this.peek();
+    if (first === -1) return {};
+
+    if (this.indentOf(first) !== 0) {
+      this.error(first, 'Frontmatter must start at column 1');
+    }
+
+    for (let i = 0; i < this.lines.length; i++) {
+      if (/^ *\t/.test(this.lines[i])) {
+        this.error(i, 'Tabs are not allowed for indentation');
+      }
+    }
+
+    const text = this.lines[first].trim();
+    if (text === '-' || text.startsWith('- ')) {
+      this.error(first, 'Frontmatter must be a mapping of fields, not a list');
+      return {};
+    }
+
+    return this.parseMapping(0, true);
+  }
+
+  parseNode(indent) {
+    const next = this.peek();
+    if (next === -1) return null;
+
+    this.pos = next;
+    const text = this.lines[next].slice(this.indentOf(next));
+    if (text === '-' || text.startsWith('- ')) {
+      return this.parseSequence(this.indentOf(next));
+    }
+    return this.parseMapping(Math.max(indent, this.indentOf(next)), false);
+  }
+
+  parseMapping(indent, topLevel) {
+    const result = {};
+
+    while (true) {
+      const next = this.peek();
+      if (next === -1) break;
+
+      const lineIndent = this.indentOf(next);
+      if (lineIndent < indent) break;
+
+      this.pos = next;
+      const text = this.lines[next].slice(lineIndent);
+
+      if (lineIndent > indent) {
+        this.error(next, `Unexpected indentation: "${text}"`);
+        this.pos++;
+        continue;
+      }
+
+      if (text === '-' || text.startsWith('- ')) {
+        if (topLevel) {
+          this.error(next, `List item without a field: "${text}"`);
+          this.pos++;
+          continue;
+        }
+        break;
+      }
+
+      const match = text.match(/^([^\s:#'"[\]{},][^:]*?|"[^"]*"|'[^']*')\s*:(?:\s+(.*))?$/);
+      if (!match) {
+        this.error(next, `Expected "key: value", found "${text}"`);
+        this.pos++;
+        continue;
+      }
+
+      const key = match[1].replace(/^(["'])(.*)\1$/, '$2');
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        this.error(next, `Duplicate field "${key}"`);
+      }
+      if (topLevel) {
+        this.keyLines[key] = this.firstLine + next;
+      }
+
+      this.pos++;
+      result[key] = this.parseValue(match[2] || '', next, indent);
+    }
+
+    return result;
+  }
+
+  parseSequence(indent) {
+    const result = [];
+
+    while (true) {
+      const next = this.peek();
+      if (next === -1) break;
+
+      const lineIndent = this.indentOf(next);
+      if (lineIndent < indent) break;
+
+      this.pos = next;
+      const text = this.lines[next].slice(lineIndent);
+
+      if (lineIndent > indent) {
+        this.error(next, `Unexpected indentation: "${text}"`);
+        this.pos++;
+        continue;
+      }
+
+      if (text !== '-' && !text.startsWith('- ')) break;
+
+      const rest = text.slice(1).trim();
+      if (rest === '') {
+        this.pos++;
+        const child = this.peek();
+        result.push(child !== -1 && this.indentOf(child) > indent ? this.parseNode(indent + 1) : null);
+      } else if (/^[^\s:#'"[\]{},][^:]*?\s*:(\s|$)/.test(rest)) {
+        // Compact mapping ("- key: value"): re-read the item as an indented mapping
+        const itemIndent = lineIndent + text.indexOf(rest);
+        this.lines[next] = ' '.repeat(itemIndent) + rest;
+        result.push(this.parseMapping(itemIndent, false));
+      } else {
+        this.pos++;
+        result.push(this.parseScalar(rest, next));
+      }
+    }
+
+    return result;
+  }
+
+  parseValue(raw, index, parentIndent) {
+    const value = raw.trim();
+
+    if (value === '' || value.startsWith('#')) {
+      const next = this.peek();
+      if (next === -1) return null;
+
+      const nextIndent = this.indentOf(next);
+      const nextText = this.lines[next].slice(nextIndent);
+      const isItem = nextText === '-' || nextText.startsWith('- ');
+      if (nextIndent > parentIndent || (nextIndent === parentIndent && isItem)) {
+        return this.parseNode(parentIndent + 1);
+      }
+      return null;
+    }
+
+    if (/^[|>][+-]?(\s+#.*)?$/.test(value)) {
+      return this.parseBlockScalar(value, parentIndent);
+    }
+
+    return this.parseScalar(value, index);
+  }
+
+  parseBlockScalar(header, parentIndent) {
+    const folded = header[0] === '>';
+    const chomp = header[1] === '-' || header[1] === '+' ? header[1] : '';
+    const collected = [];
+    let blockIndent = -1;
+
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      if (/^\s*$/.test(line)) {
+        collected.push('');
+        this.pos++;
+        continue;
+      }
+
+      const lineIndent = line.match(/^ */)[0].length;
+      if (lineIndent <= parentIndent) break;
+      if (blockIndent === -1) blockIndent = lineIndent;
+      if (lineIndent < blockIndent) {
+        this.error(this.pos, 'Block scalar line is less indented than the first line');
+      }
+
+      collected.push(line.slice(Math.min(lineIndent, blockIndent)));
+      this.pos++;
+    }
+
+    let trailing = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailing++;
+    }
+
+    let text;
+    if (folded) {
+      text = collected.reduce((out, line, i) => {
+        if (i === 0) return line;
+        if (line === '') return out + '\n';
+        return out.endsWith('\n') ? out + line : `${out} ${line}`;
+      }, '');
+    } else {
+      text = collected.join('\n');
+    }
+
+    if (chomp === '-' || text === '') return text;
+    if (chomp === '+') return text + '\n'.repeat(trailing + 1);
+    return text + '\n';
+  }
+
+  parseScalar(value, index, inFlow = false) {
+    if (value.startsWith('"')) {
+      const close = findClosingQuote(value, '"');
+      if (close === -1) {
+        this.error(index, 'Unterminated double-quoted string');
+        return value.slice(1);
+      }
+      this.checkTrailing(value.slice(close + 1), index);
+      try {
+        return JSON.parse(value.slice(0, close + 1));
+      } catch {
+        return value.slice(1, close);
+      }
+    }
+
+    if (value.startsWith("'")) {
+      const close = findClosingQuote(value, "'");
+      if (close === -1) {
+        this.error(index, 'Unterminated single-quoted string');
+        return value.slice(1);
+      }
+      this.checkTrailing(value.slice(close + 1), index);
+      return value.slice(1, close).replace(/''/g, "'");
+    }
+
+    if (value.startsWith('[') || value.startsWith('{')) {
+      const flow = this.parseFlow(stripComment(value), index);
+      if (flow !== undefined) return flow;
+      if (value.startsWith('{')) {
+        this.error(index, `Malformed flow mapping: ${value}`);
+      }
+      return stripComment(value);
+    }
+
+    const plain = stripComment(value);
+
+    if (/^[@`]/.test(plain)) {
+      this.error(index, `A plain value cannot start with "${plain[0]}" - quote the value`);
+    } else if (/^[&*!%]/.test(plain)) {
+      this.error(index, `Anchors, aliases and tags are not supported in frontmatter - quote the value`);
+    } else if (!inFlow && /:\s/.test(plain)) {
+      this.error(index, `Value contains ": " - quote the value to keep it a single string`);
+    }
+
+    return coercePlain(plain);
+  }
+
+  checkTrailing(rest, index) {
+    if (rest.trim() !== '' && !/^\s+#/.test(rest)) {
+      this.error(index, `Unexpected content after quoted string: "${rest.trim()}"`);
+    }
+  }
+
+  /**
+   * Parse a single-line flow collection; returns undefined if the value is not
+   * exactly one balanced collection
+   */
+  parseFlow(value, index) {
+    const close = value[0] === '[' ? ']' : '}';
+    const items = splitFlowItems(value);
+    if (!items || !value.endsWith(close)) return undefined;
+
+    if (close === ']') {
+      return items.map(item => this.parseScalar(item, index, true));
+    }
+
+    const result = {};
+    for (const item of items) {
+      const match = item.match(/^([^:]+?)\s*:\s*(.*)$/);
+      if (!match) {
+        this.error(index, `Expected "key: value" in flow mapping, found "${item}"`);
+        continue;
+      }
+      result[match[1]] = match[2] === '' ? null : this.parseScalar(match[2], index, true);
+    }
+    return result;
+  }
+}
+
+/**
+ * Find the index of the closing quote, honouring escapes
+ */
+function findClosingQuote(value, quote) {
+  for (let i = 1; i < value.length; i++) {
+    if (quote === '"' && value[i] === '\\') {
+      i++;
+    } else if (value[i] === quote) {
+      if (quote === "'" && value[i + 1] === "'") {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split the inside of a flow collection on top-level commas.
+ * Returns null if brackets are unbalanced or the collection ends early.
+ */
+function splitFlowItems(value) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+
+    if (quote) {
+      current += ch;
+      if (ch === quote) quote = null;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === '[' || ch === '{') {
+      if (depth > 0) current += ch;
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+      if (depth > 0) {
+        current += ch;
+      } else if (depth === 0) {
+        if (i !== value.length - 1) return null;
+      } else {
+        return null;
+      }
+    } else if (ch === ',' && depth === 1) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+
+  if (depth !== 0 || quote) return null;
+  if (current.trim() !== '') items.push(current.trim());
+  return items;
+}
+
+function stripComment(value) {
+  return value.replace(/\s+#.*$/, '').trim();
+}
+
+/**
+ * Resolve YAML core schema booleans, nulls and numbers
+ */
+function coercePlain(value) {
+  if (/^(true|True|TRUE)$/.test(value)) return true;
+  if (/^(false|False|FALSE)$/.test(value)) return false;
+  if (/^(null|Null|NULL|~)?$/.test(value)) return null;
+  if (/^[-+]?\d+$/.test(value)) return parseInt(value, 10);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return parseFloat(value);
+  return value;
+}
+
+module.exports = { parseFrontmatter };
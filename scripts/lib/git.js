@@ -0,0 +1,117 @@
+/**
+ * Git Helpers
+ *
+ * Thin wrappers around the git CLI for scripts that work on changes
+ * relative to a base ref.
+ */
+
+const { execFileSync } = require('child_process');
+
+/**
+ * Run a git command and return its trimmed stdout. Throws with git's stderr on failure.
+ *
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Working directory inside the repository
+ * @returns {string}
+ */
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+  } catch (e) {
+    const stderr = e.stderr ? e.stderr.toString().trim() : e.message;
+    throw new Error(`git ${args[0]} failed: ${stderr}`);
+  }
+}
+
+/**
+ * Commit where HEAD forked from a ref
+ *
+ * @param {string} ref - Base ref (branch, tag or commit)
+ * @param {string} cwd - Working directory inside the repository
+ * @returns {string} Commit hash
+ */
+function mergeBase(ref, cwd) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd);
+  } catch {
+    throw new Error(`Unknown git ref '${ref}'`);
+  }
+
+  try {
+    return git(['merge-base', ref, 'HEAD'], cwd);
+  } catch {
+    throw new Error(`'${ref}' and HEAD have no common history`);
+  }
+}
+
+/**
+ * Files changed since HEAD forked from a ref: committed changes since the merge
+ * base, plus staged, unstaged and untracked changes. Commits on the ref after the
+ * fork are not changes of this branch. Paths are relative to the repository root.
+ *
+ * @param {string} ref - Base ref (branch, tag or commit)
+ * @param {string} cwd - Working directory inside the repository
+ * @returns {string[]}
+ */
+function changedFilesSince(ref, cwd) {
+  const base = mergeBase(ref, cwd);
+  const diffed = git(['diff', '--name-only', '--no-renames', base], cwd);
+  const untracked = git(['ls-files', '--others', '--exclude-standard', '--full-name'], cwd);
+  const files = [...diffed.split('\n'), ...untracked.split('\n')].filter(Boolean);
+
+  return [...new Set(files)].sort();
+}
+
+/**
+ * Content of a file at a ref, or null if it doesn't exist there
+ *
+ * @param {string} ref
+ * @param {string} filePath - Path relative to the repository root
+ * @param {string} cwd
+ * @returns {string|null}
+ */
+function showFile(ref, filePath, cwd) {
+  try {
+    return execFileSync('git', ['show', `${ref}:${filePath}`], { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Files under a directory at a ref, relative to that directory
+ *
+ * @param {string} ref
+ * @param {string} dir - Directory relative to the repository root
+ * @param {string} cwd
+ * @returns {string[]}
+ */
+function listFilesAt(ref, dir, cwd) {
+  const output = git(['ls-tree', '-r', '--name-only', ref, '--', `${dir}/`], cwd);
+  return output.split('\n').filter(Boolean).map(file => file.slice(dir.length + 1));
+}
+
+/**
+ * Commits after a ref that touch a path, newest first
+ *
+ * @param {string} ref
+ * @param {string} pathspec - Path relative to the repository root
+ * @param {string} cwd
+ * @returns {Array<{hash: string, date: string, subject: string}>}
+ */
+function commitsSince(ref, pathspec, cwd) {
+  const output = git(['log', '--format=%h%x09%cs%x09%s', `${ref}..HEAD`, '--', pathspec], cwd);
+  return output.split('\n').filter(Boolean).map(line => {
+    const [hash, date, ...subject] = line.split('\t');
+    return { hash, date, subject: subject.join('\t') };
+  });
+}
+
+/**
+ * Absolute path of the repository root
+ */
+function repoRoot(cwd) {
+  return git(['rev-parse', '--show-toplevel'], cwd);
+}
+
+module.exports = { git, mergeBase, changedFilesSince, showFile, listFilesAt, commitsSince, repoRoot };
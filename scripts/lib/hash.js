@@ -0,0 +1,81 @@
+/**
+ * Content Hashing
+ *
+ * Reproducible SHA-256 hashes of plugin directories. The hash covers every file's
+ * path (relative, '/'-separated) and content in sorted order, so it changes when
+ * any file is added, removed, renamed or edited, and never depends on timestamps,
+ * file modes or the order the filesystem lists entries in.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Files that never belong to a plugin's content
+const IGNORED_FILES = ['.DS_Store', 'Thumbs.db'];
+
+/**
+ * List every file under a directory, sorted, relative and '/'-separated
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listFiles(dir) {
+  const files = [];
+
+  const walk = (current, prefix) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (IGNORED_FILES.includes(entry.name)) continue;
+      const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(current, entry.name), relPath);
+      } else {
+        files.push(relPath);
+      }
+    }
+  };
+
+  walk(dir, '');
+  return files.sort();
+}
+
+/**
+ * SHA-256 of a buffer or string, as hex
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Hash a set of files the way hashTree() hashes a directory
+ *
+ * @param {Array<{path: string, content: Buffer|string}>} files - Relative '/'-separated paths
+ * @returns {string} "sha256:<hex>"
+ */
+function hashFiles(files) {
+  const hash = crypto.createHash('sha256');
+  const sorted = [...files].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  for (const file of sorted) {
+    hash.update(`${file.path}\0${sha256(file.content)}\n`);
+  }
+  return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * Read a file for hashing; symlinks hash their target path, not the file they point to
+ */
+function readForHash(filePath) {
+  return fs.lstatSync(filePath).isSymbolicLink() ? fs.readlinkSync(filePath) : fs.readFileSync(filePath);
+}
+
+/**
+ * Hash a directory tree
+ *
+ * @param {string} dir - Directory to hash
+ * @returns {string} "sha256:<hex>"
+ */
+function hashTree(dir) {
+  return hashFiles(listFiles(dir).map(relPath => ({ path: relPath, content: readForHash(path.join(dir, relPath)) })));
+}
+
+module.exports = { IGNORED_FILES, listFiles, sha256, hashFiles, hashTree };
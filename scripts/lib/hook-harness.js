@@ -0,0 +1,309 @@
+/**
+ * Hook Test Harness
+ *
+ * Runs hook scripts the way Claude Code does - as a subprocess with the event
+ * JSON on stdin - inside throwaway git repositories built from fixtures, and
+ * checks the exit code, the stdout decision and stderr.
+ *
+ * A fixture file (tests/hooks/<script>.json) names a script and its cases:
+ *
+ *   {
+ *     "script": "plugins/aai-hooks/hooks/scripts/block-master-commits.cjs",
+ *     "cases": [{
+ *       "name": "denies commits on main",
+ *       "repo": { "branch": "main", "staged": { "src/app.js": "..." } },
+ *       "event": "pre-tool-use-bash",
+ *       "command": "git commit -m \"Add app\"",
+ *       "expect": { "decision": "deny", "reason": "protected branch" }
+ *     }]
+ *   }
+ *
+ * Case fields:
+ *   repo.branch      - Branch checked out (default: feature/hook-tests)
+ *   repo.files       - path → content, committed in the initial commit
+ *   repo.staged      - path → content, written and staged
+ *   repo.untracked   - path → content, written only
+ *   repo.packageJson - package.json content (committed)
+ *   repo.testScript  - {output, exitCode, delayMs}: `npm test` prints output and exits
+ *                      with exitCode, after delayMs
+ *   repo.config      - .claude/aai-hooks.json content (committed)
+ *   userConfig       - ~/.claude/aai-hooks.json content (HOME is a fresh directory per case)
+ *   env              - Extra environment variables
+ *   event            - Recorded event in tests/hooks/events/<name>.json; cwd is set to the repo
+ *   command          - Sets tool_input.command
+ *   input            - Fields merged into the event (e.g. stop_hook_active)
+ *   expect.exitCode  - Default 0
+ *   expect.decision  - deny | allow | ask | block | context | pass (no decision on stdout)
+ *   expect.reason    - Substring of the deny/ask/allow/block reason
+ *   expect.stdout    - Object the stdout JSON must contain (deep, partial match;
+ *                      strings match as substrings)
+ *   expect.stderr    - Substring of stderr
+ *   expect.audit     - Object the hook's audit log record must contain (same
+ *                      matching as expect.stdout); null when the run must not
+ *                      write a record
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { git } = require('./git');
+
+const CASE_FIELDS = ['name', 'repo', 'userConfig', 'env', 'event', 'command', 'input', 'expect'];
+const REPO_FIELDS = ['branch', 'files', 'staged', 'untracked', 'packageJson', 'testScript', 'config'];
+const EXPECT_FIELDS = ['exitCode', 'decision', 'reason', 'stdout', 'stderr', 'audit'];
+const DECISIONS = ['deny', 'allow', 'ask', 'block', 'context', 'pass'];
+
+const DEFAULT_BRANCH = 'feature/hook-tests';
+const CASE_TIMEOUT_MS = 90 * 1000;
+
+// Settings of the machine running the tests that would leak into the hooks
+const ISOLATED_ENV = ['PROTECTED_BRANCHES', 'AAI_HOOKS_DISABLE', 'AAI_HOOKS_AUDIT_LOG', 'GIT_DIR', 'GIT_WORK_TREE', 'GIT_INDEX_FILE'];
+
+// Identity for the fixture commits, independent of the machine's git config
+const GIT_IDENTITY = ['-c', 'user.name=Hook Tests', '-c', 'user.email=hook-tests@example.com', '-c', 'commit.gpgsign=false'];
+
+/**
+ * Check a fixture file's structure
+ *
+ * @returns {string[]} Problems, empty when valid
+ */
+function validateFixture(fixture, eventsDir) {
+  const problems = [];
+  if (!fixture || typeof fixture.script !== 'string') problems.push('fixture needs a "script"');
+  if (!Array.isArray(fixture && fixture.cases) || fixture.cases.length === 0) {
+    problems.push('fixture needs a non-empty "cases" array');
+    return problems;
+  }
+
+  fixture.cases.forEach((testCase, i) => {
+    const label = `cases[${i}]${testCase.name ? ` (${testCase.name})` : ''}`;
+    if (!testCase.name) problems.push(`${label} needs a "name"`);
+    for (const key of Object.keys(testCase)) {
+      if (!CASE_FIELDS.includes(key)) problems.push(`${label} has unknown field "${key}"`);
+    }
+    for (const key of Object.keys(testCase.repo || {})) {
+      if (!REPO_FIELDS.includes(key)) problems.push(`${label} has unknown repo field "${key}"`);
+    }
+    if (typeof testCase.event !== 'string' || !fs.existsSync(path.join(eventsDir, `${testCase.event}.json`))) {
+      problems.push(`${label} needs an "event" recorded in ${path.basename(eventsDir)}/`);
+    }
+    if (!testCase.expect) {
+      problems.push(`${label} needs an "expect"`);
+      return;
+    }
+    for (const key of Object.keys(testCase.expect)) {
+      if (!EXPECT_FIELDS.includes(key)) problems.push(`${label} has unknown expect field "${key}"`);
+    }
+    if (testCase.expect.decision && !DECISIONS.includes(testCase.expect.decision)) {
+      problems.push(`${label} expects unknown decision "${testCase.expect.decision}" (one of: ${DECISIONS.join(', ')})`);
+    }
+  });
+
+  return problems;
+}
+
+function writeFiles(dir, files = {}) {
+  for (const [relPath, content] of Object.entries(files)) {
+    const filePath = path.join(dir, relPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : `${JSON.stringify(content, null, 2)}\n`);
+  }
+}
+
+/**
+ * Build a throwaway repository for a case
+ *
+ * @param {string} dir - Empty directory
+ * @param {Object} [repo] - The case's repo fields
+ */
+function buildRepo(dir, repo = {}) {
+  const committed = { ...repo.files };
+
+  if (repo.packageJson || repo.testScript) {
+    const packageJson = { name: 'hook-fixture', version: '1.0.0', private: true, ...repo.packageJson };
+    if (repo.testScript) {
+      const { output = '', exitCode = 0, delayMs = 0 } = repo.testScript;
+      packageJson.scripts = { ...packageJson.scripts, test: 'node fake-test.cjs' };
+      committed['fake-test.cjs'] = `setTimeout(() => {
+  process.stdout.write(${JSON.stringify(output)});
+  process.exitCode = ${exitCode};
+}, ${delayMs});
+`;
+    }
+    committed['package.json'] = packageJson;
+  }
+  if (repo.config) {
+    committed['.claude/aai-hooks.json'] = repo.config;
+  }
+
+  git(['init', '--quiet', '--initial-branch', repo.branch || DEFAULT_BRANCH], dir);
+  writeFiles(dir, { 'README.md': '# Hook fixture\n', ...committed });
+  git(['add', '--all'], dir);
+  git([...GIT_IDENTITY, 'commit', '--quiet', '-m', 'Initial commit'], dir);
+
+  if (repo.staged) {
+    writeFiles(dir, repo.staged);
+    git(['add', '--', ...Object.keys(repo.staged)], dir);
+  }
+  writeFiles(dir, repo.untracked);
+}
+
+/**
+ * Decision named by a hook's stdout JSON (see hook-runtime.cjs)
+ */
+function decisionOf(output) {
+  if (!output) return 'pass';
+  const specific = output.hookSpecificOutput || {};
+  if (specific.permissionDecision) return specific.permissionDecision;
+  if (output.decision === 'block') return 'block';
+  if (specific.additionalContext) return 'context';
+  return 'pass';
+}
+
+/**
+ * Whether `actual` contains everything in `expected`: objects partially,
+ * strings as substrings, other values exactly
+ */
+function containsDeep(actual, expected) {
+  if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+    return actual !== null && typeof actual === 'object' &&
+      Object.entries(expected).every(([key, value]) => containsDeep(actual[key], value));
+  }
+  if (typeof expected === 'string') {
+    return typeof actual === 'string' && actual.includes(expected);
+  }
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+/**
+ * Last record of an audit log (see hook-audit.cjs), null when there is none
+ */
+function lastAuditRecord(logFile) {
+  if (!fs.existsSync(logFile)) return null;
+  const lines = fs.readFileSync(logFile, 'utf-8').trim().split('\n');
+  return lines[0] ? JSON.parse(lines[lines.length - 1]) : null;
+}
+
+/**
+ * Compare a hook run with a case's expectations
+ *
+ * @param {Object} result - spawnSync result
+ * @param {Object} expect
+ * @param {Object|null} [auditRecord] - The run's audit log record
+ * @returns {string[]} Failures, empty when the case passed
+ */
+function checkResult(result, expect, auditRecord = null) {
+  const failures = [];
+
+  if (result.error) {
+    return [result.error.code === 'ETIMEDOUT' ? `timed out after ${CASE_TIMEOUT_MS / 1000}s` : result.error.message];
+  }
+
+  const expectedExit = expect.exitCode === undefined ? 0 : expect.exitCode;
+  if (result.status !== expectedExit) {
+    failures.push(`exit code ${result.status}, expected ${expectedExit}`);
+  }
+
+  // stdout is either empty or one JSON decision - anything else breaks the protocol
+  let output = null;
+  if (result.stdout.trim()) {
+    try {
+      output = JSON.parse(result.stdout);
+    } catch {
+      failures.push(`stdout is not JSON: ${result.stdout.trim().slice(0, 200)}`);
+      return failures;
+    }
+  }
+
+  const decision = decisionOf(output);
+  if (expect.decision && decision !== expect.decision) {
+    failures.push(`decision ${decision}, expected ${expect.decision}`);
+  }
+  if (expect.reason) {
+    const specific = (output && output.hookSpecificOutput) || {};
+    const reason = specific.permissionDecisionReason || (output && output.reason) || '';
+    if (!reason.includes(expect.reason)) {
+      failures.push(`reason does not contain "${expect.reason}": ${reason.slice(0, 200) || '(none)'}`);
+    }
+  }
+  if (expect.stdout && !containsDeep(output, expect.stdout)) {
+    failures.push(`stdout ${JSON.stringify(output)} does not contain ${JSON.stringify(expect.stdout)}`);
+  }
+  if (expect.stderr && !result.stderr.includes(expect.stderr)) {
+    failures.push(`stderr does not contain "${expect.stderr}": ${result.stderr.trim().slice(0, 200) || '(empty)'}`);
+  }
+  if ('audit' in expect) {
+    if (expect.audit === null) {
+      if (auditRecord !== null) failures.push(`expected no audit record, found ${JSON.stringify(auditRecord)}`);
+    } else if (!containsDeep(auditRecord, expect.audit)) {
+      failures.push(`audit record ${JSON.stringify(auditRecord)} does not contain ${JSON.stringify(expect.audit)}`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Run one case in a fresh repository
+ *
+ * @param {string} script - Absolute path of the hook script
+ * @param {Object} testCase
+ * @param {string} eventsDir - Directory of recorded events
+ * @returns {{failures: string[], durationMs: number}}
+ */
+function runCase(script, testCase, eventsDir) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'hook-test-'));
+  const repoDir = path.join(root, 'repo');
+  const homeDir = path.join(root, 'home');
+  fs.mkdirSync(repoDir);
+  fs.mkdirSync(homeDir);
+
+  try {
+    buildRepo(repoDir, testCase.repo);
+    if (testCase.userConfig) {
+      writeFiles(homeDir, { '.claude/aai-hooks.json': testCase.userConfig });
+    }
+
+    const event = JSON.parse(fs.readFileSync(path.join(eventsDir, `${testCase.event}.json`), 'utf-8'));
+    event.cwd = repoDir;
+    if (testCase.command !== undefined) {
+      event.tool_input = { ...event.tool_input, command: testCase.command };
+    }
+    Object.assign(event, testCase.input);
+
+    const env = { ...process.env, HOME: homeDir, GIT_CONFIG_NOSYSTEM: '1', ...testCase.env };
+    for (const key of ISOLATED_ENV) {
+      if (!testCase.env || !(key in testCase.env)) delete env[key];
+    }
+
+    const started = Date.now();
+    const result = spawnSync(process.execPath, [script], {
+      cwd: repoDir,
+      env,
+      input: JSON.stringify(event),
+      encoding: 'utf-8',
+      timeout: CASE_TIMEOUT_MS
+    });
+    // Where the hook writes its record - the default location when the case turns the log off
+    const auditSetting = env.AAI_HOOKS_AUDIT_LOG;
+    const auditLog = auditSetting && auditSetting !== 'off'
+      ? path.resolve(repoDir, auditSetting)
+      : path.join(homeDir, '.claude', 'aai-hooks', 'audit.jsonl');
+    const auditRecord = lastAuditRecord(auditLog);
+    return { failures: checkResult(result, testCase.expect, auditRecord), durationMs: Date.now() - started };
+  } catch (e) {
+    return { failures: [`fixture setup failed: ${e.message}`], durationMs: 0 };
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  DECISIONS,
+  validateFixture,
+  buildRepo,
+  decisionOf,
+  checkResult,
+  runCase
+};
@@ -0,0 +1,256 @@
+/**
+ * Hooks Configuration Schema
+ *
+ * Validates hooks/hooks.json against the hook contract documented in
+ * docs/claudecode/hooks-reference.md: event names, matcher groups, hook types,
+ * timeouts (in seconds) and `${CLAUDE_PLUGIN_ROOT}` script references.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { lineForPath } = require('./json');
+
+// Hook events and what their matcher is matched against (null = matcher not used)
+const HOOK_EVENTS = {
+  PreToolUse: 'tool name',
+  PermissionRequest: 'tool name',
+  PostToolUse: 'tool name',
+  PostToolUseFailure: 'tool name',
+  Notification: 'notification type',
+  PreCompact: 'compaction trigger',
+  Setup: 'setup trigger',
+  SessionStart: 'session source',
+  UserPromptSubmit: null,
+  Stop: null,
+  SubagentStart: null,
+  SubagentStop: null,
+  SessionEnd: null
+};
+
+// Hook types and the field each one requires
+const HOOK_TYPES = {
+  command: 'command',
+  prompt: 'prompt'
+};
+
+// Fields from other hook formats that are commonly copied into hooks.json
+const FIELD_HINTS = {
+  pattern: 'matchers only match the tool name; filter on tool_input inside the hook',
+  script: "use \"type\": \"command\" with the script path in 'command'"
+};
+
+const CONFIG_FIELDS = ['description', 'hooks'];
+const GROUP_FIELDS = ['matcher', 'hooks'];
+const HOOK_FIELDS = ['type', 'command', 'prompt', 'timeout', 'description', 'once'];
+
+// Timeout bounds in seconds (Claude Code defaults to 60s for commands, 30s for prompts)
+const MIN_TIMEOUT_SECONDS = 1;
+const MAX_TIMEOUT_SECONDS = 600;
+
+// References to files inside the plugin, e.g. "${CLAUDE_PLUGIN_ROOT}/hooks/scripts/x.cjs"
+const PLUGIN_ROOT_PATH = /["']?\$\{?CLAUDE_PLUGIN_ROOT\}?["']?(\/[^\s"';|&]+)/g;
+
+/**
+ * Validate a parsed hooks configuration
+ *
+ * @param {Object} config - Parsed hooks.json
+ * @param {Object} options
+ * @param {string} options.pluginPath - Plugin root, used to resolve ${CLAUDE_PLUGIN_ROOT}
+ * @param {Map<string, number>} [options.lines] - JSON path line map from locateJsonPaths()
+ * @returns {{errors: Array<{rule: string, line: number, message: string}>, warnings: Array<{rule: string, line: number, message: string}>}}
+ */
+function validateHooksConfig(config, { pluginPath, lines = new Map() }) {
+  const errors = [];
+  const warnings = [];
+  const at = (jsonPath) => lineForPath(lines, jsonPath);
+
+  if (!isObject(config)) {
+    errors.push({ rule: 'hooks/structure', line: 1, message: 'hooks configuration must be a JSON object' });
+    return { errors, warnings };
+  }
+
+  checkKeys(config, CONFIG_FIELDS, '', 'hooks configuration', errors, at);
+
+  if (!isObject(config.hooks)) {
+    errors.push({ rule: 'hooks/structure', line: at('hooks'), message: "'hooks' must be an object keyed by event name" });
+    return { errors, warnings };
+  }
+
+  for (const [event, groups] of Object.entries(config.hooks)) {
+    const eventPath = `hooks.${event}`;
+
+    if (!Object.prototype.hasOwnProperty.call(HOOK_EVENTS, event)) {
+      errors.push({
+        rule: 'hooks/event',
+        line: at(eventPath),
+        message: `Unknown hook event '${event}' (expected one of: ${Object.keys(HOOK_EVENTS).join(', ')})`
+      });
+      continue;
+    }
+
+    if (!Array.isArray(groups)) {
+      errors.push({ rule: 'hooks/structure', line: at(eventPath), message: `${event} must be an array of matcher groups` });
+      continue;
+    }
+
+    groups.forEach((group, groupIndex) => {
+      const groupPath = `${eventPath}[${groupIndex}]`;
+
+      if (!isObject(group)) {
+        errors.push({ rule: 'hooks/structure', line: at(groupPath), message: `${event}[${groupIndex}] must be an object` });
+        return;
+      }
+
+      checkKeys(group, GROUP_FIELDS, groupPath, `${event} matcher group`, errors, at);
+      checkMatcher(event, group.matcher, `${groupPath}.matcher`, errors, warnings, at);
+
+      if (!Array.isArray(group.hooks) || group.hooks.length === 0) {
+        errors.push({ rule: 'hooks/structure', line: at(groupPath), message: `${event}[${groupIndex}] must have a non-empty 'hooks' array` });
+        return;
+      }
+
+      group.hooks.forEach((hook, hookIndex) => {
+        checkHook(hook, `${groupPath}.hooks[${hookIndex}]`, `${event}[${groupIndex}].hooks[${hookIndex}]`,
+          pluginPath, errors, warnings, at);
+      });
+    });
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Report keys that aren't part of the documented contract
+ */
+function checkKeys(object, allowed, basePath, label, errors, at) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      const hint = FIELD_HINTS[key] ? ` - ${FIELD_HINTS[key]}` : ` (allowed: ${allowed.join(', ')})`;
+      errors.push({
+        rule: 'hooks/unknown-field',
+        line: at(basePath ? `${basePath}.${key}` : key),
+        message: `Unknown field '${key}' in ${label}${hint}`
+      });
+    }
+  }
+}
+
+function checkMatcher(event, matcher, jsonPath, errors, warnings, at) {
+  if (matcher === undefined) return;
+
+  if (typeof matcher !== 'string') {
+    errors.push({ rule: 'hooks/matcher', line: at(jsonPath), message: `${event} matcher must be a string` });
+    return;
+  }
+
+  if (HOOK_EVENTS[event] === null) {
+    if (matcher !== '' && matcher !== '*') {
+      warnings.push({ rule: 'hooks/matcher', line: at(jsonPath), message: `${event} doesn't use matchers; matcher '${matcher}' is ignored` });
+    }
+    return;
+  }
+
+  if (matcher === '' || matcher === '*') return;
+
+  try {
+    new RegExp(matcher);
+  } catch (e) {
+    errors.push({ rule: 'hooks/matcher', line: at(jsonPath), message: `${event} matcher '${matcher}' is not a valid regex: ${e.message}` });
+  }
+}
+
+function checkHook(hook, jsonPath, label, pluginPath, errors, warnings, at) {
+  if (!isObject(hook)) {
+    errors.push({ rule: 'hooks/structure', line: at(jsonPath), message: `${label} must be an object` });
+    return;
+  }
+
+  checkKeys(hook, HOOK_FIELDS, jsonPath, 'hook', errors, at);
+
+  const requiredField = HOOK_TYPES[hook.type];
+  if (!requiredField) {
+    errors.push({
+      rule: 'hooks/type',
+      line: at(`${jsonPath}.type`),
+      message: `${label} has unsupported type '${hook.type}' (expected: ${Object.keys(HOOK_TYPES).join(', ')})`
+    });
+    return;
+  }
+
+  const value = hook[requiredField];
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push({ rule: 'hooks/type', line: at(jsonPath), message: `${label} of type '${hook.type}' requires a '${requiredField}' string` });
+    return;
+  }
+
+  if (hook.timeout !== undefined) {
+    checkTimeout(hook.timeout, `${jsonPath}.timeout`, label, errors, at);
+  }
+
+  if (hook.type === 'command') {
+    checkScriptReferences(value, `${jsonPath}.command`, label, pluginPath, errors, warnings, at);
+  }
+}
+
+function checkTimeout(timeout, jsonPath, label, errors, at) {
+  if (typeof timeout !== 'number' || !Number.isFinite(timeout)) {
+    errors.push({ rule: 'hooks/timeout', line: at(jsonPath), message: `${label} timeout must be a number of seconds` });
+    return;
+  }
+
+  if (timeout < MIN_TIMEOUT_SECONDS || timeout > MAX_TIMEOUT_SECONDS) {
+    const hint = timeout >= 1000 ? ` - timeout is in seconds, did you mean ${Math.ceil(timeout / 1000)}?` : '';
+    errors.push({
+      rule: 'hooks/timeout',
+      line: at(jsonPath),
+      message: `${label} timeout ${timeout}s is outside ${MIN_TIMEOUT_SECONDS}-${MAX_TIMEOUT_SECONDS} seconds${hint}`
+    });
+  }
+}
+
+/**
+ * Resolve ${CLAUDE_PLUGIN_ROOT} paths in a command and check the files exist.
+ * A script run as the command itself (not via an interpreter) must be executable.
+ */
+function checkScriptReferences(command, jsonPath, label, pluginPath, errors, warnings, at) {
+  const line = at(jsonPath);
+  const trimmed = command.trim();
+
+  for (const match of command.matchAll(PLUGIN_ROOT_PATH)) {
+    const relPath = match[1].replace(/^\//, '');
+    const filePath = path.join(pluginPath, relPath);
+
+    if (!fs.existsSync(filePath)) {
+      errors.push({ rule: 'hooks/script', line, message: `${label} references missing file ${relPath}` });
+      continue;
+    }
+
+    const isProgram = trimmed.startsWith(match[0]);
+    if (!isProgram) continue;
+
+    if (!fs.statSync(filePath).isFile()) {
+      errors.push({ rule: 'hooks/script', line, message: `${label} command ${relPath} is not a file` });
+      continue;
+    }
+
+    if (process.platform !== 'win32' && (fs.statSync(filePath).mode & 0o111) === 0) {
+      errors.push({ rule: 'hooks/script', line, message: `${label} script ${relPath} is not executable (chmod +x)` });
+    }
+
+    const firstLine = fs.readFileSync(filePath, 'utf-8').split('\n', 1)[0];
+    if (!firstLine.startsWith('#!')) {
+      warnings.push({ rule: 'hooks/script', line, message: `${label} script ${relPath} has no shebang line` });
+    }
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  HOOK_TYPES,
+  MAX_TIMEOUT_SECONDS,
+  validateHooksConfig
+};
@@ -0,0 +1,352 @@
+/**
+ * Project Plugin Installer
+ *
+ * Vendors marketplace plugins into a project's .claude/plugins/ directory and
+ * records them in .claude/plugins.lock.json with their version and content
+ * hash, so upgrades show up as reviewable lockfile diffs.
+ *
+ * .claude/plugins/ also gets a .claude-plugin/marketplace.json listing the
+ * installed plugins, which makes the directory a local marketplace Claude Code
+ * can install from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatJson } = require('./json');
+const { hashTree } = require('./hash');
+
+const LOCKFILE_VERSION = 1;
+
+// Same rule as plugin.json names; anything else could point outside .claude/plugins/
+const PLUGIN_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Paths of the installer's files inside a project
+ *
+ * @param {string} projectDir - Project root
+ */
+function projectPaths(projectDir) {
+  const claudeDir = path.join(projectDir, '.claude');
+  const pluginsDir = path.join(claudeDir, 'plugins');
+  return {
+    claudeDir,
+    pluginsDir,
+    lockPath: path.join(claudeDir, 'plugins.lock.json'),
+    marketplacePath: path.join(pluginsDir, '.claude-plugin', 'marketplace.json')
+  };
+}
+
+/**
+ * Read a lockfile (an empty one when it doesn't exist yet)
+ *
+ * @param {string} lockPath
+ * @returns {{lockfileVersion: number, marketplace: Object|null, plugins: Object<string, Object>}}
+ */
+function readLockfile(lockPath) {
+  if (!fs.existsSync(lockPath)) {
+    return { lockfileVersion: LOCKFILE_VERSION, marketplace: null, plugins: {} };
+  }
+
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Cannot read ${path.basename(lockPath)}: ${e.message}`);
+  }
+  if (lock.lockfileVersion !== LOCKFILE_VERSION) {
+    throw new Error(`${path.basename(lockPath)} has lockfileVersion ${lock.lockfileVersion}; expected ${LOCKFILE_VERSION}`);
+  }
+  const invalid = Object.keys(lock.plugins || {}).find(name => !PLUGIN_NAME_PATTERN.test(name));
+  if (invalid !== undefined) {
+    throw new Error(`${path.basename(lockPath)} lists an invalid plugin name '${invalid}'`);
+  }
+  return { ...lock, plugins: lock.plugins || {} };
+}
+
+/**
+ * Write a lockfile with plugins sorted by name
+ */
+function writeLockfile(lockPath, lock) {
+  const plugins = {};
+  for (const name of Object.keys(lock.plugins).sort()) {
+    plugins[name] = lock.plugins[name];
+  }
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  fs.writeFileSync(lockPath, formatJson({ ...lock, plugins }));
+}
+
+/**
+ * Directory of an installed plugin
+ *
+ * @throws {Error} When the name would resolve outside pluginsDir
+ */
+function installedDir(pluginsDir, name) {
+  const root = path.resolve(pluginsDir);
+  const dir = path.resolve(root, name);
+  if (path.dirname(dir) !== root) {
+    throw new Error(`Refusing to touch '${name}': not a directory inside ${pluginsDir}`);
+  }
+  return dir;
+}
+
+/**
+ * Plugins a plugin requires, according to a manifest or lockfile entry
+ */
+function requiredPlugins(entry) {
+  if (!entry) return [];
+  if (Array.isArray(entry.requires)) return entry.requires;
+  return (entry.requires && Array.isArray(entry.requires.plugins)) ? entry.requires.plugins : [];
+}
+
+/**
+ * Transitive closure of `requires`, dependencies first
+ *
+ * @param {string[]} names - Plugins to start from
+ * @param {Function} lookup - Name → manifest or lockfile entry (undefined if unknown)
+ * @returns {{order: string[], missing: Array<{plugin: string, requiredBy: string|null}>}}
+ */
+function resolveClosure(names, lookup) {
+  const order = [];
+  const missing = [];
+  const seen = new Set();
+
+  const visit = (name, requiredBy) => {
+    if (seen.has(name)) return;
+    seen.add(name);
+
+    const entry = lookup(name);
+    if (!entry) {
+      missing.push({ plugin: name, requiredBy });
+      return;
+    }
+    for (const dep of requiredPlugins(entry)) visit(dep, name);
+    order.push(name);
+  };
+
+  names.forEach(name => visit(name, null));
+  return { order, missing };
+}
+
+/**
+ * Pairs of plugins in a set where one declares `conflicts.plugins` on the other
+ *
+ * @param {string[]} names
+ * @param {Function} lookup - Name → manifest entry
+ * @returns {Array<{plugin: string, conflictsWith: string}>}
+ */
+function findConflicts(names, lookup) {
+  const conflicts = [];
+  for (const name of names) {
+    const entry = lookup(name);
+    const declared = entry && entry.conflicts && Array.isArray(entry.conflicts.plugins) ? entry.conflicts.plugins : [];
+    for (const other of declared.filter(o => names.includes(o))) {
+      conflicts.push({ plugin: name, conflictsWith: other });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Installed plugins that require a plugin
+ */
+function dependentsOf(lock, name) {
+  return Object.keys(lock.plugins).filter(other => requiredPlugins(lock.plugins[other]).includes(name));
+}
+
+/**
+ * Copy a plugin from the marketplace into the project, replacing any earlier copy.
+ * Both the source and the copy must match the manifest's content hash.
+ *
+ * @param {Object} entry - plugin-manifest.json entry
+ * @param {string} marketplaceDir - Directory the entry's `source` is relative to
+ * @param {string} pluginsDir - Project's .claude/plugins/
+ * @returns {string} Installed directory
+ */
+function copyPlugin(entry, marketplaceDir, pluginsDir) {
+  const source = path.join(marketplaceDir, entry.source);
+  if (hashTree(source) !== entry.contentHash) {
+    throw new Error(`${entry.name} differs from plugin-manifest.json - run node scripts/build-manifest.js`);
+  }
+
+  const target = installedDir(pluginsDir, entry.name);
+  fs.rmSync(target, { recursive: true, force: true });
+  fs.mkdirSync(pluginsDir, { recursive: true });
+  fs.cpSync(source, target, { recursive: true });
+
+  if (hashTree(target) !== entry.contentHash) {
+    throw new Error(`Copy of ${entry.name} does not match its content hash`);
+  }
+  return target;
+}
+
+/**
+ * Lockfile entry for an installed plugin
+ *
+ * @param {Object} entry - plugin-manifest.json entry
+ * @param {boolean} direct - Installed by name rather than as a dependency
+ */
+function lockEntry(entry, direct) {
+  return {
+    version: entry.version,
+    contentHash: entry.contentHash,
+    direct,
+    requires: requiredPlugins(entry)
+  };
+}
+
+/**
+ * Whether the installed copy of a plugin still matches its lockfile entry
+ */
+function isIntact(paths, name, locked) {
+  const dir = path.join(paths.pluginsDir, name);
+  return fs.existsSync(dir) && hashTree(dir) === locked.contentHash;
+}
+
+/**
+ * Plugins installed by name rather than as a requirement
+ */
+function directPlugins(lock) {
+  return new Set(Object.keys(lock.plugins).filter(name => lock.plugins[name].direct));
+}
+
+/**
+ * Bring the installed plugins in line with the directly installed set: install
+ * missing requirements, refresh the given plugins from the marketplace, and
+ * remove plugins nothing requires any more.
+ *
+ * Requirements, conflicts and the marketplace copy of every plugin to be
+ * copied are checked before anything changes. If a copy still fails, the
+ * lockfile and local marketplace are written for the plugins handled so far
+ * before the error is rethrown.
+ *
+ * @param {Object} context - {manifest, byName, marketplaceDir, paths, lock}
+ * @param {Set<string>} direct - Plugins installed by name
+ * @param {Set<string>} [refresh] - Installed plugins to update to the marketplace version
+ * @param {Function} [onChange] - Called with {action, name, version, from, requiredBy} after each change
+ * @returns {number} Plugins installed, updated, restored or removed
+ */
+function reconcile({ manifest, byName, marketplaceDir, paths, lock }, direct, refresh = new Set(), onChange = () => {}) {
+  const useManifest = name => refresh.has(name) || !lock.plugins[name];
+  const lookup = name => (useManifest(name) ? byName.get(name) : lock.plugins[name]);
+
+  const { order, missing } = resolveClosure([...direct].sort(), lookup);
+  if (missing.length > 0) {
+    const { plugin, requiredBy } = missing[0];
+    throw new Error(requiredBy
+      ? `${requiredBy} requires ${plugin}, which is not in the marketplace`
+      : `Unknown plugin '${plugin}'`);
+  }
+
+  const conflicts = findConflicts(order, name => byName.get(name));
+  if (conflicts.length > 0) {
+    const { plugin, conflictsWith } = conflicts[0];
+    throw new Error(`${plugin} conflicts with ${conflictsWith}; they cannot be installed together`);
+  }
+
+  const actions = new Map();
+  for (const name of order) {
+    const entry = byName.get(name);
+    const current = lock.plugins[name];
+    if (!current) {
+      actions.set(name, 'installed');
+    } else if (refresh.has(name) && entry && entry.contentHash !== current.contentHash) {
+      actions.set(name, 'updated');
+    } else if (refresh.has(name) && entry && !isIntact(paths, name, current)) {
+      actions.set(name, 'restored');
+    }
+  }
+  for (const name of actions.keys()) {
+    const entry = byName.get(name);
+    if (hashTree(path.join(marketplaceDir, entry.source)) !== entry.contentHash) {
+      throw new Error(`${name} differs from plugin-manifest.json - run node scripts/build-manifest.js`);
+    }
+  }
+
+  let changes = 0;
+  try {
+    for (const name of order) {
+      const entry = byName.get(name);
+      const current = lock.plugins[name];
+      const action = actions.get(name);
+
+      if (action) copyPlugin(entry, marketplaceDir, paths.pluginsDir);
+      if (action === 'installed' || action === 'updated') {
+        lock.plugins[name] = lockEntry(entry, direct.has(name));
+      } else {
+        current.direct = direct.has(name);
+      }
+      if (!action) continue;
+
+      onChange({
+        action,
+        name,
+        version: entry.version,
+        from: current && current.version,
+        requiredBy: direct.has(name) ? [] : order.filter(other => requiredPlugins(lookup(other)).includes(name))
+      });
+      changes++;
+    }
+
+    for (const name of Object.keys(lock.plugins).filter(n => !order.includes(n))) {
+      const { version } = lock.plugins[name];
+      fs.rmSync(installedDir(paths.pluginsDir, name), { recursive: true, force: true });
+      delete lock.plugins[name];
+      onChange({ action: 'removed', name, version });
+      changes++;
+    }
+
+    lock.marketplace = { name: manifest.name, version: manifest.version };
+  } finally {
+    writeLockfile(paths.lockPath, lock);
+    writeLocalMarketplace(paths, lock, manifest);
+  }
+  return changes;
+}
+
+/**
+ * Write .claude/plugins/.claude-plugin/marketplace.json for the installed plugins
+ *
+ * @param {Object} paths - projectPaths() result
+ * @param {Object} lock - Lockfile contents
+ * @param {Object} manifest - plugin-manifest.json contents
+ */
+function writeLocalMarketplace(paths, lock, manifest) {
+  const names = Object.keys(lock.plugins).sort();
+  if (names.length === 0) {
+    fs.rmSync(path.dirname(paths.marketplacePath), { recursive: true, force: true });
+    return;
+  }
+
+  const byName = new Map(manifest.plugins.map(p => [p.name, p]));
+  const marketplace = {
+    name: `${manifest.name}-vendored`,
+    owner: manifest.author,
+    plugins: names.map(name => ({
+      name,
+      source: `./${name}`,
+      description: (byName.get(name) || {}).description || '',
+      version: lock.plugins[name].version
+    }))
+  };
+
+  fs.mkdirSync(path.dirname(paths.marketplacePath), { recursive: true });
+  fs.writeFileSync(paths.marketplacePath, formatJson(marketplace));
+}
+
+module.exports = {
+  LOCKFILE_VERSION,
+  projectPaths,
+  installedDir,
+  readLockfile,
+  writeLockfile,
+  requiredPlugins,
+  resolveClosure,
+  findConflicts,
+  dependentsOf,
+  copyPlugin,
+  lockEntry,
+  isIntact,
+  directPlugins,
+  reconcile,
+  writeLocalMarketplace
+};
@@ -0,0 +1,122 @@
+/**
+ * JSON Helpers
+ *
+ * Serializes JSON in the style of the hand-maintained catalog files
+ * (2-space indentation, arrays of primitives kept on one line, trailing newline)
+ * and maps JSON paths back to source line numbers for error reporting.
+ */
+
+/**
+ * Format a value as JSON text
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function formatJson(value) {
+  return `${formatValue(value, '')}\n`;
+}
+
+function formatValue(value, indent) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+    }
+    const inner = indent + '  ';
+    return `[\n${value.map(item => inner + formatValue(item, inner)).join(',\n')}\n${indent}]`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return '{}';
+    const inner = indent + '  ';
+    return `{\n${entries.map(([k, v]) => `${inner}${JSON.stringify(k)}: ${formatValue(v, inner)}`).join(',\n')}\n${indent}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Map every value in a JSON document to the line it starts on.
+ *
+ * Paths use dot/bracket notation: `hooks.PreToolUse[0].matcher`. The root is ''.
+ * Assumes the text is valid JSON (parse it first).
+ *
+ * @param {string} text - JSON source
+ * @returns {Map<string, number>}
+ */
+function locateJsonPaths(text) {
+  const lines = new Map();
+  let pos = 0;
+  let line = 1;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === '\n') line++;
+      pos++;
+    }
+  };
+
+  const readString = () => {
+    const start = pos;
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') pos++;
+      pos++;
+    }
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    lines.set(path, line);
+
+    if (text[pos] === '{') {
+      pos++;
+      skipWhitespace();
+      while (text[pos] !== '}') {
+        const key = readString();
+        skipWhitespace();
+        pos++; // colon
+        readValue(/^[A-Za-z_$][\w$-]*$/.test(key) ? (path ? `${path}.${key}` : key) : `${path}[${JSON.stringify(key)}]`);
+        skipWhitespace();
+        if (text[pos] === ',') pos++;
+        skipWhitespace();
+      }
+      pos++;
+    } else if (text[pos] === '[') {
+      pos++;
+      skipWhitespace();
+      let index = 0;
+      while (text[pos] !== ']') {
+        readValue(`${path}[${index++}]`);
+        skipWhitespace();
+        if (text[pos] === ',') pos++;
+        skipWhitespace();
+      }
+      pos++;
+    } else if (text[pos] === '"') {
+      readString();
+    } else {
+      while (pos < text.length && /[^\s,\]}]/.test(text[pos])) pos++;
+    }
+  };
+
+  readValue('');
+  return lines;
+}
+
+/**
+ * Line number for a JSON path, falling back to the closest located parent
+ */
+function lineForPath(lines, path) {
+  let current = path;
+  while (current) {
+    if (lines.has(current)) return lines.get(current);
+    current = current.replace(/(\.[^.[\]]+|\[[^\]]+\])$/, '');
+  }
+  return 1;
+}
+
+module.exports = { formatJson, locateJsonPaths, lineForPath };
@@ -0,0 +1,170 @@
+/**
+ * Lint Configuration
+ *
+ * Repo-level config file (.plugin-lint.json at the repository root):
+ *
+ *   {
+ *     "rules": {
+ *       "plugin/description": "error",
+ *       "plugin/required-field": ["error", { "fields": ["name", "version"] }]
+ *     },
+ *     "plugins": {
+ *       "aai-legacy": { "rules": { "frontmatter/recommended-field": "off" } }
+ *     },
+ *     "customRules": ["./lint-rules/require-license.js"]
+ *   }
+ *
+ * A rule setting is a severity ('error' | 'warning' | 'off') or [severity, options].
+ * Per-plugin settings override the top-level ones. Custom rule modules are resolved
+ * relative to the config file and export a rule or an array of rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES } = require('./registry');
+
+const CONFIG_FILE = '.plugin-lint.json';
+
+const CONFIG_FIELDS = ['rules', 'plugins', 'customRules'];
+
+/**
+ * Load and normalize a config file. A missing default config is an empty config.
+ *
+ * @param {string} filePath - Config file path
+ * @param {Object} [options]
+ * @param {boolean} [options.optional] - Return an empty config when the file doesn't exist
+ * @returns {{file: string|null, rules: Object, plugins: Object, customRules: string[]}}
+ */
+function loadConfig(filePath, { optional = false } = {}) {
+  if (!fs.existsSync(filePath)) {
+    if (optional) return normalizeConfig({}, null);
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${filePath}: ${e.message}`);
+  }
+
+  return normalizeConfig(raw, filePath);
+}
+
+/**
+ * Normalize a raw config object
+ */
+function normalizeConfig(raw, filePath) {
+  const where = filePath ? path.basename(filePath) : 'config';
+
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${where} must be a JSON object`);
+  }
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_FIELDS.includes(key)) {
+      throw new Error(`${where}: unknown field '${key}' (allowed: ${CONFIG_FIELDS.join(', ')})`);
+    }
+  }
+
+  const plugins = {};
+  for (const [pluginName, override] of Object.entries(raw.plugins || {})) {
+    if (override === null || typeof override !== 'object' || Object.keys(override).some(k => k !== 'rules')) {
+      throw new Error(`${where}: plugins.${pluginName} must be an object with a 'rules' field`);
+    }
+    plugins[pluginName] = { rules: normalizeRules(override.rules || {}, `${where}: plugins.${pluginName}.rules`) };
+  }
+
+  const customRules = raw.customRules || [];
+  if (!Array.isArray(customRules) || customRules.some(p => typeof p !== 'string')) {
+    throw new Error(`${where}: customRules must be an array of module paths`);
+  }
+
+  const baseDir = filePath ? path.dirname(path.resolve(filePath)) : process.cwd();
+  return {
+    file: filePath,
+    rules: normalizeRules(raw.rules || {}, `${where}: rules`),
+    plugins,
+    customRules: customRules.map(p => path.resolve(baseDir, p))
+  };
+}
+
+/**
+ * Normalize rule settings to { id: { severity, options } }
+ */
+function normalizeRules(rules, where) {
+  if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`${where} must be an object keyed by rule id`);
+  }
+
+  const normalized = {};
+  for (const [id, setting] of Object.entries(rules)) {
+    const [severity, options] = Array.isArray(setting) ? setting : [setting];
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`${where}.${id}: invalid severity '${severity}' (expected: ${SEVERITIES.join(', ')})`);
+    }
+    if (options !== undefined && (options === null || typeof options !== 'object' || Array.isArray(options))) {
+      throw new Error(`${where}.${id}: options must be an object`);
+    }
+    normalized[id] = { severity, options };
+  }
+  return normalized;
+}
+
+/**
+ * Load the custom rule modules listed in a config
+ *
+ * @returns {Object[]} Rules
+ */
+function loadCustomRules(config) {
+  return config.customRules.flatMap(modulePath => {
+    const exported = require(modulePath);
+    return Array.isArray(exported) ? exported : [exported];
+  });
+}
+
+/**
+ * Throw if the config refers to rules that aren't registered
+ */
+function checkConfigRules(config, registry) {
+  const sources = [
+    ['rules', config.rules],
+    ...Object.entries(config.plugins).map(([name, override]) => [`plugins.${name}.rules`, override.rules])
+  ];
+
+  for (const [where, rules] of sources) {
+    for (const id of Object.keys(rules)) {
+      if (!registry.has(id)) {
+        throw new Error(`${config.file ? path.basename(config.file) : 'config'}: ${where} has unknown rule '${id}'`);
+      }
+    }
+  }
+}
+
+/**
+ * Effective severity and options of a rule for one plugin
+ *
+ * @returns {{severity: string|undefined, options: Object}} severity is undefined when not configured
+ */
+function ruleSettings(config, rule, pluginName) {
+  const override = config.plugins[pluginName] && config.plugins[pluginName].rules[rule.id];
+  const base = config.rules[rule.id];
+  const setting = override || base || {};
+
+  return {
+    severity: setting.severity,
+    options: {
+      ...rule.options,
+      ...(base && base.options),
+      ...(override && override.options)
+    }
+  };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  loadConfig,
+  normalizeConfig,
+  loadCustomRules,
+  checkConfigRules,
+  ruleSettings
+};
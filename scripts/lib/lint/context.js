@@ -0,0 +1,221 @@
+/**
+ * Plugin Lint Context
+ *
+ * Everything a rule needs to know about one plugin. Files are read and parsed
+ * once and shared by every rule; the analyses (frontmatter schema checks, hook
+ * contract checks, reference resolution) run lazily on first use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('../frontmatter');
+const { validateFrontmatter } = require('../component-schemas');
+const { listAgents, listSkills, listCommands } = require('../components');
+const { validateHooksConfig } = require('../hooks-schema');
+const { locateJsonPaths, lineForPath } = require('../json');
+const { resolveAgentSkills } = require('../references');
+
+class PluginContext {
+  /**
+   * @param {string} pluginPath - Plugin directory
+   * @param {Object} marketplace - buildMarketplace() result
+   * @param {Object} marketplace.index - buildMarketplaceIndex() result
+   * @param {Array<string[]>} marketplace.cycles - findDependencyCycles() result
+   * @param {Object|null} [marketplace.categories] - loadCategories() result
+   * @param {Map<string, Object>|null} [marketplace.catalog] - marketplace.json entries by name
+   */
+  constructor(pluginPath, { index, cycles, categories = null, catalog = null }) {
+    this.pluginPath = pluginPath;
+    this.dirName = path.basename(pluginPath);
+    this.index = index;
+    this.cycles = cycles;
+    this.categories = categories;
+    this.catalog = catalog;
+    this.manifestPath = path.join(pluginPath, '.claude-plugin', 'plugin.json');
+    this.cache = new Map();
+
+    this.manifest = null;
+    this.manifestError = null;
+    this.manifestLines = new Map();
+    this.loadManifest();
+
+    this.pluginName = (this.manifest && this.manifest.name) || this.dirName;
+  }
+
+  loadManifest() {
+    if (!fs.existsSync(this.manifestPath)) return;
+
+    try {
+      const content = this.readFile(this.manifestPath);
+      this.manifest = JSON.parse(content);
+      this.manifestLines = locateJsonPaths(content);
+    } catch (e) {
+      this.manifestError = e.message;
+    }
+  }
+
+  /**
+   * Read a file once per lint run
+   */
+  readFile(filePath) {
+    const key = `file:${filePath}`;
+    if (!this.cache.has(key)) {
+      this.cache.set(key, fs.readFileSync(filePath, 'utf-8'));
+    }
+    return this.cache.get(key);
+  }
+
+  /**
+   * Line of a JSON path in plugin.json (closest parent when absent)
+   */
+  manifestLine(jsonPath) {
+    return lineForPath(this.manifestLines, jsonPath);
+  }
+
+  memo(key, compute) {
+    if (!this.cache.has(key)) this.cache.set(key, compute());
+    return this.cache.get(key);
+  }
+
+  /**
+   * Agent, skill and command files with their parsed frontmatter.
+   * Skill folders without a SKILL.md are listed with `missing: true`.
+   */
+  components() {
+    return this.memo('components', () => {
+      const components = [];
+      const add = (type, { name, file }) => {
+        if (!fs.existsSync(file)) {
+          components.push({ type, name, file, missing: true });
+          return;
+        }
+        components.push({ type, name, file, missing: false, frontmatter: parseFrontmatter(this.readFile(file)) });
+      };
+
+      listAgents(this.pluginPath).forEach(c => add('agent', c));
+      listSkills(this.pluginPath).forEach(c => add('skill', c));
+      listCommands(this.pluginPath).forEach(c => add('command', c));
+      return components;
+    });
+  }
+
+  /**
+   * Frontmatter findings for every component: {rule, severity, file, line, message}
+   */
+  frontmatterFindings() {
+    return this.memo('frontmatterFindings', () => {
+      const findings = [];
+
+      for (const component of this.components()) {
+        if (component.missing) continue;
+        const { type, file, frontmatter } = component;
+
+        if (!frontmatter.hasFrontmatter) {
+          // Skills and commands fall back to defaults without frontmatter; agents cannot
+          findings.push({
+            rule: 'frontmatter/missing',
+            severity: type === 'agent' ? 'error' : 'warning',
+            file,
+            line: 1,
+            message: 'Missing YAML frontmatter'
+          });
+          continue;
+        }
+
+        for (const { line, message } of frontmatter.errors) {
+          findings.push({ rule: 'frontmatter/yaml', severity: 'error', file, line, message: `Invalid YAML: ${message}` });
+        }
+        if (frontmatter.errors.length > 0) continue;
+
+        const result = validateFrontmatter(type, frontmatter.data, frontmatter.keyLines);
+        for (const error of result.errors) findings.push({ ...error, severity: 'error', file });
+        for (const warning of result.warnings) findings.push({ ...warning, severity: 'warning', file });
+      }
+
+      return findings;
+    });
+  }
+
+  /**
+   * Hooks configuration findings. Uses the `hooks` entry of plugin.json when set
+   * (inline object or path), otherwise hooks/hooks.json.
+   */
+  hooksFindings() {
+    return this.memo('hooksFindings', () => {
+      const findings = [];
+      const manifest = this.manifest || {};
+      const collect = (result, file, lineFor) => {
+        for (const error of result.errors) findings.push({ ...error, severity: 'error', file, line: lineFor(error) });
+        for (const warning of result.warnings) findings.push({ ...warning, severity: 'warning', file, line: lineFor(warning) });
+      };
+
+      if (manifest.hooks !== undefined && typeof manifest.hooks !== 'string') {
+        const line = this.manifestLine('hooks');
+        const result = validateHooksConfig(manifest.hooks, { pluginPath: this.pluginPath });
+        result.errors.forEach(e => { e.message = `plugin.json hooks: ${e.message}`; });
+        result.warnings.forEach(w => { w.message = `plugin.json hooks: ${w.message}`; });
+        collect(result, this.manifestPath, () => line);
+        return findings;
+      }
+
+      const hooksPath = path.join(this.pluginPath, manifest.hooks || 'hooks/hooks.json');
+      if (!fs.existsSync(hooksPath)) {
+        if (manifest.hooks) {
+          findings.push({
+            rule: 'hooks/structure',
+            severity: 'error',
+            file: this.manifestPath,
+            line: this.manifestLine('hooks'),
+            message: `plugin.json hooks path ${manifest.hooks} not found`
+          });
+        }
+        return findings;
+      }
+
+      let content;
+      let config;
+      try {
+        content = this.readFile(hooksPath);
+        config = JSON.parse(content);
+      } catch (e) {
+        findings.push({ rule: 'hooks/invalid-json', severity: 'error', file: hooksPath, line: 1, message: `Invalid JSON: ${e.message}` });
+        return findings;
+      }
+
+      const result = validateHooksConfig(config, { pluginPath: this.pluginPath, lines: locateJsonPaths(content) });
+      collect(result, hooksPath, finding => finding.line);
+      return findings;
+    });
+  }
+
+  /**
+   * Agent skill references resolved against the marketplace
+   */
+  skillReferences() {
+    return this.memo('skillReferences', () => resolveAgentSkills(this.pluginName, this.pluginPath, this.index));
+  }
+
+  /**
+   * Line of a frontmatter field in a component file (1 if absent)
+   */
+  fieldLine(filePath, field) {
+    const component = this.components().find(c => c.file === filePath);
+    return (component && component.frontmatter && component.frontmatter.keyLines[field]) || 1;
+  }
+
+  /**
+   * Line of the `skills` field in an agent file
+   */
+  skillsLine(filePath) {
+    return this.fieldLine(filePath, 'skills');
+  }
+
+  /**
+   * Line of the `description` field in a component file
+   */
+  descriptionLine(filePath) {
+    return this.fieldLine(filePath, 'description');
+  }
+}
+
+module.exports = { PluginContext };
@@ -0,0 +1,159 @@
+/**
+ * Lint Engine
+ *
+ * Runs every registered rule against a plugin, applies the configured
+ * severities and the inline suppressions, and returns structured findings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createFinding } = require('../findings');
+const { buildMarketplaceIndex, findDependencyCycles } = require('../references');
+const { loadCategories } = require('../categories');
+const { PluginContext } = require('./context');
+const { RuleRegistry } = require('./registry');
+const { loadCustomRules, checkConfigRules, ruleSettings, normalizeConfig } = require('./config');
+const { parseSuppressions, isSuppressed } = require('./suppressions');
+const builtinRules = require('./rules');
+
+/**
+ * Registry with the built-in rules and the config's custom rules
+ *
+ * @param {Object} [config] - loadConfig() result
+ * @param {Object[]} [extraRules] - Rules registered by the caller
+ * @returns {RuleRegistry}
+ */
+function createRegistry(config = normalizeConfig({}, null), extraRules = []) {
+  const registry = new RuleRegistry([...builtinRules, ...loadCustomRules(config), ...extraRules]);
+  checkConfigRules(config, registry);
+  return registry;
+}
+
+/**
+ * Marketplace data shared by every plugin in a lint run: the skill/plugin index,
+ * dependency cycles, the category registry and the marketplace.json entries
+ *
+ * @param {string[]} pluginPaths - Every plugin directory in the marketplace
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Marketplace root containing .claude-plugin/ (default: current directory)
+ */
+function buildMarketplace(pluginPaths, { rootDir = process.cwd() } = {}) {
+  const index = buildMarketplaceIndex(pluginPaths);
+  const categoriesPath = path.join(rootDir, '.claude-plugin', 'categories.json');
+
+  return {
+    index,
+    cycles: findDependencyCycles(index),
+    categories: fs.existsSync(categoriesPath) ? loadCategories(categoriesPath) : null,
+    catalog: readCatalog(path.join(rootDir, '.claude-plugin', 'marketplace.json'))
+  };
+}
+
+/**
+ * marketplace.json entries by plugin name, or null when missing or invalid
+ */
+function readCatalog(filePath) {
+  try {
+    const { plugins } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return new Map((plugins || []).map(entry => [entry.name, entry]));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lint one plugin
+ *
+ * @param {string} pluginPath - Plugin directory
+ * @param {Object} options
+ * @param {RuleRegistry} options.registry
+ * @param {Object} options.config - loadConfig() result
+ * @param {Object} options.marketplace - buildMarketplace() result
+ * @param {string} options.rootDir - Finding paths are relative to this directory
+ * @returns {{plugin: string, path: string, findings: Object[], references: string[]}}
+ */
+function lintPlugin(pluginPath, { registry, config, marketplace, rootDir }) {
+  const context = new PluginContext(pluginPath, marketplace);
+  const findings = [];
+
+  for (const rule of registry.list()) {
+    const settings = ruleSettings(config, rule, context.pluginName);
+    if ((settings.severity || rule.severity) === 'off') continue;
+
+    const report = (message, { file = pluginPath, line = 1, severity } = {}) => {
+      findings.push(createFinding(rule.id, settings.severity || severity || rule.severity, message, {
+        plugin: context.dirName,
+        file: path.relative(rootDir, file),
+        line
+      }));
+    };
+
+    try {
+      rule.check(context, report, settings.options);
+    } catch (e) {
+      throw new Error(`Rule '${rule.id}' failed on ${context.dirName}: ${e.message}`);
+    }
+  }
+
+  const references = context.skillReferences()
+    .filter(ref => ref.provider)
+    .map(ref => {
+      const source = ref.provider.kind === 'command' ? `${ref.provider.plugin}, command` : ref.provider.plugin;
+      return `${ref.agent} → ${ref.ref} (${source})`;
+    });
+
+  return {
+    plugin: context.dirName,
+    path: pluginPath,
+    findings: applySuppressions(findings, rootDir),
+    references
+  };
+}
+
+/**
+ * Lint several plugins against one marketplace
+ *
+ * @param {string[]} pluginPaths - Plugins to lint
+ * @param {Object} options
+ * @param {string[]} [options.marketplacePaths] - Plugins references resolve against (default: pluginPaths)
+ * @param {Object} [options.config] - loadConfig() result
+ * @param {RuleRegistry} [options.registry] - Default: createRegistry(config)
+ * @param {string} [options.rootDir] - Default: current directory
+ */
+function lintPlugins(pluginPaths, options = {}) {
+  const config = options.config || normalizeConfig({}, null);
+  const registry = options.registry || createRegistry(config);
+  const rootDir = options.rootDir || process.cwd();
+  const marketplacePaths = options.marketplacePaths || pluginPaths;
+  const marketplace = buildMarketplace([
+    ...marketplacePaths,
+    ...pluginPaths.filter(p => !marketplacePaths.includes(p))
+  ], { rootDir });
+
+  return pluginPaths.map(pluginPath => lintPlugin(pluginPath, { registry, config, marketplace, rootDir }));
+}
+
+/**
+ * Drop findings disabled by <!-- plugin-lint-disable --> comments in markdown files
+ */
+function applySuppressions(findings, rootDir) {
+  const cache = new Map();
+
+  return findings.filter(finding => {
+    if (!finding.file.endsWith('.md')) return true;
+
+    const filePath = path.resolve(rootDir, finding.file);
+    if (!cache.has(filePath)) {
+      cache.set(filePath, fs.existsSync(filePath) ? parseSuppressions(fs.readFileSync(filePath, 'utf-8')) : null);
+    }
+    const suppressions = cache.get(filePath);
+    return !suppressions || !isSuppressed(suppressions, finding.ruleId);
+  });
+}
+
+module.exports = {
+  createRegistry,
+  buildMarketplace,
+  lintPlugin,
+  lintPlugins
+};
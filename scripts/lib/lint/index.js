@@ -0,0 +1,51 @@
+/**
+ * Plugin Lint
+ *
+ * Library entry point for validating marketplace plugins. Forked marketplaces
+ * can add their own rules either through `customRules` in .plugin-lint.json or
+ * programmatically:
+ *
+ *   const lint = require('./scripts/lib/lint');
+ *
+ *   const config = lint.loadConfig('.plugin-lint.json', { optional: true });
+ *   const registry = lint.createRegistry(config, [{
+ *     id: 'acme/license',
+ *     description: 'plugin.json declares a license',
+ *     severity: 'error',
+ *     check(context, report) {
+ *       if (context.manifest && !context.manifest.license) {
+ *         report('Missing license', { file: context.manifestPath });
+ *       }
+ *     }
+ *   }]);
+ *   const results = lint.lintPlugins(pluginPaths, { config, registry });
+ *   process.stdout.write(lint.REPORTERS.pretty(results, { rootDir: process.cwd() }));
+ */
+
+const { RuleRegistry, SEVERITIES } = require('./registry');
+const { PluginContext } = require('./context');
+const { CONFIG_FILE, loadConfig, normalizeConfig, ruleSettings } = require('./config');
+const { createRegistry, buildMarketplace, lintPlugin, lintPlugins } = require('./engine');
+const { parseSuppressions } = require('./suppressions');
+const { createFinding } = require('../findings');
+const { REPORTERS, summarize } = require('../reporters');
+const builtinRules = require('./rules');
+
+module.exports = {
+  CONFIG_FILE,
+  SEVERITIES,
+  RuleRegistry,
+  PluginContext,
+  builtinRules,
+  createRegistry,
+  loadConfig,
+  normalizeConfig,
+  ruleSettings,
+  buildMarketplace,
+  lintPlugin,
+  lintPlugins,
+  parseSuppressions,
+  createFinding,
+  REPORTERS,
+  summarize
+};
@@ -0,0 +1,64 @@
+/**
+ * Rule Registry
+ *
+ * A rule is a plain object:
+ *
+ *   {
+ *     id: 'plugin/description',          // "<group>/<name>", kebab-case
+ *     description: 'plugin.json has a description',
+ *     severity: 'warning',               // default: 'error' | 'warning' | 'off'
+ *     options: { ... },                  // optional defaults, merged with config options
+ *     check(context, report, options) {  // context: PluginContext
+ *       report('message', { file, line, severity });
+ *     }
+ *   }
+ */
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+const RULE_ID_PATTERN = /^[a-z0-9-]+\/[a-z0-9-]+$/;
+
+class RuleRegistry {
+  constructor(rules = []) {
+    this.rules = new Map();
+    rules.forEach(rule => this.register(rule));
+  }
+
+  /**
+   * Add a rule. Throws if the rule is malformed or its id is taken.
+   */
+  register(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('Rule must be an object');
+    }
+    if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+      throw new Error(`Invalid rule id '${rule.id}' (expected "<group>/<name>" in kebab-case)`);
+    }
+    if (typeof rule.check !== 'function') {
+      throw new Error(`Rule '${rule.id}' must have a check(context, report, options) function`);
+    }
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule '${rule.id}' has invalid severity '${rule.severity}' (expected: ${SEVERITIES.join(', ')})`);
+    }
+    if (this.rules.has(rule.id)) {
+      throw new Error(`Rule '${rule.id}' is already registered`);
+    }
+
+    this.rules.set(rule.id, { severity: 'error', description: rule.id, options: {}, ...rule });
+    return this;
+  }
+
+  has(id) {
+    return this.rules.has(id);
+  }
+
+  get(id) {
+    return this.rules.get(id);
+  }
+
+  list() {
+    return [...this.rules.values()];
+  }
+}
+
+module.exports = { RuleRegistry, SEVERITIES };
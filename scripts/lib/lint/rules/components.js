@@ -0,0 +1,59 @@
+/**
+ * Component Rules
+ *
+ * Directory layout and frontmatter of agents, skills and commands.
+ * Frontmatter rules report the findings of the shared schema check in
+ * PluginContext.frontmatterFindings(), one rule per finding kind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Rule that reports the frontmatter findings tagged with its id
+ */
+function frontmatterRule(id, description, severity) {
+  return {
+    id,
+    description,
+    severity,
+    check(context, report) {
+      for (const finding of context.frontmatterFindings().filter(f => f.rule === id)) {
+        report(finding.message, finding);
+      }
+    }
+  };
+}
+
+module.exports = [
+  {
+    id: 'plugin/empty-component-dir',
+    description: 'Component directories are not empty',
+    severity: 'warning',
+    check(context, report) {
+      for (const dir of ['agents', 'skills', 'commands']) {
+        const componentDir = path.join(context.pluginPath, dir);
+        if (fs.existsSync(componentDir) && fs.readdirSync(componentDir).length === 0) {
+          report(`Empty ${dir}/ directory`, { file: componentDir });
+        }
+      }
+    }
+  },
+  {
+    id: 'skill/missing-skill-md',
+    description: 'Every skill folder has a SKILL.md',
+    severity: 'error',
+    check(context, report) {
+      for (const skill of context.components().filter(c => c.type === 'skill' && c.missing)) {
+        report(`Skill ${skill.name}/ missing SKILL.md`, { file: path.dirname(skill.file) });
+      }
+    }
+  },
+  frontmatterRule('frontmatter/missing', 'Component files start with YAML frontmatter', 'error'),
+  frontmatterRule('frontmatter/yaml', 'Frontmatter is valid YAML', 'error'),
+  frontmatterRule('frontmatter/required-field', 'Frontmatter has the fields required for the component type', 'error'),
+  frontmatterRule('frontmatter/recommended-field', 'Frontmatter has the fields recommended for the component type', 'warning'),
+  frontmatterRule('frontmatter/unknown-field', 'Frontmatter only uses fields supported by the component type', 'warning'),
+  frontmatterRule('frontmatter/deprecated-field', 'Frontmatter avoids deprecated fields', 'warning'),
+  frontmatterRule('frontmatter/field-value', 'Frontmatter field values have the right type and format', 'error')
+];
@@ -0,0 +1,23 @@
+/**
+ * Context Cost Rules
+ */
+
+const { DEFAULT_BUDGETS, analyzePlugin, findOverBudget } = require('../../context-cost');
+
+module.exports = [
+  {
+    id: 'context/budget',
+    description: 'Agents, skills, commands and descriptions stay within their token budgets',
+    severity: 'warning',
+    options: { ...DEFAULT_BUDGETS },
+    check(context, report, options) {
+      const { components } = context.memo('contextCost', () => analyzePlugin(context.pluginPath));
+
+      for (const { component, kind, tokens, budget } of findOverBudget(components, options)) {
+        const what = kind === 'description' ? `${component.type} '${component.name}' description` : `${component.type} '${component.name}'`;
+        const line = kind === 'description' ? context.descriptionLine(component.file) : 1;
+        report(`${what} is ~${tokens} tokens, over the ${budget} token budget`, { file: component.file, line });
+      }
+    }
+  }
+];
@@ -0,0 +1,30 @@
+/**
+ * Hooks Rules
+ *
+ * Report the findings of the hook contract check in PluginContext.hooksFindings(),
+ * one rule per finding kind.
+ */
+
+function hooksRule(id, description, severity) {
+  return {
+    id,
+    description,
+    severity,
+    check(context, report) {
+      for (const finding of context.hooksFindings().filter(f => f.rule === id)) {
+        report(finding.message, finding);
+      }
+    }
+  };
+}
+
+module.exports = [
+  hooksRule('hooks/invalid-json', 'hooks.json is valid JSON', 'error'),
+  hooksRule('hooks/structure', 'hooks.json follows the documented structure', 'error'),
+  hooksRule('hooks/event', 'Hook events are documented event names', 'error'),
+  hooksRule('hooks/unknown-field', 'Hook configuration only uses documented fields', 'error'),
+  hooksRule('hooks/matcher', 'Hook matchers are valid regexes for events that use them', 'error'),
+  hooksRule('hooks/type', 'Hooks use a supported type with its required field', 'error'),
+  hooksRule('hooks/timeout', 'Hook timeouts are within bounds (seconds)', 'error'),
+  hooksRule('hooks/script', 'Hook scripts exist and are executable', 'error')
+];
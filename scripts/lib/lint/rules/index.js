@@ -0,0 +1,11 @@
+/**
+ * Built-in Rules
+ */
+
+module.exports = [
+  ...require('./plugin-json'),
+  ...require('./components'),
+  ...require('./hooks'),
+  ...require('./references'),
+  ...require('./context')
+];
@@ -0,0 +1,160 @@
+/**
+ * plugin.json Rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkCategory } = require('../../categories');
+const { validateCondition } = require('../../autoload');
+
+module.exports = [
+  {
+    id: 'plugin/structure',
+    description: 'Plugin has a .claude-plugin/plugin.json manifest',
+    severity: 'error',
+    check(context, report) {
+      if (!fs.existsSync(path.dirname(context.manifestPath))) {
+        report('Missing .claude-plugin/ directory', { file: context.pluginPath });
+      } else if (!fs.existsSync(context.manifestPath)) {
+        report('Missing .claude-plugin/plugin.json', { file: context.pluginPath });
+      }
+    }
+  },
+  {
+    id: 'plugin/invalid-json',
+    description: 'plugin.json is valid JSON',
+    severity: 'error',
+    check(context, report) {
+      if (context.manifestError) {
+        report(`Invalid JSON in plugin.json: ${context.manifestError}`, { file: context.manifestPath });
+      }
+    }
+  },
+  {
+    id: 'plugin/required-field',
+    description: 'plugin.json has all required fields',
+    severity: 'error',
+    options: { fields: ['name'] },
+    check(context, report, options) {
+      if (!context.manifest) return;
+      for (const field of options.fields) {
+        if (!context.manifest[field]) {
+          report(`Missing required field: ${field}`, { file: context.manifestPath });
+        }
+      }
+    }
+  },
+  {
+    id: 'plugin/name-format',
+    description: 'Plugin name is kebab-case',
+    severity: 'error',
+    check(context, report) {
+      const name = context.manifest && context.manifest.name;
+      if (name && !/^[a-z][a-z0-9-]*$/.test(name)) {
+        report(`Invalid name format: ${name} (must be kebab-case)`, { file: context.manifestPath, line: context.manifestLine('name') });
+      }
+    }
+  },
+  {
+    id: 'plugin/name-mismatch',
+    description: 'Plugin name matches its directory',
+    severity: 'warning',
+    check(context, report) {
+      const name = context.manifest && context.manifest.name;
+      if (name && name !== context.dirName) {
+        report(`Plugin name '${name}' doesn't match directory '${context.dirName}'`, {
+          file: context.manifestPath,
+          line: context.manifestLine('name')
+        });
+      }
+    }
+  },
+  {
+    id: 'plugin/version-format',
+    description: 'Plugin version follows semver',
+    severity: 'warning',
+    check(context, report) {
+      const version = context.manifest && context.manifest.version;
+      if (version && !/^\d+\.\d+\.\d+/.test(version)) {
+        report(`Version '${version}' doesn't follow semver`, { file: context.manifestPath, line: context.manifestLine('version') });
+      }
+    }
+  },
+  {
+    id: 'plugin/description',
+    description: 'plugin.json has a description',
+    severity: 'warning',
+    check(context, report) {
+      if (context.manifest && !context.manifest.description) {
+        report('Missing description field', { file: context.manifestPath });
+      }
+    }
+  },
+  {
+    id: 'plugin/category',
+    description: 'plugin.json declares a category (and subcategory) from .claude-plugin/categories.json',
+    severity: 'error',
+    check(context, report) {
+      if (!context.manifest || !context.categories) return;
+      const { category, subcategory } = context.manifest;
+      for (const { field, message } of checkCategory(context.categories, category, subcategory)) {
+        report(message, { file: context.manifestPath, line: context.manifestLine(field) });
+      }
+    }
+  },
+  {
+    id: 'plugin/category-mismatch',
+    description: 'plugin.json category matches the marketplace.json entry',
+    severity: 'error',
+    check(context, report) {
+      if (!context.manifest || !context.manifest.category || !context.catalog) return;
+      const entry = context.catalog.get(context.pluginName);
+      if (entry && entry.category !== context.manifest.category) {
+        report(
+          `Category '${context.manifest.category}' doesn't match marketplace.json ('${entry.category}'); ` +
+          'run node scripts/sync-catalog.js --write',
+          { file: context.manifestPath, line: context.manifestLine('category') }
+        );
+      }
+    }
+  },
+  {
+    id: 'plugin/auto-load',
+    description: 'autoLoad conditions follow the condition grammar (scripts/lib/autoload.js)',
+    severity: 'error',
+    check(context, report) {
+      const autoLoad = context.manifest && context.manifest.autoLoad;
+      if (autoLoad === undefined || autoLoad === null) return;
+
+      const at = jsonPath => ({ file: context.manifestPath, line: context.manifestLine(jsonPath) });
+      if (typeof autoLoad !== 'object' || Array.isArray(autoLoad)) {
+        report('autoLoad must be an object with a "when" condition', at('autoLoad'));
+        return;
+      }
+      for (const key of Object.keys(autoLoad).filter(k => k !== 'when')) {
+        report(`autoLoad: unknown field '${key}' (allowed: when)`, at(`autoLoad.${key}`));
+      }
+      if (autoLoad.when === undefined) {
+        report('autoLoad is missing its "when" condition', at('autoLoad'));
+        return;
+      }
+      for (const { path: jsonPath, message } of validateCondition(autoLoad.when)) {
+        report(`${jsonPath}: ${message}`, at(jsonPath));
+      }
+    }
+  },
+  {
+    id: 'plugin/auto-load-missing',
+    description: 'Stack plugins declare autoLoad conditions',
+    severity: 'warning',
+    check(context, report) {
+      const manifest = context.manifest;
+      if (manifest && manifest.category === 'stack' && manifest.autoLoad === undefined) {
+        report('Stack plugin has no autoLoad condition, so scripts/recommend.js never suggests it', {
+          file: context.manifestPath,
+          line: context.manifestLine('category')
+        });
+      }
+    }
+  }
+];
@@ -0,0 +1,80 @@
+/**
+ * Reference Rules
+ *
+ * Agent skills and plugin dependencies resolved against the whole marketplace.
+ */
+
+const { findMissingPluginDependencies } = require('../../references');
+const { resolveInstallPlan } = require('../../dependency-graph');
+
+module.exports = [
+  {
+    id: 'references/unknown-skill',
+    description: 'Agent skills exist in the marketplace',
+    severity: 'error',
+    check(context, report) {
+      for (const ref of context.skillReferences().filter(r => !r.provider)) {
+        // Optional references ("name?") only warn
+        report(`Agent '${ref.agent}' references skill '${ref.ref}' which doesn't exist in the marketplace`, {
+          file: ref.file,
+          line: context.skillsLine(ref.file),
+          severity: ref.optional ? 'warning' : undefined
+        });
+      }
+    }
+  },
+  {
+    id: 'references/undeclared-provider',
+    description: 'Skills from other plugins are declared in requires or recommends',
+    severity: 'warning',
+    check(context, report) {
+      for (const ref of context.skillReferences().filter(r => r.provider && !r.declared)) {
+        report(
+          `Agent '${ref.agent}' uses skill '${ref.ref}' from ${ref.provider.plugin}, ` +
+          'which is not listed in requires.plugins or recommends.plugins',
+          { file: ref.file, line: context.skillsLine(ref.file) }
+        );
+      }
+    }
+  },
+  {
+    id: 'references/unknown-plugin',
+    description: 'requires/recommends/conflicts plugins exist in the marketplace',
+    severity: 'error',
+    check(context, report) {
+      for (const { key, plugin } of findMissingPluginDependencies(context.pluginName, context.index)) {
+        report(`${key}.plugins references unknown plugin '${plugin}'`, {
+          file: context.manifestPath,
+          line: context.manifestLine(`${key}.plugins`)
+        });
+      }
+    }
+  },
+  {
+    id: 'references/dependency-cycle',
+    description: 'requires.plugins has no cycles',
+    severity: 'error',
+    check(context, report) {
+      for (const cycle of context.cycles.filter(c => c.includes(context.pluginName))) {
+        report(`Dependency cycle in requires.plugins: ${cycle.join(' → ')}`, {
+          file: context.manifestPath,
+          line: context.manifestLine('requires.plugins')
+        });
+      }
+    }
+  },
+  {
+    id: 'references/conflict',
+    description: 'Installing the plugin does not bring in plugins that conflict',
+    severity: 'error',
+    check(context, report) {
+      const { conflicts } = resolveInstallPlan(context.index, context.pluginName);
+      for (const { plugin, conflictsWith } of conflicts) {
+        report(`Installing ${context.pluginName} brings in ${plugin} and ${conflictsWith}, which conflict`, {
+          file: context.manifestPath,
+          line: context.manifestLine(plugin === context.pluginName ? 'conflicts.plugins' : 'requires.plugins')
+        });
+      }
+    }
+  }
+];
@@ -0,0 +1,36 @@
+/**
+ * Inline Suppressions
+ *
+ * Markdown files can turn rules off for the whole file with an HTML comment:
+ *
+ *   <!-- plugin-lint-disable frontmatter/unknown-field, references/undeclared-provider -->
+ *   <!-- plugin-lint-disable -->   (every rule)
+ *
+ * The comment may appear anywhere in the file, typically right after the frontmatter.
+ */
+
+const DISABLE_COMMENT = /<!--\s*plugin-lint-disable(?:\s+([^>]*?))?\s*-->/g;
+
+/**
+ * Parse the suppressions in a markdown file
+ *
+ * @param {string} content - File content
+ * @returns {{all: boolean, rules: Set<string>}}
+ */
+function parseSuppressions(content) {
+  const suppressions = { all: false, rules: new Set() };
+
+  for (const match of content.matchAll(DISABLE_COMMENT)) {
+    const rules = (match[1] || '').split(/[\s,]+/).filter(Boolean);
+    if (rules.length === 0) suppressions.all = true;
+    rules.forEach(rule => suppressions.rules.add(rule));
+  }
+
+  return suppressions;
+}
+
+function isSuppressed(suppressions, ruleId) {
+  return suppressions.all || suppressions.rules.has(ruleId);
+}
+
+module.exports = { parseSuppressions, isSuppressed };
@@ -0,0 +1,237 @@
+/**
+ * Cross-Plugin Reference Resolution
+ *
+ * Builds an index of every skill in the marketplace and resolves references
+ * between plugins: agent `skills:` lists, `requires.plugins`, `recommends.plugins`
+ * and `conflicts.plugins` in plugin.json, and dependency cycles between plugins.
+ *
+ * Commands count as skill providers: Claude Code treats a command file and a
+ * skill folder with the same name the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { listAgents, listSkills, listCommands } = require('./components');
+
+/**
+ * Read a plugin's plugin.json, or null if missing or invalid
+ */
+function readPluginManifest(pluginPath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(pluginPath, '.claude-plugin', 'plugin.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read frontmatter data from a component file, or {} if unreadable
+ */
+function readFrontmatterData(filePath) {
+  try {
+    return parseFrontmatter(fs.readFileSync(filePath, 'utf-8')).data || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build the marketplace index used to resolve references
+ *
+ * @param {string[]} pluginPaths - Every plugin directory in the marketplace
+ * @returns {{
+ *   plugins: Map<string, {path: string, manifest: Object|null}>,
+ *   skills: Map<string, Array<{plugin: string, kind: string, file: string}>>
+ * }}
+ */
+function buildMarketplaceIndex(pluginPaths) {
+  const plugins = new Map();
+  const skills = new Map();
+
+  const addSkill = (name, provider) => {
+    if (!skills.has(name)) skills.set(name, []);
+    skills.get(name).push(provider);
+  };
+
+  for (const pluginPath of pluginPaths) {
+    const manifest = readPluginManifest(pluginPath);
+    const pluginName = (manifest && manifest.name) || path.basename(pluginPath);
+    plugins.set(pluginName, { path: pluginPath, manifest });
+
+    for (const skill of listSkills(pluginPath)) {
+      if (!fs.existsSync(skill.file)) continue;
+      const name = readFrontmatterData(skill.file).name || skill.name;
+      addSkill(name, { plugin: pluginName, kind: 'skill', file: skill.file });
+    }
+
+    for (const command of listCommands(pluginPath)) {
+      addSkill(command.name, { plugin: pluginName, kind: 'command', file: command.file });
+    }
+  }
+
+  return { plugins, skills };
+}
+
+/**
+ * Parse a skill reference: "name", "plugin:name" or an optional "name?"
+ */
+function parseSkillRef(ref) {
+  const optional = ref.endsWith('?');
+  const bare = optional ? ref.slice(0, -1) : ref;
+  const [plugin, name] = bare.includes(':') ? bare.split(':', 2) : [null, bare];
+  return { ref, name, plugin, optional };
+}
+
+/**
+ * Names of plugins listed under a requires/recommends/conflicts block
+ */
+function dependencyNames(manifest, key) {
+  const block = manifest && manifest[key];
+  return block && Array.isArray(block.plugins) ? block.plugins : [];
+}
+
+/**
+ * Resolve every skill referenced by the agents of one plugin.
+ *
+ * A skill from the agent's own plugin is preferred; otherwise the first provider
+ * in a required plugin, then a recommended plugin, then anywhere.
+ *
+ * @returns {Array<{agent: string, file: string, ref: string, optional: boolean,
+ *   provider: {plugin: string, kind: string, file: string}|null, declared: boolean}>}
+ */
+function resolveAgentSkills(pluginName, pluginPath, index) {
+  const entry = index.plugins.get(pluginName);
+  const required = dependencyNames(entry && entry.manifest, 'requires');
+  const recommended = dependencyNames(entry && entry.manifest, 'recommends');
+  const resolved = [];
+
+  for (const agent of listAgents(pluginPath)) {
+    const refs = readFrontmatterData(agent.file).skills;
+    if (!Array.isArray(refs)) continue;
+
+    for (const ref of refs.filter(r => typeof r === 'string')) {
+      const { name, plugin, optional } = parseSkillRef(ref);
+      const providers = (index.skills.get(name) || []).filter(p => !plugin || p.plugin === plugin);
+
+      const provider =
+        providers.find(p => p.plugin === pluginName) ||
+        providers.find(p => required.includes(p.plugin)) ||
+        providers.find(p => recommended.includes(p.plugin)) ||
+        providers[0] ||
+        null;
+
+      resolved.push({
+        agent: agent.name,
+        file: agent.file,
+        ref,
+        optional,
+        provider,
+        declared: !!provider && (
+          provider.plugin === pluginName ||
+          required.includes(provider.plugin) ||
+          recommended.includes(provider.plugin)
+        )
+      });
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Check requires.plugins, recommends.plugins and conflicts.plugins against the marketplace
+ *
+ * @returns {Array<{key: string, plugin: string}>} References to unknown plugins
+ */
+function findMissingPluginDependencies(pluginName, index) {
+  const entry = index.plugins.get(pluginName);
+  const missing = [];
+
+  for (const key of ['requires', 'recommends', 'conflicts']) {
+    for (const dep of dependencyNames(entry && entry.manifest, key)) {
+      if (!index.plugins.has(dep)) {
+        missing.push({ key, plugin: dep });
+      }
+    }
+  }
+
+  return missing;
+}
+
+/**
+ * Find every plugin that depends on the given plugins through `requires.plugins`,
+ * directly or transitively
+ *
+ * @param {Object} index - buildMarketplaceIndex() result
+ * @param {string[]} names - Plugin names
+ * @returns {Map<string, string>} Dependent plugin name → the plugin it requires that led to it
+ */
+function findDependents(index, names) {
+  const dependents = new Map();
+  const queue = [...names];
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    for (const [candidate, entry] of index.plugins) {
+      if (names.includes(candidate) || dependents.has(candidate)) continue;
+      if (dependencyNames(entry.manifest, 'requires').includes(name)) {
+        dependents.set(candidate, name);
+        queue.push(candidate);
+      }
+    }
+  }
+
+  return dependents;
+}
+
+/**
+ * Find `requires.plugins` cycles in the marketplace
+ *
+ * @returns {string[][]} Each cycle as a list of plugin names, first name repeated at the end
+ */
+function findDependencyCycles(index) {
+  const cycles = [];
+  const seen = new Set();
+  const state = new Map();
+
+  const visit = (name, stack) => {
+    state.set(name, 'visiting');
+    stack.push(name);
+
+    const entry = index.plugins.get(name);
+    for (const dep of dependencyNames(entry && entry.manifest, 'requires')) {
+      if (!index.plugins.has(dep)) continue;
+
+      if (state.get(dep) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(dep)).concat(dep);
+        const key = [...cycle.slice(0, -1)].sort().join(',');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push(cycle);
+        }
+      } else if (!state.has(dep)) {
+        visit(dep, stack);
+      }
+    }
+
+    stack.pop();
+    state.set(name, 'done');
+  };
+
+  for (const name of [...index.plugins.keys()].sort()) {
+    if (!state.has(name)) visit(name, []);
+  }
+
+  return cycles;
+}
+
+module.exports = {
+  buildMarketplaceIndex,
+  parseSkillRef,
+  dependencyNames,
+  resolveAgentSkills,
+  findMissingPluginDependencies,
+  findDependents,
+  findDependencyCycles
+};
@@ -0,0 +1,191 @@
+/**
+ * Validation Reporters
+ *
+ * Formats validation results for people (pretty) and machines (json, sarif, junit).
+ *
+ * Every reporter receives the same input:
+ *   results - [{ plugin, path, findings: [finding], references: [string], triggers?: [string] }]
+ *             findings use the shape from lib/findings.js; file paths are repo-relative;
+ *             triggers lists the changes that selected the plugin in --since mode
+ *   options - { rootDir, rules: [{ id, description }] }
+ */
+
+const path = require('path');
+
+const TOOL_NAME = 'validate-plugins';
+const TOOL_URI = 'https://github.com/the-answerai/alphaagent-team';
+
+/**
+ * Summarize results
+ */
+function summarize(results) {
+  const findings = results.flatMap(r => r.findings);
+  const failed = results.filter(r => r.findings.some(f => f.severity === 'error'));
+  return {
+    plugins: results.length,
+    passed: results.length - failed.length,
+    failed: failed.length,
+    errors: findings.filter(f => f.severity === 'error').length,
+    warnings: findings.filter(f => f.severity === 'warning').length
+  };
+}
+
+/**
+ * Console output with per-plugin status and a summary
+ */
+function pretty(results, { rootDir }) {
+  const lines = [];
+  const summary = summarize(results);
+
+  lines.push(`Validating ${results.length} plugin(s)...\n`);
+  lines.push('='.repeat(50));
+
+  for (const result of results) {
+    const errors = result.findings.filter(f => f.severity === 'error');
+    const warnings = result.findings.filter(f => f.severity === 'warning');
+    const location = (f) => {
+      const relPath = path.relative(result.path, path.join(rootDir, f.file));
+      return f.file && relPath ? `${relPath}:${f.line}: ` : '';
+    };
+
+    lines.push(`\nValidating: ${result.plugin}`);
+    lines.push(errors.length > 0 ? '  ❌ FAILED' : '  ✅ PASSED');
+    for (const trigger of result.triggers || []) {
+      lines.push(`     Triggered by: ${trigger}`);
+    }
+    for (const error of errors) {
+      lines.push(`     Error: ${location(error)}${error.message} [${error.ruleId}]`);
+    }
+    for (const warning of warnings) {
+      lines.push(`     Warning: ${location(warning)}${warning.message} [${warning.ruleId}]`);
+    }
+    for (const reference of result.references) {
+      lines.push(`     Skill: ${reference}`);
+    }
+  }
+
+  lines.push('\n' + '='.repeat(50));
+  lines.push('\nValidation Summary:');
+  lines.push(`  ✅ Passed: ${summary.passed}`);
+  lines.push(`  ❌ Failed: ${summary.failed}`);
+  lines.push(`  ⚠️  Warnings: ${summary.warnings}`);
+
+  if (summary.failed > 0) {
+    lines.push('\nFailed plugins:');
+    for (const result of results.filter(r => r.findings.some(f => f.severity === 'error'))) {
+      lines.push(`  - ${result.plugin}`);
+    }
+  } else {
+    lines.push('\n✅ All plugins validated successfully!');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * JSON document with summary, per-plugin status and a flat findings list
+ */
+function json(results) {
+  return JSON.stringify({
+    tool: TOOL_NAME,
+    summary: summarize(results),
+    plugins: results.map(r => ({
+      name: r.plugin,
+      status: r.findings.some(f => f.severity === 'error') ? 'failed' : 'passed',
+      errors: r.findings.filter(f => f.severity === 'error').length,
+      warnings: r.findings.filter(f => f.severity === 'warning').length,
+      references: r.references,
+      triggers: r.triggers
+    })),
+    findings: results.flatMap(r => r.findings)
+  }, null, 2) + '\n';
+}
+
+/**
+ * SARIF 2.1.0 log, for code scanning upload and PR annotations
+ */
+function sarif(results, { rules = [] } = {}) {
+  const findings = results.flatMap(r => r.findings);
+  const descriptions = new Map(rules.map(rule => [rule.id, rule.description]));
+  const ruleIds = [...new Set([...descriptions.keys(), ...findings.map(f => f.ruleId)])];
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          informationUri: TOOL_URI,
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: descriptions.get(id) || id }
+          }))
+        }
+      },
+      results: findings.map(f => ({
+        ruleId: f.ruleId,
+        ruleIndex: ruleIds.indexOf(f.ruleId),
+        level: f.severity === 'error' ? 'error' : 'warning',
+        message: { text: f.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: f.file.split(path.sep).join('/'), uriBaseId: '%SRCROOT%' },
+            region: { startLine: f.line }
+          }
+        }],
+        properties: { plugin: f.plugin }
+      }))
+    }]
+  }, null, 2) + '\n';
+}
+
+/**
+ * JUnit XML: one test suite per plugin, one failing test case per error
+ */
+function junit(results) {
+  const summary = summarize(results);
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+  lines.push(`<testsuites name="${TOOL_NAME}" tests="${Math.max(summary.plugins, summary.errors)}" failures="${summary.errors}">`);
+
+  for (const result of results) {
+    const errors = result.findings.filter(f => f.severity === 'error');
+    const warnings = result.findings.filter(f => f.severity === 'warning');
+
+    lines.push(`  <testsuite name="${escapeXml(result.plugin)}" tests="${Math.max(1, errors.length)}" failures="${errors.length}">`);
+
+    if (errors.length === 0) {
+      lines.push(`    <testcase classname="${escapeXml(result.plugin)}" name="valid"/>`);
+    }
+
+    for (const error of errors) {
+      const location = `${error.file}:${error.line}`;
+      lines.push(`    <testcase classname="${escapeXml(result.plugin)}" name="${escapeXml(`${error.ruleId} ${location}`)}" file="${escapeXml(error.file)}">`);
+      lines.push(`      <failure message="${escapeXml(error.message)}" type="${escapeXml(error.ruleId)}">${escapeXml(`${location}: ${error.message}`)}</failure>`);
+      lines.push('    </testcase>');
+    }
+
+    if (warnings.length > 0) {
+      const text = warnings.map(w => `warning ${w.file}:${w.line}: ${w.message} [${w.ruleId}]`).join('\n');
+      lines.push(`    <system-out>${escapeXml(text)}</system-out>`);
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const REPORTERS = { pretty, json, sarif, junit };
+
+module.exports = { REPORTERS, summarize };
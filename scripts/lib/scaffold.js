@@ -0,0 +1,540 @@
+/**
+ * Plugin Scaffolding
+ *
+ * Creates new plugins and adds agents, skills, commands and hooks to existing
+ * ones. Generated files pass the validator as written; the descriptions and
+ * bodies they need filled in are marked with TODO.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatJson } = require('./json');
+const { FIELDS } = require('./component-schemas');
+const { HOOK_EVENTS } = require('./hooks-schema');
+const { checkCategory } = require('./categories');
+
+const PLUGIN_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// Timeout (seconds) of scaffolded hooks
+const DEFAULT_HOOK_TIMEOUT = 10;
+
+/**
+ * "react-forms" → "React Forms"
+ */
+function titleCase(name) {
+  return name.split('-').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+function checkComponentName(type, name) {
+  if (!FIELDS.name.pattern.test(name) || name.length > FIELDS.name.maxLength) {
+    throw new Error(`Invalid ${type} name '${name}' (${FIELDS.name.hint}, at most ${FIELDS.name.maxLength} characters)`);
+  }
+}
+
+/**
+ * Write a new file, refusing to overwrite one
+ *
+ * @returns {string} The file path
+ */
+function writeNewFile(filePath, content, mode) {
+  if (fs.existsSync(filePath)) {
+    throw new Error(`${filePath} already exists`);
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, mode ? { mode } : undefined);
+  return filePath;
+}
+
+/**
+ * plugin.json for a new plugin
+ *
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {string} options.description
+ * @param {string} options.category
+ * @param {string} [options.subcategory]
+ * @param {string[]} [options.keywords]
+ * @param {Object} options.author
+ */
+function pluginJson({ name, description, category, subcategory, keywords, author }) {
+  const manifest = {
+    name,
+    version: '1.0.0',
+    description,
+    category
+  };
+  if (subcategory) manifest.subcategory = subcategory;
+  manifest.author = author;
+  manifest.repository = 'https://github.com/the-answerai/alphaagent-team';
+  manifest.license = 'MIT';
+  manifest.keywords = keywords && keywords.length > 0
+    ? keywords
+    : name.split('-').filter(word => word !== 'aai' && word !== category);
+
+  // Stack plugins apply to projects using their technology (see scripts/lib/autoload.js)
+  if (category === 'stack') {
+    manifest.autoLoad = { when: { dependency: name.replace(/^aai-stack-/, '') } };
+  }
+  return manifest;
+}
+
+/**
+ * Create a plugin directory with its plugin.json and register it in marketplace.json
+ *
+ * @param {Object} options
+ * @param {string} options.pluginsDir - plugins/
+ * @param {string} options.marketplacePath - .claude-plugin/marketplace.json
+ * @param {Object} options.categories - loadCategories() result
+ * @param {string} options.name
+ * @param {string} options.description
+ * @param {string} options.category
+ * @param {string} [options.subcategory]
+ * @param {string[]} [options.keywords]
+ * @returns {string[]} Files created or changed
+ */
+function createPlugin({ pluginsDir, marketplacePath, categories, name, description, category, subcategory, keywords }) {
+  if (!PLUGIN_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid plugin name '${name}' (must be kebab-case)`);
+  }
+  if (!description || !description.trim()) {
+    throw new Error('A plugin needs a description (--description "...")');
+  }
+  const problems = checkCategory(categories, category, subcategory);
+  if (problems.length > 0) throw new Error(problems[0].message);
+
+  const pluginDir = path.join(pluginsDir, name);
+  if (fs.existsSync(pluginDir)) {
+    throw new Error(`plugins/${name} already exists`);
+  }
+
+  const marketplace = JSON.parse(fs.readFileSync(marketplacePath, 'utf-8'));
+  if ((marketplace.plugins || []).some(entry => entry.name === name)) {
+    throw new Error(`marketplace.json already lists ${name}`);
+  }
+
+  const manifest = pluginJson({
+    name,
+    description: description.trim(),
+    category,
+    subcategory,
+    keywords,
+    author: { name: marketplace.owner.name, url: 'https://github.com/the-answerai' }
+  });
+  const manifestPath = writeNewFile(path.join(pluginDir, '.claude-plugin', 'plugin.json'), formatJson(manifest));
+
+  marketplace.plugins = [...(marketplace.plugins || []), {
+    name,
+    source: `./plugins/${name}`,
+    description: manifest.description,
+    version: manifest.version,
+    category,
+    tags: manifest.keywords
+  }];
+  fs.writeFileSync(marketplacePath, formatJson(marketplace));
+
+  return [manifestPath, marketplacePath];
+}
+
+function agentTemplate(name) {
+  return `---
+name: ${name}
+description: TODO - Use this agent when ... (what it does and when Claude should delegate to it)
+model: sonnet
+---
+
+You are a ${titleCase(name)} specialist. TODO: describe the agent's expertise and mission.
+
+## Core Responsibilities
+
+1. TODO
+2. TODO
+
+## Workflow
+
+TODO: the steps the agent follows, and what it reports back.
+`;
+}
+
+function skillTemplate(name) {
+  return `---
+name: ${name}
+description: TODO - What this skill covers. Use when ...
+---
+
+# ${titleCase(name)} Skill
+
+TODO: one paragraph on what this skill teaches.
+
+## Patterns
+
+TODO: patterns with short code examples.
+
+## Best Practices
+
+- TODO
+`;
+}
+
+function commandTemplate(name) {
+  return `---
+description: TODO - What /${name} does
+argument-hint: <arguments>
+---
+
+# ${titleCase(name)}
+
+TODO: what this command does.
+
+## Arguments
+
+$ARGUMENTS
+
+## Steps
+
+1. TODO
+`;
+}
+
+function hookScriptTemplate(name, event, matcher) {
+  const trigger = matcher ? `\n *   - Matcher: ${matcher}` : '';
+  return `#!/usr/bin/env node
+/**
+ * ${titleCase(name)} Hook
+ *
+ * TODO: describe what this hook checks.
+ *
+ * Usage:
+ *   Automatically triggered by Claude Code hooks system when:
+ *   - Event: ${event}${trigger}
+ *
+ * Exit codes:
+ *   0 - Allow
+ *   2 - Block - stderr is shown to Claude
+ */
+
+/**
+ * Read the hook input (JSON on stdin)
+ */
+function readStdin() {
+  return new Promise((resolve) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => {
+      data += chunk;
+    });
+    process.stdin.on('end', () => resolve(data));
+  });
+}
+
+/**
+ * Main hook function
+ */
+async function main() {
+  const stdinData = await readStdin();
+  const context = stdinData.trim() ? JSON.parse(stdinData) : {};
+
+  // TODO: inspect context (tool_name, tool_input, cwd, ...). To block:
+  //   console.error('Reason shown to Claude');
+  //   process.exit(2);
+
+  process.exit(0);
+}
+
+main().catch((error) => {
+  // Never block on hook errors
+  console.error(\`${name} hook error: \${error.message}\`);
+  process.exit(0);
+});
+`;
+}
+
+/**
+ * Hook script built on a plugin's shared runtime (hooks/scripts/lib/hook-runtime.cjs),
+ * which reads the plugin's config files, writes the audit log and renders the
+ * decision
+ *
+ * @param {string} name
+ * @param {string} event
+ * @param {string} [matcher]
+ * @param {Object} runtime - The runtime module (for its CONTEXT_EVENTS and BLOCK_EVENTS)
+ */
+function runtimeHookScriptTemplate(name, event, matcher, runtime) {
+  const trigger = matcher ? `\n *   - Matcher: ${matcher}` : '';
+  let stop = null;
+  if (event === 'PreToolUse') {
+    stop = { helper: 'deny', output: 'a deny decision, which stops the tool\n *   call and tells Claude why' };
+  } else if (runtime.BLOCK_EVENTS.includes(event)) {
+    stop = { helper: 'block', output: 'a block decision, with the reason\n *   for Claude' };
+  }
+  const context = !stop && runtime.CONTEXT_EVENTS.includes(event);
+
+  let helpers = 'pass';
+  let output = 'Nothing';
+  let todo = '// TODO: inspect input (cwd, ...)';
+  if (stop) {
+    helpers = `pass, ${stop.helper}`;
+    output = `Nothing when the action may proceed; ${stop.output}`;
+    todo = `// TODO: inspect input (tool_name, tool_input, cwd, ...). To stop the action:
+  //   return ${stop.helper}('Reason shown to Claude');`;
+  } else if (context) {
+    helpers = 'pass, addContext';
+    output = 'Nothing, or context added for Claude';
+    todo = `// TODO: inspect input (cwd, ...). To tell Claude something:
+  //   return addContext('Context for Claude');`;
+  }
+
+  return `#!/usr/bin/env node
+/**
+ * ${titleCase(name)} Hook
+ *
+ * TODO: describe what this hook checks.
+ *
+ * Usage:
+ *   Automatically triggered by Claude Code hooks system when:
+ *   - Event: ${event}${trigger}
+ *
+ * Output:
+ *   ${output}
+ *
+ * Configuration (.claude/aai-hooks.json, see lib/hook-config.cjs):
+ *   TODO: options, declared in DEFAULTS and SCHEMA there
+ */
+
+const { runHook, ${helpers} } = require('./lib/hook-runtime.cjs');
+
+/**
+ * Main hook function
+ */
+function main(input, options) {
+  ${todo}
+  return pass();
+}
+
+runHook('${name}', { events: ['${event}'] }, main);
+`;
+}
+
+/**
+ * Add a hook to the DEFAULTS and SCHEMA of a plugin's hook-config.cjs, without
+ * options - the runtime only runs hooks it has settings for
+ *
+ * @returns {boolean} Whether the file changed
+ */
+function registerHookConfig(configPath, name) {
+  let source = fs.readFileSync(configPath, 'utf-8');
+  let changed = false;
+
+  for (const object of ['DEFAULTS', 'SCHEMA']) {
+    const start = source.indexOf(`const ${object} = {`);
+    const end = start === -1 ? -1 : source.indexOf('\n};', start);
+    if (end === -1) {
+      throw new Error(`Cannot find ${object} in ${path.basename(configPath)}`);
+    }
+    if (source.slice(start, end).includes(`'${name}':`)) continue;
+    source = `${source.slice(0, end)},\n  '${name}': {}${source.slice(end)}`;
+    changed = true;
+  }
+
+  if (changed) fs.writeFileSync(configPath, source);
+  return changed;
+}
+
+// Fields of a recorded event beyond the common ones, for events without one in tests/hooks/events/
+const EVENT_EXAMPLES = {
+  PreToolUse: { tool_name: 'Bash', tool_input: { command: 'git status' } },
+  PermissionRequest: { tool_name: 'Bash', tool_input: { command: 'git status' } },
+  PostToolUse: { tool_name: 'Bash', tool_input: { command: 'git status' }, tool_response: {} },
+  Notification: { message: 'Claude needs your permission to use Bash' },
+  UserPromptSubmit: { prompt: 'Add a login page' },
+  Stop: { stop_hook_active: false },
+  SubagentStop: { stop_hook_active: false }
+};
+
+function kebabCase(text) {
+  return text.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Name of a recorded event in eventsDir for the hook, recording one when
+ * none fits
+ *
+ * @returns {{name: string, created: string|null}}
+ */
+function fixtureEvent(eventsDir, event, matcher) {
+  const tool = matcher ? new RegExp(`^(?:${matcher})$`) : null;
+  const recorded = fs.existsSync(eventsDir)
+    ? fs.readdirSync(eventsDir).filter(file => file.endsWith('.json')).sort()
+    : [];
+
+  for (const file of recorded) {
+    const input = JSON.parse(fs.readFileSync(path.join(eventsDir, file), 'utf-8'));
+    if (input.hook_event_name === event && (!tool || tool.test(input.tool_name || ''))) {
+      return { name: path.basename(file, '.json'), created: null };
+    }
+  }
+
+  const name = kebabCase(event);
+  const example = { ...EVENT_EXAMPLES[event] };
+  if (tool && example.tool_name && !tool.test(example.tool_name)) {
+    example.tool_name = matcher.split('|')[0];
+    example.tool_input = {};
+  }
+  const created = writeNewFile(path.join(eventsDir, `${name}.json`), formatJson({
+    session_id: '8f2c1d0e-5b7a-4c3e-9f61-2a4d7e9b0c13',
+    cwd: '/home/dev/app',
+    permission_mode: 'default',
+    hook_event_name: event,
+    ...example
+  }));
+  return { name, created };
+}
+
+/**
+ * Hook fixture (see scripts/lib/hook-harness.js) with a case the scaffolded
+ * script passes
+ */
+function hookFixture(script, eventName) {
+  return formatJson({
+    script,
+    cases: [
+      {
+        name: 'TODO: lets an unrelated action through',
+        event: eventName,
+        expect: { decision: 'pass' }
+      }
+    ]
+  });
+}
+
+/**
+ * Directory of an existing plugin, with its parsed plugin.json
+ */
+function loadPlugin(pluginsDir, plugin) {
+  const pluginDir = path.join(pluginsDir, plugin);
+  const manifestPath = path.join(pluginDir, '.claude-plugin', 'plugin.json');
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Unknown plugin '${plugin}' (no plugins/${plugin}/.claude-plugin/plugin.json)`);
+  }
+  return { pluginDir, manifestPath, manifest: JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) };
+}
+
+/**
+ * Add an agent, skill or command to a plugin
+ *
+ * @param {string} pluginsDir - plugins/
+ * @param {string} plugin - Plugin name
+ * @param {string} type - 'agent' | 'skill' | 'command'
+ * @param {string} name - Component name
+ * @returns {string[]} Files created
+ */
+function addComponent(pluginsDir, plugin, type, name) {
+  checkComponentName(type, name);
+  const { pluginDir } = loadPlugin(pluginsDir, plugin);
+
+  switch (type) {
+    case 'agent':
+      return [writeNewFile(path.join(pluginDir, 'agents', `${name}.md`), agentTemplate(name))];
+    case 'skill':
+      return [writeNewFile(path.join(pluginDir, 'skills', name, 'SKILL.md'), skillTemplate(name))];
+    case 'command':
+      return [writeNewFile(path.join(pluginDir, 'commands', `${name}.md`), commandTemplate(name))];
+    default:
+      throw new Error(`Unknown component type '${type}'`);
+  }
+}
+
+/**
+ * Add a command hook to a plugin: a script in hooks/scripts/ and its entry in
+ * hooks/hooks.json (created, and referenced from plugin.json, if needed)
+ *
+ * In a plugin with a shared hook runtime (hooks/scripts/lib/hook-runtime.cjs,
+ * as in aai-hooks) the script is built on it, the hook is registered in
+ * hook-config.cjs and a fixture is added to tests/hooks/.
+ *
+ * @param {string} pluginsDir - plugins/
+ * @param {string} plugin - Plugin name
+ * @param {string} name - Script name (without extension)
+ * @param {Object} options
+ * @param {string} options.event - Hook event (e.g. PreToolUse)
+ * @param {string} [options.matcher] - Tool name pattern, for events that use one
+ * @param {string} [options.fixturesDir] - Hook fixtures (default: tests/hooks next to pluginsDir)
+ * @returns {string[]} Files created or changed
+ */
+function addHook(pluginsDir, plugin, name, { event, matcher, fixturesDir = path.join(pluginsDir, '..', 'tests', 'hooks') }) {
+  checkComponentName('hook', name);
+  if (!Object.prototype.hasOwnProperty.call(HOOK_EVENTS, event)) {
+    throw new Error(`Unknown hook event '${event}' (one of: ${Object.keys(HOOK_EVENTS).join(', ')})`);
+  }
+  if (matcher && HOOK_EVENTS[event] === null) {
+    throw new Error(`${event} hooks don't use a matcher`);
+  }
+
+  const { pluginDir, manifestPath, manifest } = loadPlugin(pluginsDir, plugin);
+  const hooksPath = path.join(pluginDir, 'hooks', 'hooks.json');
+  const scriptsDir = path.join(pluginDir, 'hooks', 'scripts');
+  const runtimePath = path.join(scriptsDir, 'lib', 'hook-runtime.cjs');
+  const runtime = fs.existsSync(runtimePath) ? require(runtimePath) : null;
+  const changed = [];
+
+  if (runtime && !runtime.EVENTS.includes(event)) {
+    throw new Error(`The ${plugin} hook runtime doesn't handle ${event} events (one of: ${runtime.EVENTS.join(', ')})`);
+  }
+
+  let config = { description: `${plugin} hooks`, hooks: {} };
+  if (fs.existsSync(hooksPath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(hooksPath, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Cannot read hooks/hooks.json: ${e.message}`);
+    }
+  }
+
+  const scriptPath = path.join(scriptsDir, `${name}.cjs`);
+  changed.push(writeNewFile(
+    scriptPath,
+    runtime ? runtimeHookScriptTemplate(name, event, matcher, runtime) : hookScriptTemplate(name, event, matcher),
+    0o755
+  ));
+
+  if (runtime) {
+    const configPath = path.join(scriptsDir, 'lib', 'hook-config.cjs');
+    if (registerHookConfig(configPath, name)) changed.push(configPath);
+
+    const { name: eventName, created } = fixtureEvent(path.join(fixturesDir, 'events'), event, matcher);
+    if (created) changed.push(created);
+    const script = path.relative(path.join(pluginsDir, '..'), scriptPath).split(path.sep).join('/');
+    changed.push(writeNewFile(path.join(fixturesDir, `${name}.json`), hookFixture(script, eventName)));
+  }
+
+  const groups = (config.hooks[event] = config.hooks[event] || []);
+  let group = groups.find(g => (g.matcher || null) === (matcher || null));
+  if (!group) {
+    group = matcher ? { matcher, hooks: [] } : { hooks: [] };
+    groups.push(group);
+  }
+  group.hooks.push({
+    type: 'command',
+    command: `\${CLAUDE_PLUGIN_ROOT}/hooks/scripts/${name}.cjs`,
+    timeout: DEFAULT_HOOK_TIMEOUT,
+    description: `TODO - What ${name} checks`
+  });
+  fs.writeFileSync(hooksPath, formatJson(config));
+  changed.push(hooksPath);
+
+  if (!manifest.hooks) {
+    manifest.hooks = './hooks/hooks.json';
+    fs.writeFileSync(manifestPath, formatJson(manifest));
+    changed.push(manifestPath);
+  }
+
+  return changed;
+}
+
+module.exports = {
+  PLUGIN_NAME_PATTERN,
+  titleCase,
+  pluginJson,
+  createPlugin,
+  addComponent,
+  addHook
+};
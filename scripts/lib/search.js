@@ -0,0 +1,252 @@
+/**
+ * Marketplace Search
+ *
+ * Offline search over plugin-manifest.json and the component files it indexes.
+ * Every plugin, agent, skill, command and hook is a document; query terms are
+ * matched against its name, keywords, description and body text.
+ *
+ * Each term must match somewhere in a document (exactly, as a prefix, as a
+ * substring or within a small edit distance). Matches in the name count most,
+ * then keywords, description, the owning plugin and finally the body. A name
+ * equal to the whole query ranks first; a query starting with `/` prefers
+ * commands.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+
+const COMPONENT_TYPES = ['plugin', 'agent', 'skill', 'command', 'hook'];
+
+// Score of a term matching in each field
+const FIELD_WEIGHTS = {
+  name: 10,
+  keywords: 6,
+  description: 4,
+  plugin: 2,
+  body: 1
+};
+
+// How well a term matches a word, as a fraction of the field weight
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  substring: 0.6,
+  fuzzy: 0.4
+};
+
+/**
+ * Lowercase words of a text ("prisma-migrations" → ["prisma", "migrations"])
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Edits allowed for a fuzzy match: none for short terms, one for 4+, two for 8+
+ */
+function allowedEdits(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Edit distance counting an adjacent transposition ("pirsma" → "prisma") as one edit
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Best match quality of a term among a set of words (0 when nothing matches)
+ *
+ * @param {string} term
+ * @param {Set<string>} words
+ * @param {boolean} fuzzy - Also try substring and edit-distance matches
+ */
+function matchQuality(term, words, fuzzy) {
+  if (words.has(term)) return MATCH_QUALITY.exact;
+
+  let best = 0;
+  for (const word of words) {
+    if (word.startsWith(term)) return MATCH_QUALITY.prefix;
+    if (!fuzzy) continue;
+
+    if (term.length >= 3 && word.includes(term)) {
+      best = Math.max(best, MATCH_QUALITY.substring);
+    } else if (best < MATCH_QUALITY.fuzzy && allowedEdits(term) > 0 &&
+      Math.abs(word.length - term.length) <= allowedEdits(term) &&
+      editDistance(term, word) <= allowedEdits(term)) {
+      best = MATCH_QUALITY.fuzzy;
+    }
+  }
+  return best;
+}
+
+/**
+ * Read a component's body text (without frontmatter)
+ */
+function readBody(file) {
+  if (!fs.existsSync(file)) return '';
+  return parseFrontmatter(fs.readFileSync(file, 'utf-8')).body || '';
+}
+
+/**
+ * Build searchable documents from a manifest
+ *
+ * @param {Object} manifest - Parsed plugin-manifest.json
+ * @param {string} rootDir - Directory the manifest's `source` paths are relative to
+ * @returns {Object[]} Documents: {type, name, plugin, category, description, path, body, fields}
+ */
+function buildDocuments(manifest, rootDir) {
+  const documents = [];
+
+  for (const plugin of manifest.plugins || []) {
+    const pluginDir = path.join(rootDir, plugin.source || path.join('plugins', plugin.name));
+    const pluginWords = new Set(tokenize(`${plugin.name} ${(plugin.keywords || []).join(' ')}`));
+    const add = (doc, text) => documents.push({
+      plugin: plugin.name,
+      category: plugin.category,
+      ...doc,
+      fields: {
+        name: new Set(tokenize(text.name)),
+        keywords: new Set(tokenize((text.keywords || []).join(' '))),
+        description: new Set(tokenize(doc.description)),
+        plugin: pluginWords,
+        body: new Set(tokenize(doc.body))
+      }
+    });
+
+    add(
+      { type: 'plugin', name: plugin.name, description: plugin.description || '', path: null, body: '' },
+      { name: plugin.name, keywords: plugin.keywords }
+    );
+
+    const index = plugin.componentIndex || {};
+    for (const [key, type] of [['agents', 'agent'], ['skills', 'skill'], ['commands', 'command']]) {
+      for (const component of index[key] || []) {
+        const file = path.join(pluginDir, component.path);
+        add(
+          {
+            type,
+            name: component.name,
+            description: component.description || '',
+            path: path.relative(rootDir, file).split(path.sep).join('/'),
+            body: readBody(file)
+          },
+          { name: component.name }
+        );
+      }
+    }
+
+    for (const hook of index.hooks || []) {
+      const name = hook.matcher ? `${hook.event} ${hook.matcher}` : hook.event;
+      add(
+        { type: 'hook', name, description: hook.description || '', path: null, body: '' },
+        { name }
+      );
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * First body line containing one of the terms, trimmed for display.
+ * Headings usually repeat the name, so prose lines are preferred.
+ */
+function snippet(body, terms, width = 100) {
+  const matching = body.split('\n').filter(l => terms.some(t => l.toLowerCase().includes(t)));
+  const line = matching.find(l => !l.trim().startsWith('#')) || matching[0];
+  if (!line) return null;
+  const text = line.trim().replace(/\s+/g, ' ');
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+/**
+ * Search documents
+ *
+ * @param {Object[]} documents - buildDocuments() result
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Only these component types
+ * @param {string[]} [options.categories] - Only plugins in these categories
+ * @param {number} [options.limit] - Maximum number of results
+ * @returns {Array<{document: Object, score: number, snippet: string|null}>} Best first
+ */
+function search(documents, query, { types = [], categories = [], limit = Infinity } = {}) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+  const slashCommand = query.trim().startsWith('/');
+
+  const results = [];
+
+  for (const document of documents) {
+    if (types.length > 0 && !types.includes(document.type)) continue;
+    if (categories.length > 0 && !categories.includes(document.category)) continue;
+
+    let score = 0;
+    let matchedAll = true;
+
+    for (const term of terms) {
+      let termScore = 0;
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        // Body text is large; only exact and prefix matches count there
+        const quality = matchQuality(term, document.fields[field], field !== 'body');
+        termScore += weight * quality;
+      }
+      if (termScore === 0) {
+        matchedAll = false;
+        break;
+      }
+      score += termScore;
+    }
+
+    if (!matchedAll) continue;
+
+    // Whole-query phrase in the name or description ranks above scattered words,
+    // and a name that is the query ranks above one that only contains it
+    const phrase = terms.join(' ');
+    const name = tokenize(document.name).join(' ');
+    if (name === phrase) score += 2 * FIELD_WEIGHTS.name;
+    else if (name.includes(phrase)) score += FIELD_WEIGHTS.name;
+    else if (tokenize(document.description).join(' ').includes(phrase)) score += FIELD_WEIGHTS.description;
+
+    // "/jira-retro" asks for the command
+    if (slashCommand && document.type === 'command') score += FIELD_WEIGHTS.name;
+
+    results.push({
+      document,
+      score: Math.round(score * 10) / 10,
+      snippet: document.body ? snippet(document.body, terms) : null
+    });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score ||
+      COMPONENT_TYPES.indexOf(a.document.type) - COMPONENT_TYPES.indexOf(b.document.type) ||
+      a.document.plugin.localeCompare(b.document.plugin) ||
+      a.document.name.localeCompare(b.document.name))
+    .slice(0, limit);
+}
+
+module.exports = {
+  COMPONENT_TYPES,
+  FIELD_WEIGHTS,
+  tokenize,
+  buildDocuments,
+  search
+};
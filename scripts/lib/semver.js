@@ -0,0 +1,196 @@
+/**
+ * Semantic Versioning Helpers
+ *
+ * Minimal semver parsing and comparison for plugin versions (MAJOR.MINOR.PATCH
+ * with an optional -prerelease tag; build metadata is ignored), and the npm
+ * range syntax used by autoLoad conditions: `^1.2.3`, `~1.2`, `>=18 <20`,
+ * `18.x`, `1.2.3 - 2.0.0` and `||` alternatives.
+ */
+
+const SEMVER = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+const BUMP_TYPES = ['patch', 'minor', 'major'];
+
+/**
+ * Parse a version string
+ *
+ * @param {string} version
+ * @returns {{major: number, minor: number, patch: number, prerelease: string|null}|null} null if invalid
+ */
+function parseVersion(version) {
+  const match = typeof version === 'string' && version.trim().match(SEMVER);
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] || null
+  };
+}
+
+/**
+ * Compare two versions
+ *
+ * @returns {number} negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) throw new Error(`Invalid version: ${va ? b : a}`);
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (va[part] !== vb[part]) return va[part] - vb[part];
+  }
+  // A prerelease sorts before the release it precedes
+  if (va.prerelease === vb.prerelease) return 0;
+  if (!va.prerelease) return 1;
+  if (!vb.prerelease) return -1;
+  return va.prerelease < vb.prerelease ? -1 : 1;
+}
+
+/**
+ * Which part changed between two versions
+ *
+ * @returns {'major'|'minor'|'patch'|null} null if `to` isn't greater than `from`
+ */
+function bumpType(from, to) {
+  if (compareVersions(to, from) <= 0) return null;
+  const vf = parseVersion(from);
+  const vt = parseVersion(to);
+  if (vt.major !== vf.major) return 'major';
+  if (vt.minor !== vf.minor) return 'minor';
+  return 'patch';
+}
+
+/**
+ * Increment a version by a bump type
+ */
+function incrementVersion(version, type) {
+  const v = parseVersion(version);
+  if (!v) throw new Error(`Invalid version: ${version}`);
+  if (type === 'major') return `${v.major + 1}.0.0`;
+  if (type === 'minor') return `${v.major}.${v.minor + 1}.0`;
+  return `${v.major}.${v.minor}.${v.patch + 1}`;
+}
+
+const PARTIAL = /^(\^|~|>=|<=|>|<|=)?\s*v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Comparators for one range term ("^18.2", ">=1.0", "18.x")
+ *
+ * @returns {Array<{op: string, version: string}>|null} null if invalid; [] matches anything
+ */
+function parseComparator(term) {
+  const match = term.match(PARTIAL);
+  if (!match) return null;
+
+  const [, op = '', majorText, minorText, patchText, prerelease] = match;
+  const number = text => (text === undefined || /^[xX*]$/.test(text) ? null : Number(text));
+  const major = number(majorText);
+  const minor = major === null ? null : number(minorText);
+  const patch = minor === null ? null : number(patchText);
+
+  if (major === null) return op === '<' || op === '>' ? [{ op: '<', version: '0.0.0' }] : [];
+
+  const tag = prerelease && patch !== null ? `-${prerelease}` : '';
+  const low = `${major}.${minor || 0}.${patch || 0}${tag}`;
+  // Smallest version above the partial version ("18" → 19.0.0, "18.2" → 18.3.0)
+  const next = minor === null ? `${major + 1}.0.0` : patch === null ? `${major}.${minor + 1}.0` : null;
+
+  switch (op) {
+    case '^': {
+      if (major > 0 || minor === null) return [{ op: '>=', version: low }, { op: '<', version: `${major + 1}.0.0` }];
+      if (minor > 0 || patch === null) return [{ op: '>=', version: low }, { op: '<', version: `0.${minor + 1}.0` }];
+      return [{ op: '>=', version: low }, { op: '<', version: `0.0.${patch + 1}` }];
+    }
+    case '~':
+      return [{ op: '>=', version: low }, { op: '<', version: minor === null ? `${major + 1}.0.0` : `${major}.${minor + 1}.0` }];
+    case '>':
+      return [next ? { op: '>=', version: next } : { op: '>', version: low }];
+    case '<=':
+      return [next ? { op: '<', version: next } : { op: '<=', version: low }];
+    case '>=':
+    case '<':
+      return [{ op, version: low }];
+    default:
+      return next ? [{ op: '>=', version: low }, { op: '<', version: next }] : [{ op: '=', version: low }];
+  }
+}
+
+/**
+ * Parse a version range
+ *
+ * @param {string} range - npm range syntax
+ * @returns {Array<Array<{op: string, version: string}>>|null} Alternatives, each a list of
+ *   comparators that must all hold; null if the range is invalid
+ */
+function parseRange(range) {
+  if (typeof range !== 'string') return null;
+
+  const alternatives = [];
+  for (const part of range.split('||')) {
+    const text = part.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1');
+    const comparators = [];
+
+    const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+    const terms = hyphen ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`] : text.split(/\s+/).filter(Boolean);
+
+    for (const term of terms) {
+      const parsed = parseComparator(term);
+      if (!parsed) return null;
+      comparators.push(...parsed);
+    }
+    alternatives.push(comparators);
+  }
+  return alternatives;
+}
+
+/**
+ * Whether a version satisfies a range
+ *
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+function satisfies(version, range) {
+  const alternatives = parseRange(range);
+  if (!alternatives || !parseVersion(version)) return false;
+
+  const tests = {
+    '=': c => c === 0,
+    '>': c => c > 0,
+    '>=': c => c >= 0,
+    '<': c => c < 0,
+    '<=': c => c <= 0
+  };
+  return alternatives.some(comparators =>
+    comparators.every(({ op, version: bound }) => tests[op](compareVersions(version, bound)))
+  );
+}
+
+/**
+ * Lowest version a range allows, e.g. the version a "^18.2.0" dependency resolves to at least
+ *
+ * @returns {string|null} null if the range is invalid
+ */
+function minVersion(range) {
+  const alternatives = parseRange(range);
+  if (!alternatives) return null;
+
+  const candidates = alternatives.map(comparators => {
+    const lower = comparators.filter(c => c.op === '>=' || c.op === '=').map(c => c.version);
+    return lower.length > 0 ? lower.sort(compareVersions).pop() : '0.0.0';
+  });
+  return candidates.filter(v => satisfies(v, range)).sort(compareVersions)[0] || null;
+}
+
+module.exports = {
+  BUMP_TYPES,
+  parseVersion,
+  compareVersions,
+  bumpType,
+  incrementVersion,
+  parseRange,
+  satisfies,
+  minVersion
+};
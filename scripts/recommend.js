@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Stack-Aware Plugin Recommender
+ *
+ * Detects a project's stack and evaluates every plugin's `autoLoad` conditions
+ * (from plugin-manifest.json; grammar in scripts/lib/autoload.js) against it,
+ * then prints the plugins that apply with the reason for each and the command
+ * that installs them.
+ *
+ * Usage:
+ *   node scripts/recommend.js ../my-app          # Plugins that apply to a project
+ *   node scripts/recommend.js ../my-app --all    # Also list plugins that don't apply
+ *   node scripts/recommend.js ../my-app --json   # Machine-readable output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { detectProject, evaluateAutoLoad, validateCondition } = require('./lib/autoload');
+const { projectPaths, readLockfile } = require('./lib/installer');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'plugin-manifest.json');
+
+/**
+ * Plugins already installed in the project by scripts/install.js
+ */
+function installedPlugins(projectDir) {
+  try {
+    return new Set(Object.keys(readLockfile(projectPaths(projectDir).lockPath).plugins));
+  } catch {
+    return new Set();
+  }
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const all = args.includes('--all');
+  const projectArgs = args.filter(a => !a.startsWith('--'));
+
+  if (projectArgs.length !== 1) {
+    console.error('Usage: node scripts/recommend.js <project-dir> [--all] [--json]');
+    process.exit(1);
+  }
+
+  const projectDir = path.resolve(projectArgs[0]);
+  if (!fs.existsSync(projectDir) || !fs.statSync(projectDir).isDirectory()) {
+    console.error(`Error: Project directory not found: ${projectArgs[0]}`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    console.error('Error: plugin-manifest.json not found - run node scripts/build-manifest.js');
+    process.exit(1);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+  const project = detectProject(projectDir);
+  const installed = installedPlugins(projectDir);
+
+  const declared = manifest.plugins.filter(plugin => plugin.autoLoad);
+  const invalid = declared.filter(plugin => validateCondition(plugin.autoLoad.when).length > 0);
+  for (const plugin of invalid) {
+    console.error(`⚠️  Skipping ${plugin.name}: invalid autoLoad condition (run node scripts/validate-plugins.js)`);
+  }
+
+  const results = declared
+    .filter(plugin => !invalid.includes(plugin))
+    .map(plugin => ({
+      name: plugin.name,
+      description: plugin.description,
+      installed: installed.has(plugin.name),
+      ...evaluateAutoLoad(plugin.autoLoad, project)
+    }));
+  const recommended = results.filter(r => r.applies);
+
+  if (json) {
+    console.log(JSON.stringify({
+      project: projectDir,
+      packageJson: !!project.packageJson,
+      recommended: recommended.map(({ name, reasons, installed: isInstalled }) => ({ name, reasons, installed: isInstalled })),
+      notApplicable: results.filter(r => !r.applies).map(r => r.name)
+    }, null, 2));
+    return;
+  }
+
+  console.log(`Plugin recommendations for ${projectDir}\n`);
+  if (!project.packageJson) {
+    console.log('⚠️  No package.json found; only file-based conditions were checked\n');
+  }
+
+  if (recommended.length === 0) {
+    console.log('No stack plugins apply to this project');
+  }
+  for (const result of recommended) {
+    console.log(`✅ ${result.name}${result.installed ? ' (installed)' : ''}`);
+    for (const reason of result.reasons) {
+      console.log(`   ${reason}`);
+    }
+  }
+
+  if (all) {
+    console.log('\nNot detected:');
+    for (const result of results.filter(r => !r.applies)) {
+      console.log(`   ${result.name}`);
+    }
+  }
+
+  const toInstall = recommended.filter(r => !r.installed).map(r => r.name);
+  if (recommended.length === 0) return;
+
+  console.log(`\n${'='.repeat(50)}`);
+  if (toInstall.length === 0) {
+    console.log('\n✅ Every recommended plugin is installed');
+    return;
+  }
+
+  const installer = path.relative(process.cwd(), path.join(__dirname, 'install.js'));
+  const target = path.relative(process.cwd(), projectDir) || '.';
+  console.log(`\nInstall with:\n   node ${installer} install ${toInstall.join(' ')} --project ${target}`);
+  console.log('\nor in Claude Code:');
+  for (const name of toInstall) {
+    console.log(`   /plugin install ${name}@${manifest.name}`);
+  }
+}
+
+main();
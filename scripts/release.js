@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * Plugin Release Builder
+ *
+ * Packages every plugin into a versioned, reproducible archive
+ * (<name>-<version>.tgz, see scripts/lib/archive.js) and records each
+ * archive's size and sha256 in plugin-releases.json, next to
+ * plugin-manifest.json, along with the sha256 of the uncompressed tar
+ * (tarSha256). The output directory also gets a SHA256SUMS file for
+ * `sha256sum -c`.
+ *
+ * Gzip output depends on the zlib build of the Node.js that ran this script,
+ * so --check and --verify go by tarSha256 and contentHash: an archive
+ * recompressed by another Node.js version still matches the index.
+ *
+ * Usage:
+ *   node scripts/release.js                              # Build archives into dist/releases/, update the index
+ *   node scripts/release.js --output ../artifacts        # Build archives somewhere else
+ *   node scripts/release.js --check                      # Exit 1 if plugin-releases.json is stale
+ *   node scripts/release.js --verify dist/releases       # Verify every archive in a directory
+ *   node scripts/release.js --verify aai-core-1.2.0.tgz --index ./plugin-releases.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { formatJson } = require('./lib/json');
+const { sha256, hashFiles, hashTree } = require('./lib/hash');
+const { tarDirectory, gzipTar, readTar } = require('./lib/archive');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'plugin-manifest.json');
+const INDEX_PATH = path.join(ROOT_DIR, 'plugin-releases.json');
+const DEFAULT_OUTPUT = path.join(ROOT_DIR, 'dist', 'releases');
+
+// Index fields that don't depend on how the tar was compressed
+const RELEASE_FIELDS = ['name', 'version', 'file', 'tarSha256', 'contentHash'];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { check: false, output: DEFAULT_OUTPUT, verify: null, index: INDEX_PATH };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--check') {
+      options.check = true;
+    } else if (arg === '--output') {
+      options.output = path.resolve(argv[++i]);
+    } else if (arg === '--verify') {
+      options.verify = path.resolve(argv[++i]);
+    } else if (arg === '--index') {
+      options.index = path.resolve(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function archiveName(plugin) {
+  return `${plugin.name}-${plugin.version}.tgz`;
+}
+
+/**
+ * Archive every plugin in the manifest
+ *
+ * @param {Object} manifest - Parsed plugin-manifest.json
+ * @returns {{index: Object, archives: Map<string, Buffer>}}
+ */
+function buildReleases(manifest) {
+  const archives = new Map();
+  const releases = [];
+
+  for (const plugin of manifest.plugins) {
+    const dir = path.join(ROOT_DIR, plugin.source);
+    if (hashTree(dir) !== plugin.contentHash) {
+      throw new Error(`${plugin.name} differs from plugin-manifest.json - run node scripts/build-manifest.js`);
+    }
+
+    const file = archiveName(plugin);
+    const tar = tarDirectory(dir, plugin.name);
+    const archive = gzipTar(tar);
+    archives.set(file, archive);
+    releases.push({
+      name: plugin.name,
+      version: plugin.version,
+      file,
+      size: archive.length,
+      sha256: sha256(archive),
+      tarSha256: sha256(tar),
+      contentHash: plugin.contentHash
+    });
+  }
+
+  return {
+    index: { name: manifest.name, version: manifest.version, plugins: releases },
+    archives
+  };
+}
+
+/**
+ * Whether two index entries describe the same release, whatever the gzip bytes
+ */
+function sameRelease(a, b) {
+  return RELEASE_FIELDS.every(field => a[field] === b[field]);
+}
+
+/**
+ * Check one archive against its index entry
+ *
+ * @returns {string[]} Problems, empty when the archive is intact
+ */
+function verifyArchive(filePath, release) {
+  let tar;
+  try {
+    tar = zlib.gunzipSync(fs.readFileSync(filePath));
+  } catch (e) {
+    return [`cannot read archive: ${e.message}`];
+  }
+  if (sha256(tar) !== release.tarSha256) {
+    return ['tar sha256 does not match the index'];
+  }
+
+  let entries;
+  try {
+    entries = readTar(tar);
+  } catch (e) {
+    return [`cannot read archive: ${e.message}`];
+  }
+
+  const prefix = `${release.name}/`;
+  const outside = entries.filter(entry => !entry.path.startsWith(prefix));
+  if (outside.length > 0) {
+    return [`contains ${outside[0].path} outside ${prefix}`];
+  }
+  const contentHash = hashFiles(entries.map(entry => ({ path: entry.path.slice(prefix.length), content: entry.content })));
+  if (contentHash !== release.contentHash) {
+    return ['contents do not match the plugin\'s contentHash'];
+  }
+  return [];
+}
+
+/**
+ * Verify archives (a directory of them, or one file) against an index
+ *
+ * @returns {boolean} Whether every archive verified
+ */
+function verify(target, indexPath) {
+  if (!fs.existsSync(indexPath)) {
+    throw new Error(`${path.basename(indexPath)} not found`);
+  }
+  if (!fs.existsSync(target)) {
+    throw new Error(`${target} not found`);
+  }
+
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+  const byFile = new Map(index.plugins.map(release => [release.file, release]));
+  const isDir = fs.statSync(target).isDirectory();
+  const dir = isDir ? target : path.dirname(target);
+  const files = isDir ? fs.readdirSync(dir).filter(file => file.endsWith('.tgz')).sort() : [path.basename(target)];
+
+  console.log(`Verifying ${files.length} archive(s) against ${path.relative(process.cwd(), indexPath) || indexPath}...`);
+  console.log('='.repeat(50));
+
+  let failed = 0;
+  for (const file of files) {
+    const release = byFile.get(file);
+    const problems = release ? verifyArchive(path.join(dir, file), release) : ['not in the index'];
+    if (problems.length === 0) {
+      console.log(`  ✅ ${file}`);
+    } else {
+      failed++;
+      console.log(`  ❌ ${file}: ${problems.join('; ')}`);
+    }
+  }
+
+  if (isDir) {
+    for (const release of index.plugins.filter(r => !files.includes(r.file))) {
+      console.log(`  ⚠️  ${release.file} is in the index but not in ${path.relative(process.cwd(), dir) || '.'}`);
+    }
+  }
+
+  console.log(`\n${'='.repeat(50)}`);
+  if (failed > 0) {
+    console.log(`\n❌ ${failed} archive(s) failed verification`);
+    return false;
+  }
+  console.log(`\n✅ ${files.length} archive(s) verified`);
+  return true;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  try {
+    if (options.verify) {
+      if (!verify(options.verify, options.index)) process.exit(1);
+      return;
+    }
+
+    if (!fs.existsSync(MANIFEST_PATH)) {
+      throw new Error('plugin-manifest.json not found - run node scripts/build-manifest.js');
+    }
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+    const { index, archives } = buildReleases(manifest);
+    const output = formatJson(index);
+
+    if (options.check) {
+      const committed = fs.existsSync(INDEX_PATH) ? JSON.parse(fs.readFileSync(INDEX_PATH, 'utf-8')) : null;
+      const previous = committed === null ? [] : committed.plugins;
+      const stale = index.plugins.filter(release => {
+        const old = previous.find(p => p.name === release.name);
+        return !old || !sameRelease(old, release);
+      });
+      const removed = previous.filter(p => !index.plugins.some(r => r.name === p.name));
+      if (committed !== null && stale.length === 0 && removed.length === 0 &&
+          committed.name === index.name && committed.version === index.version) {
+        console.log(`✅ plugin-releases.json is up to date (${index.plugins.length} plugins)`);
+        return;
+      }
+
+      console.log('❌ plugin-releases.json is stale:');
+      for (const release of stale) {
+        console.log(`   - ${release.file}`);
+      }
+      for (const old of removed) {
+        console.log(`   - ${old.name} was removed`);
+      }
+      console.log('\n   Run node scripts/release.js to rebuild it');
+      process.exit(1);
+    }
+
+    fs.mkdirSync(options.output, { recursive: true });
+    for (const [file, archive] of archives) {
+      fs.writeFileSync(path.join(options.output, file), archive);
+    }
+    const sums = index.plugins.map(release => `${release.sha256}  ${release.file}\n`).join('');
+    fs.writeFileSync(path.join(options.output, 'SHA256SUMS'), sums);
+    fs.writeFileSync(INDEX_PATH, output);
+
+    const total = index.plugins.reduce((sum, release) => sum + release.size, 0);
+    console.log(`✅ Built ${archives.size} archives (${(total / 1024).toFixed(1)} KB) in ${path.relative(process.cwd(), options.output) || '.'}`);
+    console.log('✅ Updated plugin-releases.json');
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+main();
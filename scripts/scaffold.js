@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Plugin Scaffolding
+ *
+ * Creates a plugin with a complete plugin.json, registered in marketplace.json,
+ * and adds agents, skills, commands and hooks to plugins from templates with
+ * valid frontmatter. Fill in the TODOs the templates leave.
+ *
+ * Usage:
+ *   node scripts/scaffold.js create aai-stack-vue --category stack --subcategory frontend \
+ *     --description "Vue patterns - components, composables, Pinia"
+ *   node scripts/scaffold.js create aai-mobile --category dev --description "..." --agent mobile-developer
+ *   node scripts/scaffold.js add-skill aai-stack-react react-forms
+ *   node scripts/scaffold.js add-agent aai-testing load-tester
+ *   node scripts/scaffold.js add-command aai-core changelog
+ *   node scripts/scaffold.js add-hook aai-hooks block-secrets --event PreToolUse --matcher Bash
+ *
+ * Options for create:
+ *   --category <name>      Category from .claude-plugin/categories.json (required)
+ *   --subcategory <name>   Subcategory of that category
+ *   --description <text>   Plugin description (required)
+ *   --keywords <a,b>       Keywords (default: words of the plugin name)
+ *   --agent/--skill/--command <name>   Also add a component (repeatable)
+ *
+ * Options for add-hook:
+ *   --event <name>         Hook event (default: PreToolUse)
+ *   --matcher <pattern>    Tool name pattern, for events that use one
+ *
+ * In a plugin with a shared hook runtime (aai-hooks), add-hook also registers
+ * the hook's settings and adds a fixture in tests/hooks/.
+ */
+
+const path = require('path');
+const { loadCategories } = require('./lib/categories');
+const { createPlugin, addComponent, addHook } = require('./lib/scaffold');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PLUGINS_DIR = path.join(ROOT_DIR, 'plugins');
+const MARKETPLACE_PATH = path.join(ROOT_DIR, '.claude-plugin', 'marketplace.json');
+
+const COMPONENT_COMMANDS = {
+  'add-agent': 'agent',
+  'add-skill': 'skill',
+  'add-command': 'command'
+};
+const COMMANDS = ['create', ...Object.keys(COMPONENT_COMMANDS), 'add-hook'];
+
+// Options that may be given more than once
+const REPEATABLE = ['agent', 'skill', 'command'];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { command: argv[0], positional: [] };
+  const values = { agent: [], skill: [], command: [] };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      options.positional.push(arg);
+      continue;
+    }
+
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`--${key} needs a value`);
+    }
+    if (REPEATABLE.includes(key)) {
+      values[key].push(value);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return { ...options, components: values };
+}
+
+function relative(file) {
+  return path.relative(process.cwd(), file) || file;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const argv = process.argv.slice(2);
+  if (!COMMANDS.includes(argv[0])) {
+    console.error(`Usage: node scripts/scaffold.js <${COMMANDS.join('|')}> <plugin> [name] [options]`);
+    process.exit(1);
+  }
+
+  const changed = [];
+  let plugin;
+
+  try {
+    const options = parseArgs(argv);
+    const [first, second] = options.positional;
+    plugin = first;
+    if (!plugin) throw new Error('Name the plugin');
+
+    if (options.command === 'create') {
+      changed.push(...createPlugin({
+        pluginsDir: PLUGINS_DIR,
+        marketplacePath: MARKETPLACE_PATH,
+        categories: loadCategories(),
+        name: plugin,
+        description: options.description,
+        category: options.category,
+        subcategory: options.subcategory,
+        keywords: options.keywords ? options.keywords.split(',').map(k => k.trim()).filter(Boolean) : []
+      }));
+      for (const type of REPEATABLE) {
+        for (const name of options.components[type]) {
+          changed.push(...addComponent(PLUGINS_DIR, plugin, type, name));
+        }
+      }
+    } else if (options.command === 'add-hook') {
+      if (!second) throw new Error('Name the hook script');
+      changed.push(...addHook(PLUGINS_DIR, plugin, second, {
+        event: options.event || 'PreToolUse',
+        matcher: options.matcher
+      }));
+    } else {
+      const type = COMPONENT_COMMANDS[options.command];
+      if (!second) throw new Error(`Name the ${type}`);
+      changed.push(...addComponent(PLUGINS_DIR, plugin, type, second));
+    }
+  } catch (e) {
+    for (const file of changed) {
+      console.log(`✅ ${relative(file)}`);
+    }
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  for (const file of changed) {
+    console.log(`✅ ${relative(file)}`);
+  }
+
+  console.log(`\n${'='.repeat(50)}`);
+  console.log('\nNext steps:');
+  console.log('   1. Fill in the TODOs in the files above');
+  if (argv[0] !== 'create') {
+    console.log(`   2. Bump the version in plugins/${plugin}/.claude-plugin/plugin.json (adding a component is a minor bump)`);
+  } else {
+    console.log('   2. Add agents, skills or commands with add-agent, add-skill, add-command or add-hook');
+  }
+  console.log('   3. node scripts/sync-catalog.js --write && node scripts/build-manifest.js');
+  console.log('   4. node scripts/generate-docs.js && node scripts/build-manifest.js && node scripts/release.js');
+  console.log(`   5. node scripts/validate-plugins.js plugins/${plugin}`);
+}
+
+main();
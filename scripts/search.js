@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Marketplace Search
+ *
+ * Searches plugins and their agents, skills, commands and hooks offline, using
+ * plugin-manifest.json and the component files it lists. Matching is fuzzy
+ * (prefixes, substrings and small typos) and results are ranked.
+ *
+ * Usage:
+ *   node scripts/search.js prisma migrations               # Best matches for a query
+ *   node scripts/search.js jira retro --type command       # Only commands
+ *   node scripts/search.js testing --category stack --limit 5
+ *   node scripts/search.js react hooks --json              # Machine-readable output
+ *
+ * Options:
+ *   --type <plugin|agent|skill|command|hook>  Only this component type (repeatable or comma-separated)
+ *   --category <name>                         Only plugins in this category (repeatable or comma-separated)
+ *   --limit <n>                               Maximum number of results (default: 10)
+ *   --json                                    Print results as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { COMPONENT_TYPES, buildDocuments, search } = require('./lib/search');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'plugin-manifest.json');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { types: [], categories: [], limit: 10, json: false, query: [] };
+  const list = value => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith('--') ? arg.split(/=(.*)/) : [arg];
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+
+    if (flag === '--json') {
+      options.json = true;
+    } else if (flag === '--type') {
+      options.types.push(...list(value()));
+    } else if (flag === '--category') {
+      options.categories.push(...list(value()));
+    } else if (flag === '--limit') {
+      options.limit = Number(value());
+    } else {
+      options.query.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const query = options.query.join(' ');
+
+  if (!query.trim()) {
+    console.error('Usage: node scripts/search.js <query> [--type <type>] [--category <name>] [--limit <n>] [--json]');
+    process.exit(1);
+  }
+
+  const unknownTypes = options.types.filter(t => !COMPONENT_TYPES.includes(t));
+  if (unknownTypes.length > 0) {
+    console.error(`Error: Unknown type '${unknownTypes[0]}' (expected one of: ${COMPONENT_TYPES.join(', ')})`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(options.limit) || options.limit < 1) {
+    console.error('Error: --limit must be a positive integer');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    console.error('Error: plugin-manifest.json not found - run node scripts/build-manifest.js');
+    process.exit(1);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+
+  const knownCategories = new Set(manifest.plugins.map(p => p.category));
+  const unknownCategories = options.categories.filter(c => !knownCategories.has(c));
+  if (unknownCategories.length > 0) {
+    console.error(`Error: Unknown category '${unknownCategories[0]}' (expected one of: ${[...knownCategories].sort().join(', ')})`);
+    process.exit(1);
+  }
+
+  const results = search(buildDocuments(manifest, ROOT_DIR), query, options);
+
+  if (options.json) {
+    console.log(JSON.stringify(results.map(({ document, score, snippet }) => ({
+      type: document.type,
+      name: document.name,
+      plugin: document.plugin,
+      category: document.category,
+      description: document.description,
+      path: document.path,
+      score,
+      snippet
+    })), null, 2));
+    return;
+  }
+
+  if (results.length === 0) {
+    console.log(`No results for "${query}"`);
+    return;
+  }
+
+  console.log(`Results for "${query}"\n`);
+  results.forEach(({ document, score, snippet }, i) => {
+    const owner = document.type === 'plugin' ? '' : ` (${document.plugin})`;
+    console.log(`${String(i + 1).padStart(2)}. ${document.type} ${document.name}${owner}  [${score}]`);
+    if (document.description) console.log(`    ${document.description}`);
+    if (document.path) console.log(`    ${document.path}`);
+    if (snippet) console.log(`    … ${snippet}`);
+    console.log('');
+  });
+}
+
+main();
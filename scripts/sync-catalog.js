@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * Catalog Sync Script
+ *
+ * Compares the three plugin catalogs and reports every mismatch:
+ *   - plugins/<name>/.claude-plugin/plugin.json   (source of truth)
+ *   - .claude-plugin/marketplace.json             (marketplace listing, hand-curated tags)
+ *   - plugin-manifest.json                        (generated by build-manifest.js)
+ *
+ * Usage:
+ *   node scripts/sync-catalog.js           # Report mismatches (exits 1 if any)
+ *   node scripts/sync-catalog.js --write   # Regenerate marketplace.json entries from plugin.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listDirs } = require('./lib/components');
+const { formatJson } = require('./lib/json');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PLUGINS_DIR = path.join(ROOT_DIR, 'plugins');
+const MARKETPLACE_PATH = path.join(ROOT_DIR, '.claude-plugin', 'marketplace.json');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'plugin-manifest.json');
+
+// Fields compared between plugin.json and the catalog entries
+const COMPARED_FIELDS = ['version', 'description'];
+
+/**
+ * Read and parse a JSON file
+ * @returns {{data: Object|null, error: string|null}}
+ */
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { data: null, error: 'file not found' };
+  }
+  try {
+    return { data: JSON.parse(fs.readFileSync(filePath, 'utf-8')), error: null };
+  } catch (e) {
+    return { data: null, error: e.message };
+  }
+}
+
+/**
+ * Load every plugin directory with its plugin.json
+ * @returns {Map<string, {dir: string, manifest: Object|null, error: string|null}>}
+ */
+function loadPlugins() {
+  const plugins = new Map();
+  for (const dir of listDirs(PLUGINS_DIR)) {
+    const { data, error } = readJson(path.join(PLUGINS_DIR, dir, '.claude-plugin', 'plugin.json'));
+    plugins.set(dir, { dir, manifest: data, error });
+  }
+  return plugins;
+}
+
+/**
+ * Index catalog entries by name, reporting duplicates
+ */
+function indexEntries(entries, catalog, mismatches) {
+  const byName = new Map();
+  for (const entry of entries || []) {
+    if (byName.has(entry.name)) {
+      mismatches.push({ catalog, plugin: entry.name, message: 'Duplicate entry' });
+    }
+    byName.set(entry.name, entry);
+  }
+  return byName;
+}
+
+/**
+ * Compare plugins/, marketplace.json and plugin-manifest.json
+ *
+ * @returns {Array<{catalog: string, plugin: string|null, message: string}>}
+ */
+function compareCatalogs(plugins, marketplace, manifest) {
+  const mismatches = [];
+
+  for (const [dir, plugin] of plugins) {
+    if (plugin.error) {
+      mismatches.push({ catalog: 'plugin.json', plugin: dir, message: `Cannot read plugin.json: ${plugin.error}` });
+    } else if (plugin.manifest.name !== dir) {
+      mismatches.push({
+        catalog: 'plugin.json',
+        plugin: dir,
+        message: `name '${plugin.manifest.name}' doesn't match directory '${dir}'`
+      });
+    }
+  }
+
+  const catalogs = [
+    { catalog: 'marketplace.json', ...marketplace },
+    { catalog: 'plugin-manifest.json', ...manifest }
+  ];
+
+  for (const { catalog, data, error } of catalogs) {
+    if (error) {
+      mismatches.push({ catalog, plugin: null, message: `Cannot read ${catalog}: ${error}` });
+      continue;
+    }
+
+    const entries = indexEntries(data.plugins, catalog, mismatches);
+
+    for (const [dir, plugin] of plugins) {
+      const entry = entries.get(dir);
+      if (!entry) {
+        mismatches.push({ catalog, plugin: dir, message: 'Missing entry for plugin directory' });
+        continue;
+      }
+
+      if (entry.source !== `./plugins/${dir}`) {
+        mismatches.push({ catalog, plugin: dir, message: `source is '${entry.source}', expected './plugins/${dir}'` });
+      }
+
+      if (!plugin.manifest) continue;
+
+      for (const field of COMPARED_FIELDS) {
+        if (plugin.manifest[field] !== undefined && entry[field] !== plugin.manifest[field]) {
+          mismatches.push({
+            catalog,
+            plugin: dir,
+            message: `${field} differs: plugin.json has ${JSON.stringify(plugin.manifest[field])}, ` +
+              `${catalog} has ${JSON.stringify(entry[field])}`
+          });
+        }
+      }
+
+      if (plugin.manifest.category && entry.category !== plugin.manifest.category) {
+        mismatches.push({
+          catalog,
+          plugin: dir,
+          message: `category differs: plugin.json has '${plugin.manifest.category}', ${catalog} has '${entry.category}'`
+        });
+      }
+    }
+
+    for (const name of entries.keys()) {
+      if (!plugins.has(name)) {
+        mismatches.push({ catalog, plugin: name, message: 'Entry has no plugin directory' });
+      }
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Build marketplace.json plugin entries from plugin.json files.
+ *
+ * Existing entry order and hand-curated tags are kept; new plugins are appended
+ * and seeded with their plugin.json keywords.
+ */
+function buildMarketplaceEntries(plugins, existingEntries) {
+  const existing = new Map((existingEntries || []).map(e => [e.name, e]));
+
+  const names = [
+    ...(existingEntries || []).map(e => e.name).filter(name => plugins.has(name)),
+    ...[...plugins.keys()].filter(name => !existing.has(name))
+  ];
+
+  return names
+    .filter((name, i) => names.indexOf(name) === i)
+    .map(name => {
+      const manifest = plugins.get(name).manifest || {};
+      const current = existing.get(name) || {};
+      return {
+        ...current,
+        name,
+        source: `./plugins/${name}`,
+        description: manifest.description || current.description || '',
+        version: manifest.version || current.version || '1.0.0',
+        category: manifest.category || current.category,
+        tags: current.tags || manifest.keywords || []
+      };
+    });
+}
+
+/**
+ * Print mismatches grouped by catalog
+ */
+function printMismatches(mismatches) {
+  const byCatalog = {};
+  for (const mismatch of mismatches) {
+    (byCatalog[mismatch.catalog] = byCatalog[mismatch.catalog] || []).push(mismatch);
+  }
+
+  for (const [catalog, items] of Object.entries(byCatalog)) {
+    console.log(`\n${catalog} (${items.length}):`);
+    for (const { plugin, message } of items) {
+      console.log(`  ❌ ${plugin ? `${plugin}: ` : ''}${message}`);
+    }
+  }
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const write = process.argv.includes('--write');
+
+  if (!fs.existsSync(PLUGINS_DIR)) {
+    console.error('Error: plugins/ directory not found');
+    process.exit(1);
+  }
+
+  const plugins = loadPlugins();
+  const marketplace = readJson(MARKETPLACE_PATH);
+  const manifest = readJson(MANIFEST_PATH);
+
+  console.log(`Comparing ${plugins.size} plugin directories with marketplace.json and plugin-manifest.json...`);
+  console.log('='.repeat(50));
+
+  if (write) {
+    if (marketplace.error) {
+      console.error(`Error: Cannot read marketplace.json: ${marketplace.error}`);
+      process.exit(1);
+    }
+
+    marketplace.data.plugins = buildMarketplaceEntries(plugins, marketplace.data.plugins);
+    fs.writeFileSync(MARKETPLACE_PATH, formatJson(marketplace.data));
+    console.log(`\n✅ Regenerated ${marketplace.data.plugins.length} marketplace.json entries from plugin.json`);
+  }
+
+  const mismatches = compareCatalogs(plugins, marketplace, manifest);
+
+  if (mismatches.length === 0) {
+    console.log('\n✅ All catalogs are in sync');
+    return;
+  }
+
+  printMismatches(mismatches);
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n❌ ${mismatches.length} mismatch(es) found`);
+  if (!write) {
+    console.log('   Run with --write to regenerate marketplace.json from plugin.json');
+  }
+  if (mismatches.some(m => m.catalog === 'plugin-manifest.json')) {
+    console.log('   Run node scripts/build-manifest.js to regenerate plugin-manifest.json');
+  }
+  process.exit(1);
+}
+
+main();
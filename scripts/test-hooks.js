@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Hook Tests
+ *
+ * Runs the hook fixtures in tests/hooks/: each case builds a throwaway git
+ * repository, pipes a recorded event into a hook script and checks its exit
+ * code, decision and output (see scripts/lib/hook-harness.js for the fixture
+ * format). Exits 1 if any case fails.
+ *
+ * Usage:
+ *   node scripts/test-hooks.js                                        # Run every fixture
+ *   node scripts/test-hooks.js tests/hooks/block-master-commits.json  # Run one fixture file
+ *   node scripts/test-hooks.js --filter "protected"                   # Only cases whose name contains the text
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateFixture, runCase } = require('./lib/hook-harness');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(ROOT_DIR, 'tests', 'hooks');
+const EVENTS_DIR = path.join(FIXTURES_DIR, 'events');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { files: [], filter: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--filter') {
+      options.filter = argv[++i];
+      if (!options.filter) throw new Error('--filter needs a value');
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument: ${arg}`);
+    } else {
+      options.files.push(path.resolve(arg));
+    }
+  }
+  return options;
+}
+
+function fixtureFiles() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => path.join(FIXTURES_DIR, file));
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  const files = options.files.length > 0 ? options.files : fixtureFiles();
+  let passed = 0;
+  let failed = 0;
+
+  console.log(`Running hook fixtures from ${files.length} file(s)...`);
+  console.log('='.repeat(50));
+
+  for (const file of files) {
+    const label = path.relative(process.cwd(), file) || file;
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+      console.log(`\n❌ ${label}: ${e.message}`);
+      failed++;
+      continue;
+    }
+
+    const problems = validateFixture(fixture, EVENTS_DIR);
+    const script = fixture.script && path.join(ROOT_DIR, fixture.script);
+    if (script && !fs.existsSync(script)) problems.push(`script ${fixture.script} not found`);
+    if (problems.length > 0) {
+      console.log(`\n❌ ${label}:`);
+      for (const problem of problems) {
+        console.log(`   - ${problem}`);
+      }
+      failed++;
+      continue;
+    }
+
+    const cases = fixture.cases.filter(testCase => !options.filter || testCase.name.includes(options.filter));
+    if (cases.length === 0) continue;
+
+    console.log(`\n${fixture.script}`);
+    for (const testCase of cases) {
+      const { failures, durationMs } = runCase(script, testCase, EVENTS_DIR);
+      if (failures.length === 0) {
+        passed++;
+        console.log(`  ✅ ${testCase.name} (${durationMs}ms)`);
+      } else {
+        failed++;
+        console.log(`  ❌ ${testCase.name}`);
+        for (const failure of failures) {
+          console.log(`     - ${failure}`);
+        }
+      }
+    }
+  }
+
+  console.log(`\n${'='.repeat(50)}`);
+  if (failed > 0) {
+    console.log(`\n❌ ${failed} failed, ${passed} passed`);
+    process.exit(1);
+  }
+  console.log(`\n✅ ${passed} hook case(s) passed`);
+}
+
+main();
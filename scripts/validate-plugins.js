@@ -3,183 +3,182 @@
  * Plugin Validation Script
  *
  * Validates plugin structure and manifest files against the Claude Code plugin schema.
+ * Checks are named lint rules (scripts/lib/lint/rules/) configured through
+ * .plugin-lint.json at the repository root.
  *
  * Usage:
  *   node scripts/validate-plugins.js                    # Validate all plugins
  *   node scripts/validate-plugins.js plugins/aai-core   # Validate single plugin
+ *   node scripts/validate-plugins.js --since origin/main # Validate plugins changed since a ref
+ *   node scripts/validate-plugins.js --format sarif --output results.sarif
+ *
+ * Options:
+ *   --format <pretty|json|sarif|junit>  Output format (default: pretty)
+ *   --output <file>                     Write the report to a file instead of stdout
+ *   --config <file>                     Lint config (default: .plugin-lint.json)
+ *   --since <ref>                       Only validate plugins changed since <ref> and the plugins
+ *                                       that require them
+ *   --list-rules                        Print every rule with its effective default severity
  */
 
 const fs = require('fs');
 const path = require('path');
+const lint = require('./lib/lint');
+const { changedFilesSince } = require('./lib/git');
+const { buildMarketplaceIndex, findDependents } = require('./lib/references');
 
-const PLUGINS_DIR = path.join(__dirname, '..', 'plugins');
+const ROOT_DIR = path.join(__dirname, '..');
+const PLUGINS_DIR = path.join(ROOT_DIR, 'plugins');
 
-// Required plugin.json fields
-const REQUIRED_FIELDS = ['name'];
+// Files besides the loaded modules whose changes can change the result for every plugin:
+// the lint config and the category registry
+const VALIDATOR_PATHS = ['.plugin-lint.json', '.claude-plugin/categories.json'];
 
-// Valid plugin categories
-const VALID_CATEGORIES = [
-  'workflow', 'pm', 'dev', 'stack', 'testing',
-  'architecture', 'docs', 'blog', 'devops', 'quality'
-];
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { format: 'pretty', output: null, config: null, since: null, listRules: false, plugins: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--list-rules') {
+      options.listRules = true;
+    } else if (['--format', '--output', '--config', '--since'].includes(arg)) {
+      options[arg.slice(2)] = argv[++i];
+    } else if (/^--(format|output|config|since)=/.test(arg)) {
+      const [key, value] = arg.slice(2).split(/=(.*)/);
+      options[key] = value;
+    } else {
+      options.plugins.push(arg);
+    }
+  }
 
-// Results tracking
-const results = {
-  passed: [],
-  failed: [],
-  warnings: []
-};
+  return options;
+}
 
 /**
- * Validate a single plugin
+ * Files of the validator itself, relative to the repository root: this script,
+ * every repository module it has loaded (the lint rules and their libraries) and
+ * VALIDATOR_PATHS
+ *
+ * @param {string[]} extraPaths - Additional files (custom rules)
+ * @returns {string[]}
  */
-function validatePlugin(pluginPath) {
-  const pluginName = path.basename(pluginPath);
-  const errors = [];
-  const warnings = [];
-
-  console.log(`\nValidating: ${pluginName}`);
-
-  // Check .claude-plugin directory exists
-  const claudePluginDir = path.join(pluginPath, '.claude-plugin');
-  if (!fs.existsSync(claudePluginDir)) {
-    errors.push('Missing .claude-plugin/ directory');
-    return { pluginName, errors, warnings };
-  }
+function validatorFiles(extraPaths) {
+  const modules = Object.keys(require.cache).filter(file =>
+    file.startsWith(ROOT_DIR + path.sep) && !file.split(path.sep).includes('node_modules')
+  );
+  const files = [...modules, ...extraPaths].map(file => path.relative(ROOT_DIR, file).split(path.sep).join('/'));
+  return [...new Set([...files, ...VALIDATOR_PATHS])];
+}
 
-  // Check plugin.json exists
-  const manifestPath = path.join(claudePluginDir, 'plugin.json');
-  if (!fs.existsSync(manifestPath)) {
-    errors.push('Missing .claude-plugin/plugin.json');
-    return { pluginName, errors, warnings };
-  }
+/**
+ * Select the plugins affected by changes since a ref, with the reasons for each
+ *
+ * A plugin is affected when files inside it changed, when it requires an affected
+ * plugin, or when the validator itself (see validatorFiles()) or its config changed.
+ *
+ * @param {string} ref - Base ref
+ * @param {string[]} marketplacePlugins - Every plugin directory
+ * @param {string[]} extraPaths - Additional files that affect every plugin (custom rules)
+ * @returns {Array<{path: string, triggers: string[]}>}
+ */
+function selectChangedPlugins(ref, marketplacePlugins, extraPaths) {
+  const changedFiles = changedFilesSince(ref, ROOT_DIR);
+  const globalPaths = validatorFiles(extraPaths);
+  const globalChanges = changedFiles.filter(file => globalPaths.includes(file));
 
-  // Parse and validate plugin.json
-  let manifest;
-  try {
-    const content = fs.readFileSync(manifestPath, 'utf-8');
-    manifest = JSON.parse(content);
-  } catch (e) {
-    errors.push(`Invalid JSON in plugin.json: ${e.message}`);
-    return { pluginName, errors, warnings };
+  if (globalChanges.length > 0) {
+    return marketplacePlugins.map(pluginPath => ({ path: pluginPath, triggers: globalChanges }));
   }
 
-  // Check required fields
-  for (const field of REQUIRED_FIELDS) {
-    if (!manifest[field]) {
-      errors.push(`Missing required field: ${field}`);
-    }
+  const pluginsRel = path.relative(ROOT_DIR, PLUGINS_DIR);
+  const triggers = new Map();
+  for (const file of changedFiles) {
+    const [dir, name] = file.split('/');
+    const pluginPath = path.join(PLUGINS_DIR, name || '');
+    if (dir !== pluginsRel || !name || !marketplacePlugins.includes(pluginPath)) continue;
+    if (!triggers.has(pluginPath)) triggers.set(pluginPath, []);
+    triggers.get(pluginPath).push(file);
   }
 
-  // Validate name format (kebab-case)
-  if (manifest.name && !/^[a-z][a-z0-9-]*$/.test(manifest.name)) {
-    errors.push(`Invalid name format: ${manifest.name} (must be kebab-case)`);
-  }
+  // Plugins that require a changed plugin are validated too
+  const index = buildMarketplaceIndex(marketplacePlugins);
+  const nameOf = new Map([...index.plugins].map(([name, entry]) => [entry.path, name]));
+  const pathOf = new Map([...index.plugins].map(([name, entry]) => [name, entry.path]));
+  const changedNames = [...triggers.keys()].map(p => nameOf.get(p));
 
-  // Check name matches directory
-  if (manifest.name && manifest.name !== pluginName) {
-    warnings.push(`Plugin name '${manifest.name}' doesn't match directory '${pluginName}'`);
+  for (const [dependent, dependency] of findDependents(index, changedNames)) {
+    triggers.set(pathOf.get(dependent), [`requires ${dependency}`]);
   }
 
-  // Validate version format
-  if (manifest.version && !/^\d+\.\d+\.\d+/.test(manifest.version)) {
-    warnings.push(`Version '${manifest.version}' doesn't follow semver`);
-  }
+  return marketplacePlugins
+    .filter(pluginPath => triggers.has(pluginPath))
+    .map(pluginPath => ({ path: pluginPath, triggers: triggers.get(pluginPath) }));
+}
 
-  // Check for description
-  if (!manifest.description) {
-    warnings.push('Missing description field');
-  }
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let pluginsToValidate = [];
 
-  // Validate components exist if referenced
-  const componentsToCheck = [
-    { field: 'agents', dir: 'agents', ext: '.md' },
-    { field: 'skills', dir: 'skills', ext: 'SKILL.md' },
-    { field: 'commands', dir: 'commands', ext: '.md' },
-  ];
-
-  for (const { dir } of componentsToCheck) {
-    const componentDir = path.join(pluginPath, dir);
-    if (fs.existsSync(componentDir)) {
-      const files = fs.readdirSync(componentDir);
-      if (files.length === 0) {
-        warnings.push(`Empty ${dir}/ directory`);
-      }
-    }
+  const reporter = lint.REPORTERS[options.format];
+  if (!reporter) {
+    console.error(`Error: Unknown format '${options.format}' (expected one of: ${Object.keys(lint.REPORTERS).join(', ')})`);
+    process.exit(1);
   }
 
-  // Validate hooks if present
-  const hooksPath = path.join(pluginPath, 'hooks', 'hooks.json');
-  if (fs.existsSync(hooksPath)) {
-    try {
-      const hooksContent = fs.readFileSync(hooksPath, 'utf-8');
-      JSON.parse(hooksContent);
-    } catch (e) {
-      errors.push(`Invalid JSON in hooks/hooks.json: ${e.message}`);
-    }
+  let config;
+  let registry;
+  try {
+    config = options.config
+      ? lint.loadConfig(path.resolve(options.config))
+      : lint.loadConfig(path.join(ROOT_DIR, lint.CONFIG_FILE), { optional: true });
+    registry = lint.createRegistry(config);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
   }
 
-  // Validate agents frontmatter
-  const agentsDir = path.join(pluginPath, 'agents');
-  if (fs.existsSync(agentsDir)) {
-    const agentFiles = fs.readdirSync(agentsDir).filter(f => f.endsWith('.md'));
-    for (const agentFile of agentFiles) {
-      const agentPath = path.join(agentsDir, agentFile);
-      const agentContent = fs.readFileSync(agentPath, 'utf-8');
-
-      // Check for frontmatter
-      if (!agentContent.startsWith('---')) {
-        errors.push(`Agent ${agentFile} missing YAML frontmatter`);
-        continue;
-      }
-
-      // Check for required frontmatter fields
-      const frontmatterMatch = agentContent.match(/^---\n([\s\S]*?)\n---/);
-      if (frontmatterMatch) {
-        const frontmatter = frontmatterMatch[1];
-        if (!frontmatter.includes('name:')) {
-          errors.push(`Agent ${agentFile} missing 'name' in frontmatter`);
-        }
-        if (!frontmatter.includes('description:')) {
-          errors.push(`Agent ${agentFile} missing 'description' in frontmatter`);
-        }
-      }
+  if (options.listRules) {
+    for (const rule of registry.list()) {
+      const setting = config.rules[rule.id];
+      console.log(`${rule.id.padEnd(34)} ${((setting && setting.severity) || rule.severity).padEnd(8)} ${rule.description}`);
     }
+    return;
   }
 
-  // Validate skills SKILL.md files
-  const skillsDir = path.join(pluginPath, 'skills');
-  if (fs.existsSync(skillsDir)) {
-    const skillDirs = fs.readdirSync(skillsDir).filter(f =>
-      fs.statSync(path.join(skillsDir, f)).isDirectory()
-    );
-    for (const skillDir of skillDirs) {
-      const skillMdPath = path.join(skillsDir, skillDir, 'SKILL.md');
-      if (!fs.existsSync(skillMdPath)) {
-        errors.push(`Skill ${skillDir}/ missing SKILL.md`);
-        continue;
-      }
-
-      const skillContent = fs.readFileSync(skillMdPath, 'utf-8');
-      if (!skillContent.startsWith('---')) {
-        warnings.push(`Skill ${skillDir}/SKILL.md missing frontmatter`);
-      }
-    }
+  if (!fs.existsSync(PLUGINS_DIR)) {
+    console.error('Error: plugins/ directory not found');
+    process.exit(1);
   }
 
-  return { pluginName, errors, warnings };
-}
+  const marketplacePlugins = fs.readdirSync(PLUGINS_DIR)
+    .filter(f => fs.statSync(path.join(PLUGINS_DIR, f)).isDirectory())
+    .map(p => path.join(PLUGINS_DIR, p));
 
-/**
- * Main execution
- */
-function main() {
-  const args = process.argv.slice(2);
-  let pluginsToValidate = [];
+  let triggers = new Map();
 
-  if (args.length > 0) {
+  if (options.since) {
+    if (options.plugins.length > 0) {
+      console.error('Error: --since cannot be combined with plugin paths');
+      process.exit(1);
+    }
+
+    try {
+      const selected = selectChangedPlugins(options.since, marketplacePlugins, config.customRules);
+      pluginsToValidate = selected.map(s => s.path);
+      triggers = new Map(selected.map(s => [s.path, s.triggers]));
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+  } else if (options.plugins.length > 0) {
     // Validate specific plugin(s)
-    for (const arg of args) {
+    for (const arg of options.plugins) {
       const pluginPath = path.resolve(arg);
       if (fs.existsSync(pluginPath) && fs.statSync(pluginPath).isDirectory()) {
         pluginsToValidate.push(pluginPath);
@@ -190,59 +189,38 @@ function main() {
     }
   } else {
     // Validate all plugins
-    if (!fs.existsSync(PLUGINS_DIR)) {
-      console.error('Error: plugins/ directory not found');
-      process.exit(1);
-    }
-
-    const plugins = fs.readdirSync(PLUGINS_DIR).filter(f =>
-      fs.statSync(path.join(PLUGINS_DIR, f)).isDirectory()
-    );
-
-    pluginsToValidate = plugins.map(p => path.join(PLUGINS_DIR, p));
+    pluginsToValidate = marketplacePlugins;
   }
 
-  console.log(`Validating ${pluginsToValidate.length} plugin(s)...\n`);
-  console.log('='.repeat(50));
+  // References resolve against the whole marketplace, including plugins given outside plugins/
+  let results;
+  try {
+    results = lint.lintPlugins(pluginsToValidate, {
+      config,
+      registry,
+      rootDir: ROOT_DIR,
+      marketplacePaths: marketplacePlugins
+    });
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
 
-  for (const pluginPath of pluginsToValidate) {
-    const result = validatePlugin(pluginPath);
+  for (const result of results) {
+    if (triggers.has(result.path)) result.triggers = triggers.get(result.path);
+  }
 
-    if (result.errors.length > 0) {
-      results.failed.push(result);
-      console.log(`  ❌ FAILED`);
-      for (const error of result.errors) {
-        console.log(`     Error: ${error}`);
-      }
-    } else {
-      results.passed.push(result);
-      console.log(`  ✅ PASSED`);
-    }
+  const output = reporter(results, { rootDir: ROOT_DIR, rules: registry.list() });
 
-    if (result.warnings.length > 0) {
-      results.warnings.push(...result.warnings.map(w => `${result.pluginName}: ${w}`));
-      for (const warning of result.warnings) {
-        console.log(`     Warning: ${warning}`);
-      }
-    }
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+  } else {
+    process.stdout.write(output);
   }
 
-  // Summary
-  console.log('\n' + '='.repeat(50));
-  console.log('\nValidation Summary:');
-  console.log(`  ✅ Passed: ${results.passed.length}`);
-  console.log(`  ❌ Failed: ${results.failed.length}`);
-  console.log(`  ⚠️  Warnings: ${results.warnings.length}`);
-
-  if (results.failed.length > 0) {
-    console.log('\nFailed plugins:');
-    for (const failure of results.failed) {
-      console.log(`  - ${failure.pluginName}`);
-    }
+  if (lint.summarize(results).failed > 0) {
     process.exit(1);
   }
-
-  console.log('\n✅ All plugins validated successfully!');
 }
 
 main();
@@ -0,0 +1,79 @@
+/**
+ * Round-trip tests for scripts/lib/archive.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, writeFiles } = require('./helpers');
+const { tarDirectory, packDirectory, readArchive, readTar } = require('../scripts/lib/archive');
+
+// 120 bytes under the root: too long for the 100-byte ustar name field alone
+const LONG_DIR = path.join('skills', 'a'.repeat(60), 'references');
+const LONG_FILE = path.join(LONG_DIR, `${'b'.repeat(40)}.md`);
+
+function workspace(t) {
+  const dir = tempDir(t, 'archive-test-');
+  writeFiles(dir, {
+    'README.md': '# Plugin\n',
+    [LONG_FILE]: 'Long path\n',
+    'hooks/scripts/check.cjs': '#!/usr/bin/env node\n'
+  });
+  fs.chmodSync(path.join(dir, 'hooks', 'scripts', 'check.cjs'), 0o755);
+  fs.symlinkSync(path.join('..', 'README.md'), path.join(dir, 'hooks', 'README.md'));
+  return dir;
+}
+
+test('reads back every file with its content and mode, in sorted order', (t) => {
+  const dir = workspace(t);
+  const entries = readArchive(packDirectory(dir, 'aai-demo'));
+
+  assert.deepStrictEqual(entries.map(entry => entry.path), [
+    'aai-demo/README.md',
+    'aai-demo/hooks/README.md',
+    'aai-demo/hooks/scripts/check.cjs',
+    `aai-demo/${LONG_FILE}`
+  ]);
+  const byPath = Object.fromEntries(entries.map(entry => [entry.path, entry]));
+  assert.strictEqual(byPath['aai-demo/README.md'].content.toString(), '# Plugin\n');
+  assert.strictEqual(byPath['aai-demo/README.md'].mode, 0o644);
+  assert.strictEqual(byPath['aai-demo/hooks/scripts/check.cjs'].mode, 0o755);
+});
+
+test('splits paths longer than 100 bytes into the ustar prefix', (t) => {
+  const dir = workspace(t);
+  const tar = tarDirectory(dir, 'aai-demo');
+  const entry = readTar(tar).find(e => e.path.endsWith('.md') && e.path.includes('references'));
+
+  assert.strictEqual(entry.path, `aai-demo/${LONG_FILE}`);
+  assert.ok(entry.path.length > 100);
+  assert.strictEqual(entry.content.toString(), 'Long path\n');
+
+  const header = tar.indexOf(`references/${'b'.repeat(40)}.md\0`);
+  assert.strictEqual(header % 512, 0);
+  assert.strictEqual(tar.toString('utf-8', header + 345, header + 345 + 26), `aai-demo/skills/${'a'.repeat(10)}`);
+});
+
+test('keeps symlinks as links to their target', (t) => {
+  const dir = workspace(t);
+  const link = readArchive(packDirectory(dir, 'aai-demo')).find(entry => entry.path === 'aai-demo/hooks/README.md');
+
+  assert.strictEqual(link.type, '2');
+  assert.strictEqual(link.content, path.join('..', 'README.md'));
+});
+
+test('produces the same tar for the same tree', (t) => {
+  const dir = workspace(t);
+  const first = tarDirectory(dir, 'aai-demo');
+  fs.utimesSync(path.join(dir, 'README.md'), new Date(0), new Date(0));
+
+  assert.ok(first.equals(tarDirectory(dir, 'aai-demo')));
+});
+
+test('refuses paths that do not fit a ustar header', (t) => {
+  const dir = workspace(t);
+  fs.writeFileSync(path.join(dir, `${'c'.repeat(120)}.md`), '');
+
+  assert.throws(() => tarDirectory(dir, 'aai-demo'), /Path too long for a tar archive/);
+});
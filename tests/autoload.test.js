@@ -0,0 +1,100 @@
+/**
+ * Tests for the autoLoad condition grammar and evaluator in scripts/lib/autoload.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { tempDir, writeFiles } = require('./helpers');
+const { detectProject, globToRegExp, validateCondition, evaluateCondition, evaluateAutoLoad } = require('../scripts/lib/autoload');
+
+/**
+ * Next.js project with React installed at 18.2.0, Jest as a dev dependency and
+ * a tsconfig.json (with comments) that sets compilerOptions.jsx
+ */
+function fixtureProject(t) {
+  const root = tempDir(t, 'autoload-test-');
+  writeFiles(root, {
+    'package.json': {
+      dependencies: { next: '^13.4.0', react: '^18.0.0', '@auth0/nextjs-auth0': '^3.0.0' },
+      devDependencies: { jest: '^29.0.0' }
+    },
+    'node_modules/react/package.json': { name: 'react', version: '18.2.0' },
+    'tsconfig.json': '{\n  // Compiler settings\n  "compilerOptions": { "jsx": "preserve", },\n}\n',
+    'vite.config.ts': 'export default { server: { port: 3000 } };\n',
+    'src/app/page.tsx': 'export default function Page() {}\n',
+    'node_modules/tailwindcss/tailwind.config.js': 'module.exports = {};\n'
+  });
+  return detectProject(root);
+}
+
+function matches(project, when) {
+  return evaluateCondition(when, project).matched;
+}
+
+test('matches globs at any depth unless they contain a slash', () => {
+  assert.ok(globToRegExp('*.tsx').test('src/app/page.tsx'));
+  assert.ok(globToRegExp('src/**/*.tsx').test('src/app/page.tsx'));
+  assert.ok(globToRegExp('src/**/*.tsx').test('src/page.tsx'));
+  assert.ok(!globToRegExp('src/*.tsx').test('src/app/page.tsx'));
+  assert.ok(!globToRegExp('tailwind.config.?s').test('tailwind.config.mjs'));
+});
+
+test('matches dependencies by name, wildcard, section and version range', (t) => {
+  const project = fixtureProject(t);
+
+  assert.ok(matches(project, { dependency: 'next' }));
+  assert.ok(matches(project, { dependency: '@auth0/*' }));
+  assert.ok(matches(project, { dependency: 'jest', dev: true }));
+  assert.ok(!matches(project, { dependency: 'jest', dev: false }));
+  assert.ok(!matches(project, { dependency: 'vue' }));
+
+  // react's installed version, next's lowest allowed one
+  assert.deepStrictEqual(evaluateCondition({ dependency: 'react', version: '>=18.1' }, project).reasons, [
+    '`react` 18.2.0 in dependencies satisfies >=18.1'
+  ]);
+  assert.ok(!matches(project, { dependency: 'next', version: '>=14' }));
+});
+
+test('finds files and config keys, skipping node_modules', (t) => {
+  const project = fixtureProject(t);
+
+  assert.ok(matches(project, { file: 'page.tsx' }));
+  assert.ok(!matches(project, { file: 'tailwind.config.*' }));
+  assert.ok(matches(project, { config: 'tsconfig.json', key: 'compilerOptions.jsx' }));
+  assert.ok(!matches(project, { config: 'tsconfig.json', key: 'compilerOptions.strict' }));
+  assert.ok(matches(project, { config: 'vite.config.*', key: 'server.port' }));
+});
+
+test('combines conditions with any and all, collecting every reason', (t) => {
+  const project = fixtureProject(t);
+
+  assert.deepStrictEqual(evaluateCondition({ all: [{ dependency: 'next' }, { file: 'tsconfig.json' }] }, project), {
+    matched: true,
+    reasons: ['`next` ^13.4.0 in dependencies', 'tsconfig.json exists']
+  });
+  assert.ok(!matches(project, { all: [{ dependency: 'next' }, { dependency: 'vue' }] }));
+  assert.ok(matches(project, { any: [{ dependency: 'vue' }, { always: true }] }));
+});
+
+test('evaluates the shorthand as any of its entries', (t) => {
+  const project = fixtureProject(t);
+
+  assert.deepStrictEqual(evaluateAutoLoad({ when: { dependencies: ['vue'], files: ['tsconfig.json'] } }, project), {
+    applies: true,
+    reasons: ['tsconfig.json exists']
+  });
+  assert.deepStrictEqual(evaluateAutoLoad(null, project), { applies: false, reasons: [] });
+});
+
+test('reports each grammar problem at its path', () => {
+  assert.deepStrictEqual(validateCondition({ always: true }), []);
+  assert.deepStrictEqual(validateCondition({ any: [{ dependency: 'react', version: 'soon' }, { file: 'a', config: 'b' }, { all: [] }] }), [
+    { path: 'autoLoad.when.any[0].version', message: "invalid version range 'soon'" },
+    { path: 'autoLoad.when.any[1]', message: 'condition mixes file and config; wrap them in "all" or "any"' },
+    { path: 'autoLoad.when.any[2].all', message: 'all must be a non-empty array of conditions' }
+  ]);
+  assert.deepStrictEqual(validateCondition({ files: 'tsconfig.json', dependency: 'react' }), [
+    { path: 'autoLoad.when.files', message: 'files must be an array of strings' },
+    { path: 'autoLoad.when.dependency', message: "unknown field 'dependency' (allowed: dependencies, devDependencies, files, always)" }
+  ]);
+});
@@ -0,0 +1,44 @@
+/**
+ * Tests for scripts/build-manifest.js, run against a fixture repository
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, writeFiles, runScript } = require('./helpers');
+
+function fixtureRepo(t) {
+  const root = tempDir(t, 'build-manifest-test-');
+  writeFiles(root, {
+    '.claude-plugin/categories.json': { categories: { workflow: { description: 'Workflow' } } },
+    'plugins/alpha/.claude-plugin/plugin.json': { name: 'alpha', version: '1.0.0', description: 'Alpha', category: 'workflow' }
+  });
+  return root;
+}
+
+test('lists every plugin with its category', (t) => {
+  const root = fixtureRepo(t);
+  const result = runScript(root, 'build-manifest.js');
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  const manifest = JSON.parse(fs.readFileSync(path.join(root, 'plugin-manifest.json'), 'utf-8'));
+  assert.deepStrictEqual(manifest.plugins.map(p => `${p.name} ${p.category}`), ['alpha workflow']);
+});
+
+test('fails instead of leaving out a plugin it cannot list', (t) => {
+  const root = fixtureRepo(t);
+  writeFiles(root, {
+    'plugins/beta/.claude-plugin/plugin.json': { name: 'beta', version: '1.0.0', description: 'Beta', category: 'tools' },
+    'plugins/gamma/.claude-plugin/plugin.json': '{ "name": ',
+    'plugins/delta/README.md': '# Delta\n'
+  });
+  const result = runScript(root, 'build-manifest.js');
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /3 plugin\(s\) cannot be added to plugin-manifest\.json/);
+  assert.match(result.stderr, /- beta: Unknown category 'tools'/);
+  assert.match(result.stderr, /- delta: missing \.claude-plugin\/plugin\.json/);
+  assert.match(result.stderr, /- gamma: cannot read plugin\.json: /);
+  assert.ok(!fs.existsSync(path.join(root, 'plugin-manifest.json')));
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for scripts/check-versions.js, run in a fixture git repository
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, writeFiles, copyScripts, runScript, git } = require('./helpers');
+
+const MANIFEST = 'plugins/alpha/.claude-plugin/plugin.json';
+
+function manifest(version) {
+  return { name: 'alpha', version, description: 'The alpha plugin' };
+}
+
+/**
+ * Repository with plugin alpha 1.0.0 (one skill) committed on main
+ */
+function fixtureRepo(t, files = {}) {
+  const root = tempDir(t, 'check-versions-test-');
+  git(root, 'init', '-q');
+  git(root, 'checkout', '-q', '-b', 'main');
+  copyScripts(root);
+  writeFiles(root, {
+    [MANIFEST]: manifest('1.0.0'),
+    'plugins/alpha/skills/testing/SKILL.md': '---\nname: testing\ndescription: Tests\n---\n',
+    ...files
+  });
+  git(root, 'add', '-A');
+  git(root, 'commit', '-q', '-m', 'Add alpha');
+  return root;
+}
+
+function checkVersions(root, ...args) {
+  return runScript(root, 'check-versions.js', ['--base', 'main', ...args]);
+}
+
+test('fails when a plugin changed without a version bump', (t) => {
+  const root = fixtureRepo(t);
+  writeFiles(root, { 'plugins/alpha/README.md': '# Alpha\n' });
+  const result = checkVersions(root);
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stdout, /1 file\(s\) changed but version is 1\.0\.0 \(1\.0\.0 at main\); suggested: patch → 1\.0\.1/);
+});
+
+test('ignores changes to the changelog alone', (t) => {
+  const root = fixtureRepo(t);
+  writeFiles(root, { 'plugins/alpha/CHANGELOG.md': '# Changelog\n' });
+  const result = checkVersions(root);
+
+  assert.strictEqual(result.status, 0, result.stdout);
+  assert.match(result.stdout, /Checking versions of 0 changed plugin\(s\)/);
+});
+
+test('suggests a bigger bump when components are added or removed', (t) => {
+  const root = fixtureRepo(t);
+  writeFiles(root, { [MANIFEST]: manifest('1.0.1'), 'plugins/alpha/commands/deploy.md': '---\ndescription: Deploy\n---\n' });
+  const minor = checkVersions(root);
+
+  assert.strictEqual(minor.status, 0, minor.stdout);
+  assert.match(minor.stdout, /Version bumped patch \(1\.0\.0 → 1\.0\.1\) but changes suggest minor → 1\.1\.0/);
+  assert.match(minor.stdout, /Added command deploy/);
+
+  fs.rmSync(path.join(root, 'plugins', 'alpha', 'skills'), { recursive: true });
+  assert.match(checkVersions(root).stdout, /but changes suggest major → 2\.0\.0/);
+});
+
+test('reports an unreadable plugin.json instead of crashing', (t) => {
+  const root = fixtureRepo(t);
+  writeFiles(root, { [MANIFEST]: '{ "name": "alpha", ' });
+  const current = checkVersions(root);
+
+  assert.strictEqual(current.status, 1);
+  assert.match(current.stdout, /Error: Invalid plugin\.json: /);
+
+  git(root, 'commit', '-q', '-am', 'Break plugin.json');
+  git(root, 'checkout', '-q', '-b', 'feature');
+  writeFiles(root, { [MANIFEST]: manifest('1.0.1') });
+  const base = checkVersions(root);
+
+  assert.strictEqual(base.status, 1);
+  assert.match(base.stdout, /Error: Invalid plugin\.json at main: /);
+  assert.doesNotMatch(base.stderr, /SyntaxError/);
+});
+
+test('writes a changelog section for the new version', (t) => {
+  const root = fixtureRepo(t);
+  git(root, 'checkout', '-q', '-b', 'feature');
+  writeFiles(root, { [MANIFEST]: manifest('1.1.0'), 'plugins/alpha/commands/deploy.md': '---\ndescription: Deploy\n---\n' });
+  git(root, 'add', '-A');
+  git(root, 'commit', '-q', '-m', 'Add a deploy command');
+  const result = checkVersions(root, '--changelog');
+
+  assert.strictEqual(result.status, 0, result.stdout);
+  const changelog = fs.readFileSync(path.join(root, 'plugins', 'alpha', 'CHANGELOG.md'), 'utf-8');
+  assert.match(changelog, /^# Changelog\n\nAll notable changes to alpha are documented in this file\.\n\n## \[1\.1\.0\] - \d{4}-\d{2}-\d{2}\n/);
+  assert.match(changelog, /### Added\n\n- command deploy\n/);
+  assert.match(changelog, /### Changes\n\n- Add a deploy command \([0-9a-f]+\)\n/);
+});
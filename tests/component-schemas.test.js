@@ -0,0 +1,98 @@
+/**
+ * Tests for scripts/lib/component-schemas.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateFrontmatter, parseToolList } = require('../scripts/lib/component-schemas');
+
+// Findings without anything but their line and message
+function lines(findings) {
+  return findings.map(({ line, message }) => ({ line, message }));
+}
+
+test('accepts a complete agent', () => {
+  const result = validateFrontmatter('agent', {
+    name: 'reviewer',
+    description: 'Reviews code',
+    model: 'claude-sonnet-4-5',
+    tools: 'Read, Grep, Bash(git:*), mcp__github__create_issue',
+    skills: ['code-review', 'testing?']
+  });
+
+  assert.deepStrictEqual(result, { errors: [], warnings: [] });
+});
+
+test('suggests the field a misspelled one was meant to be', () => {
+  const { errors } = validateFrontmatter('agent', { name: 'reviewer', description: 'Reviews code', modle: 'opus' }, { modle: 4 });
+
+  assert.deepStrictEqual(lines(errors), [{ line: 4, message: "Unknown agent field 'modle' (did you mean 'model'?)" }]);
+});
+
+test('warns about unknown fields with no close match', () => {
+  const result = validateFrontmatter('command', { description: 'Deploy', owner: 'platform' }, { owner: 3 });
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(lines(result.warnings), [{ line: 3, message: "Unknown command field 'owner'" }]);
+});
+
+test('reports missing required and recommended fields', () => {
+  assert.deepStrictEqual(lines(validateFrontmatter('agent', { name: 'reviewer' }).errors), [
+    { line: 1, message: "Missing required field 'description'" }
+  ]);
+  assert.deepStrictEqual(lines(validateFrontmatter('skill', { name: 'testing' }).warnings), [
+    { line: 1, message: "Missing recommended field 'description'" }
+  ]);
+});
+
+test('rejects unknown models with a suggestion', () => {
+  const { errors } = validateFrontmatter('agent', { name: 'reviewer', description: 'Reviews code', model: 'sonet' }, { model: 4 });
+
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].line, 4);
+  assert.match(errors[0].message, /^Field 'model': unknown model 'sonet' \(did you mean 'sonnet'\?\)/);
+});
+
+test('rejects unknown tools, malformed entries and empty permission rules', () => {
+  const { errors } = validateFrontmatter('agent', {
+    name: 'reviewer',
+    description: 'Reviews code',
+    tools: ['Read', 'Grpe', 'Bash()', 'read file']
+  });
+
+  assert.deepStrictEqual(errors.map(e => e.message), [
+    "Field 'tools': unknown tool 'Grpe' (did you mean 'Grep'?)",
+    "Field 'tools': empty permission rule in 'Bash()'",
+    "Field 'tools': invalid tool entry 'read file'"
+  ]);
+});
+
+test('checks value types and enums', () => {
+  const { errors } = validateFrontmatter('skill', {
+    description: 'Testing',
+    'user-invocable': 'yes',
+    context: 'thread',
+    priority: 'urgent'
+  });
+
+  assert.deepStrictEqual(errors.map(e => e.message), [
+    "Field 'user-invocable' must be true or false, got string 'yes'",
+    "Field 'context' must be one of: fork (got 'thread')",
+    "Field 'priority' must be one of: high, medium, low (got 'urgent')"
+  ]);
+});
+
+test('still checks the deprecated auto_load field and warns about it', () => {
+  const ok = validateFrontmatter('skill', { description: 'Detects the stack', auto_load: 'all' }, { auto_load: 3 });
+
+  assert.deepStrictEqual(ok.errors, []);
+  assert.deepStrictEqual(ok.warnings.map(w => `${w.rule} ${w.line}`), ['frontmatter/deprecated-field 3']);
+  assert.match(ok.warnings[0].message, /^Field 'auto_load' is deprecated: .*autoLoad\.when in plugin\.json/);
+
+  const wrongType = validateFrontmatter('skill', { description: 'Detects the stack', auto_load: ['all'] }, { auto_load: 3 });
+  assert.deepStrictEqual(lines(wrongType.errors), [{ line: 3, message: "Field 'auto_load' must be a string or true or false, got a list" }]);
+});
+
+test('splits tool lists on commas outside permission rules', () => {
+  assert.deepStrictEqual(parseToolList('Read, Bash(git add, git commit), Grep'), ['Read', 'Bash(git add, git commit)', 'Grep']);
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for scripts/lib/context-cost.js and the context/budget lint rule
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { tempDir, writeFiles } = require('./helpers');
+const { estimateTokens, analyzePlugin, findOverBudget } = require('../scripts/lib/context-cost');
+const { lintPlugins, normalizeConfig } = require('../scripts/lib/lint');
+
+const AGENT = '---\nname: reviewer\ndescription: Reviews pull requests\n---\n\n# Reviewer\n';
+const SKILL = '---\nname: testing\ndescription: Writes unit and integration tests\n---\n\nRun 12345 tests!!\n';
+
+function fixturePlugin(t) {
+  const root = tempDir(t, 'context-cost-test-');
+  writeFiles(root, {
+    'plugins/demo/.claude-plugin/plugin.json': { name: 'demo', version: '1.0.0', description: 'Demo plugin' },
+    'plugins/demo/agents/reviewer.md': AGENT,
+    'plugins/demo/skills/testing/SKILL.md': SKILL,
+    'plugins/demo/skills/empty/README.md': '# No SKILL.md\n'
+  });
+  return { root, pluginPath: path.join(root, 'plugins', 'demo') };
+}
+
+test('estimates tokens per word length, digit group, punctuation run and line break', () => {
+  assert.strictEqual(estimateTokens(''), 0);
+  assert.strictEqual(estimateTokens('Review the code'), 3);
+  assert.strictEqual(estimateTokens('authentication'), 2);
+  assert.strictEqual(estimateTokens('1234567'), 3);
+  assert.strictEqual(estimateTokens('!!!!!'), 2);
+  assert.strictEqual(estimateTokens('a\n\n\nb'), 3);
+});
+
+test('adds up files and descriptions per component type', (t) => {
+  const { pluginPath } = fixturePlugin(t);
+  const { components, cost } = analyzePlugin(pluginPath);
+
+  assert.deepStrictEqual(components.map(c => [c.type, c.name, c.tokens, c.descriptionTokens]), [
+    ['agent', 'reviewer', estimateTokens(AGENT), estimateTokens('Reviews pull requests')],
+    ['skill', 'testing', estimateTokens(SKILL), estimateTokens('Writes unit and integration tests')]
+  ]);
+  assert.deepStrictEqual(cost, {
+    descriptions: estimateTokens('Reviews pull requests') + estimateTokens('Writes unit and integration tests'),
+    agents: estimateTokens(AGENT),
+    skills: estimateTokens(SKILL),
+    commands: 0,
+    total: estimateTokens(AGENT) + estimateTokens(SKILL)
+  });
+});
+
+test('finds files and descriptions over their budgets', (t) => {
+  const { components } = analyzePlugin(fixturePlugin(t).pluginPath);
+
+  assert.deepStrictEqual(findOverBudget(components), []);
+  const over = findOverBudget(components, { skill: 5, description: 2 });
+  assert.deepStrictEqual(over.map(o => `${o.component.name} ${o.kind} ${o.budget}`), [
+    'reviewer description 2',
+    'testing file 5',
+    'testing description 2'
+  ]);
+});
+
+test('warns at the description line with budgets from .plugin-lint.json', (t) => {
+  const { root, pluginPath } = fixturePlugin(t);
+  const config = normalizeConfig({ rules: { 'context/budget': ['warning', { description: 2 }] } }, null);
+  const [result] = lintPlugins([pluginPath], { config, rootDir: root });
+  const budget = result.findings.filter(f => f.ruleId === 'context/budget');
+
+  assert.deepStrictEqual(budget.map(f => `${f.severity} ${f.file}:${f.line}`), [
+    'warning plugins/demo/agents/reviewer.md:3',
+    'warning plugins/demo/skills/testing/SKILL.md:3'
+  ]);
+  assert.match(budget[0].message, /^agent 'reviewer' description is ~3 tokens, over the 2 token budget$/);
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for scripts/lib/dependency-graph.js, against a fixture marketplace
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { tempDir, writeFiles } = require('./helpers');
+const { buildMarketplaceIndex } = require('../scripts/lib/references');
+const { buildDependencyGraph, resolveInstallPlan, subgraph, connectedOnly, toMermaid } = require('../scripts/lib/dependency-graph');
+
+const PLUGINS = {
+  app: { requires: { plugins: ['ui', 'api'] }, recommends: { plugins: ['docs'] } },
+  ui: { requires: { plugins: ['base'] } },
+  api: { requires: { plugins: ['base', 'ghost'] }, conflicts: { plugins: ['legacy'] } },
+  base: {},
+  docs: {},
+  legacy: { requires: { plugins: ['api', 'vintage'] } },
+  vintage: {},
+  loop: { requires: { plugins: ['loop-back'] } },
+  'loop-back': { requires: { plugins: ['loop'] } },
+  alone: {}
+};
+
+function fixtureIndex(t) {
+  const dir = tempDir(t, 'dependency-graph-test-');
+  const names = Object.keys(PLUGINS);
+  writeFiles(dir, Object.fromEntries(names.map(name =>
+    [`${name}/.claude-plugin/plugin.json`, { name, version: '1.0.0', ...PLUGINS[name] }]
+  )));
+  return buildMarketplaceIndex(names.map(name => path.join(dir, name)));
+}
+
+test('orders requirements first, in declared order, and ends with the plugin', (t) => {
+  const plan = resolveInstallPlan(fixtureIndex(t), 'app');
+
+  assert.deepStrictEqual(plan.order, ['base', 'ui', 'api', 'app']);
+  assert.deepStrictEqual(plan.recommended, ['docs']);
+  assert.deepStrictEqual(plan.missing, [{ plugin: 'ghost', requiredBy: 'api' }]);
+  assert.deepStrictEqual(plan.conflicts, []);
+  assert.deepStrictEqual(plan.cycles, []);
+});
+
+test('reports conflicts inside the closure', (t) => {
+  const plan = resolveInstallPlan(fixtureIndex(t), 'legacy');
+
+  assert.deepStrictEqual(plan.order, ['base', 'api', 'vintage', 'legacy']);
+  assert.deepStrictEqual(plan.conflicts, [{ plugin: 'api', conflictsWith: 'legacy' }]);
+});
+
+test('stops at cycles and reports them', (t) => {
+  const plan = resolveInstallPlan(fixtureIndex(t), 'loop');
+
+  assert.deepStrictEqual(plan.order, ['loop-back', 'loop']);
+  assert.deepStrictEqual(plan.cycles, [['loop', 'loop-back', 'loop']]);
+});
+
+test('follows requires and recommends but not conflicts in a subgraph', (t) => {
+  const graph = buildDependencyGraph(fixtureIndex(t));
+  const fromApi = subgraph(graph, ['api']);
+
+  assert.deepStrictEqual(fromApi.nodes, ['api', 'base', 'legacy', 'ghost']);
+  assert.ok(fromApi.edges.some(e => e.from === 'api' && e.to === 'legacy' && e.kind === 'conflicts'));
+  // legacy is shown as a conflict, but what it requires is not
+  assert.ok(!fromApi.nodes.includes('vintage'));
+  assert.ok(!connectedOnly(graph).nodes.includes('alone'));
+});
+
+test('draws each edge kind with its own Mermaid arrow', (t) => {
+  const mermaid = toMermaid(subgraph(buildDependencyGraph(fixtureIndex(t)), ['app']));
+
+  assert.match(mermaid, /^flowchart LR\n/);
+  assert.match(mermaid, / {2}app --> ui\n/);
+  assert.match(mermaid, / {2}app -\.->\|recommends\| docs\n/);
+  assert.match(mermaid, / {2}api x--x\|conflicts\| legacy\n/);
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for scripts/lib/frontmatter.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseFrontmatter } = require('../scripts/lib/frontmatter');
+
+test('reads quoted scalars, flow lists and block lists with the line of each field', () => {
+  const result = parseFrontmatter([
+    '---',
+    'name: reviewer',
+    'description: "Reviews code: style and bugs"',
+    "model: 'sonnet'",
+    "tools: [Read, 'Grep', \"Bash(git:*)\"]",
+    'skills:',
+    '  - code-review',
+    '  - "testing"',
+    '---',
+    '# Reviewer',
+    ''
+  ].join('\n'));
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.data, {
+    name: 'reviewer',
+    description: 'Reviews code: style and bugs',
+    model: 'sonnet',
+    tools: ['Read', 'Grep', 'Bash(git:*)'],
+    skills: ['code-review', 'testing']
+  });
+  assert.deepStrictEqual(result.keyLines, { name: 2, description: 3, model: 4, tools: 5, skills: 6 });
+  assert.strictEqual(result.body, '# Reviewer\n');
+  assert.strictEqual(result.bodyLine, 10);
+});
+
+test('reports a malformed line with its line number in the file', () => {
+  const result = parseFrontmatter('---\nname: reviewer\njust some text\ndescription: Reviews code\n---\n');
+
+  assert.deepStrictEqual(result.errors, [{ line: 3, message: 'Expected "key: value", found "just some text"' }]);
+  assert.deepStrictEqual(result.data, { name: 'reviewer', description: 'Reviews code' });
+});
+
+test('asks for quotes around a plain value containing ": "', () => {
+  const result = parseFrontmatter('---\nname: reviewer\ndescription: Use when: reviewing\n---\n');
+
+  assert.deepStrictEqual(result.errors, [{ line: 3, message: 'Value contains ": " - quote the value to keep it a single string' }]);
+});
+
+test('reports duplicate fields, tabs and unterminated quotes', () => {
+  const { errors } = parseFrontmatter('---\nname: a\nname: b\nskills:\n\t- one\ndescription: "open\n---\n');
+
+  assert.deepStrictEqual(errors, [
+    { line: 5, message: 'Tabs are not allowed for indentation' },
+    { line: 3, message: 'Duplicate field "name"' },
+    { line: 5, message: 'Expected "key: value", found "\t- one"' },
+    { line: 6, message: 'Unterminated double-quoted string' }
+  ]);
+});
+
+test('reports frontmatter without a closing ---', () => {
+  const result = parseFrontmatter('---\nname: reviewer\ndescription: Reviews code\n\n# Reviewer\n');
+
+  assert.strictEqual(result.hasFrontmatter, true);
+  assert.deepStrictEqual(result.errors, [{ line: 1, message: 'Unterminated frontmatter (missing closing ---)' }]);
+  assert.deepStrictEqual(result.data, {});
+});
+
+test('keeps a bracketed argument hint that is not one flow list as a string', () => {
+  const result = parseFrontmatter('---\nargument-hint: [file] [format]\n---\n');
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.data['argument-hint'], '[file] [format]');
+});
+
+test('treats a file without a leading --- as having no frontmatter', () => {
+  const result = parseFrontmatter('# Title\n---\nname: x\n---\n');
+
+  assert.strictEqual(result.hasFrontmatter, false);
+  assert.strictEqual(result.bodyLine, 1);
+});
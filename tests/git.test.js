@@ -0,0 +1,78 @@
+/**
+ * Tests for changedFilesSince() in scripts/lib/git.js and the plugins
+ * validate-plugins.js --since picks from it, in a fixture git repository
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, writeFiles, copyScripts, runScript, git } = require('./helpers');
+const { changedFilesSince } = require('../scripts/lib/git');
+
+function plugin(name, extra = {}) {
+  return { name, version: '1.0.0', description: `The ${name} plugin`, ...extra };
+}
+
+/**
+ * Repository with plugins alpha, beta (requires alpha) and gamma on main, and
+ * a feature branch forked from it; main then moves on with a change to gamma
+ */
+function fixtureRepo(t) {
+  const root = tempDir(t, 'git-test-');
+  git(root, 'init', '-q');
+  git(root, 'checkout', '-q', '-b', 'main');
+  copyScripts(root);
+  writeFiles(root, {
+    'plugins/alpha/.claude-plugin/plugin.json': plugin('alpha'),
+    'plugins/beta/.claude-plugin/plugin.json': plugin('beta', { requires: { plugins: ['alpha'] } }),
+    'plugins/gamma/.claude-plugin/plugin.json': plugin('gamma')
+  });
+  git(root, 'add', '-A');
+  git(root, 'commit', '-q', '-m', 'Add plugins');
+  git(root, 'branch', 'feature');
+
+  writeFiles(root, { 'plugins/gamma/README.md': '# Gamma\n' });
+  git(root, 'add', '-A');
+  git(root, 'commit', '-q', '-m', 'Document gamma');
+  git(root, 'checkout', '-q', 'feature');
+  return root;
+}
+
+test('lists changes since the branch forked, not commits the ref gained since', (t) => {
+  const root = fixtureRepo(t);
+  writeFiles(root, { 'plugins/alpha/README.md': '# Alpha\n' });
+  git(root, 'add', '-A');
+  git(root, 'commit', '-q', '-m', 'Document alpha');
+  writeFiles(root, { 'plugins/beta/README.md': '# Beta\n' });
+
+  assert.deepStrictEqual(changedFilesSince('main', root), ['plugins/alpha/README.md', 'plugins/beta/README.md']);
+});
+
+test('rejects unknown refs', (t) => {
+  const root = fixtureRepo(t);
+
+  assert.throws(() => changedFilesSince('origin/nope', root), /Unknown git ref 'origin\/nope'/);
+});
+
+function validateSince(root) {
+  const result = runScript(root, 'validate-plugins.js', ['--since', 'main', '--format', 'json']);
+  assert.strictEqual(result.status, 0, result.stderr);
+  return Object.fromEntries(JSON.parse(result.stdout).plugins.map(p => [p.name, p.triggers]));
+}
+
+test('validates changed plugins and the plugins that require them', (t) => {
+  const root = fixtureRepo(t);
+  writeFiles(root, { 'plugins/alpha/README.md': '# Alpha\n', 'scripts/lib/notes.js': '// Not loaded by the validator\n' });
+
+  assert.deepStrictEqual(validateSince(root), { alpha: ['plugins/alpha/README.md'], beta: ['requires alpha'] });
+});
+
+test('validates every plugin when a module the validator loads changes', (t) => {
+  const root = fixtureRepo(t);
+  fs.appendFileSync(path.join(root, 'scripts', 'lib', 'frontmatter.js'), '\n');
+
+  const triggers = validateSince(root);
+  assert.deepStrictEqual(Object.keys(triggers).sort(), ['alpha', 'beta', 'gamma']);
+  assert.deepStrictEqual(triggers.gamma, ['scripts/lib/frontmatter.js']);
+});
@@ -0,0 +1,75 @@
+/**
+ * Shared helpers for the script tests (not a test file itself)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+
+/**
+ * Create a temp directory that is removed when the test ends
+ *
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} Directory path
+ */
+function tempDir(t, prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Write files under a directory, creating parent directories
+ *
+ * @param {string} dir - Base directory
+ * @param {Object<string, string|Object>} files - Relative path to content; objects are written as JSON
+ */
+function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : `${JSON.stringify(content, null, 2)}\n`);
+  }
+}
+
+/**
+ * Copy the repo's scripts/ into a fixture repository. The scripts find the
+ * repository from their own location, so the copies work on the fixture.
+ *
+ * @param {string} root - Fixture repository
+ */
+function copyScripts(root) {
+  fs.cpSync(SCRIPTS_DIR, path.join(root, 'scripts'), { recursive: true });
+}
+
+/**
+ * Run a copy of one of the repo's scripts against a fixture repository,
+ * copying scripts/ first if needed
+ *
+ * @param {string} root - Fixture repository
+ * @param {string} script - Script file in scripts/
+ * @param {string[]} [args]
+ * @returns {import('child_process').SpawnSyncReturns<string>}
+ */
+function runScript(root, script, args = []) {
+  if (!fs.existsSync(path.join(root, 'scripts'))) copyScripts(root);
+  return spawnSync(process.execPath, [path.join(root, 'scripts', script), ...args], { cwd: root, encoding: 'utf-8' });
+}
+
+/**
+ * Run git in a fixture repository, committing as a fixed test identity
+ *
+ * @param {string} cwd - Repository directory
+ * @param {...string} args - git arguments
+ * @returns {string} stdout
+ */
+function git(cwd, ...args) {
+  const identity = ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false'];
+  return execFileSync('git', [...identity, ...args], { cwd, encoding: 'utf-8' });
+}
+
+module.exports = { tempDir, writeFiles, copyScripts, runScript, git };
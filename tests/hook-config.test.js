@@ -0,0 +1,37 @@
+/**
+ * Tests for the aai-hooks settings in plugins/aai-hooks/hooks/scripts/lib/hook-config.cjs
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { tempDir, writeFiles } = require('./helpers');
+const { hookTimeouts, validateConfig, loadConfig } = require('../plugins/aai-hooks/hooks/scripts/lib/hook-config.cjs');
+
+test('reads each script\'s timeout from hooks.json', () => {
+  assert.strictEqual(hookTimeouts()['validate-completion-claims'], 65);
+});
+
+test('rejects a duration at or above the hook\'s hooks.json timeout', () => {
+  assert.deepStrictEqual(validateConfig({ 'validate-completion-claims': { testTimeout: 64 } }), []);
+  assert.deepStrictEqual(validateConfig({ 'validate-completion-claims': { testTimeout: 65 } }), [
+    "validate-completion-claims.testTimeout must be below the hook's 65s timeout in hooks.json"
+  ]);
+  assert.deepStrictEqual(validateConfig({ 'validate-completion-claims': { testTimeout: -1 } }), [
+    'validate-completion-claims.testTimeout must be a positive number of seconds'
+  ]);
+});
+
+test('merges user and repo config over the defaults, ignoring an invalid file', (t) => {
+  const home = tempDir(t, 'hook-config-home-');
+  const project = tempDir(t, 'hook-config-project-');
+  writeFiles(home, { '.claude/aai-hooks.json': { 'validate-completion-claims': { testTimeout: 30 } } });
+  writeFiles(project, {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    '.claude/aai-hooks.json': { 'validate-completion-claims': { testTimeout: 120 } }
+  });
+  const result = loadConfig('validate-completion-claims', project, { env: {}, home });
+
+  assert.deepStrictEqual(result.options, { testTimeout: 30 });
+  assert.strictEqual(result.warnings.length, 1);
+  assert.match(result.warnings[0], /aai-hooks\.json ignored: validate-completion-claims\.testTimeout must be below the hook's 65s timeout/);
+});
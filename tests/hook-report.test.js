@@ -0,0 +1,101 @@
+/**
+ * Tests for the aai-hooks audit log and report (hook-report.cjs and the
+ * records and summary in lib/hook-audit.cjs), mostly run against the fixed log
+ * in fixtures/hook-audit.jsonl
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createRecord, readRecords, summarize } = require('../plugins/aai-hooks/hooks/scripts/lib/hook-audit.cjs');
+
+const REPORT = path.join(__dirname, '..', 'plugins', 'aai-hooks', 'hooks', 'scripts', 'hook-report.cjs');
+const LOG = path.join(__dirname, 'fixtures', 'hook-audit.jsonl');
+
+function report(...args) {
+  const result = spawnSync(process.execPath, [REPORT, '--log', LOG, ...args], { encoding: 'utf-8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return result;
+}
+
+function byHook(summary) {
+  return Object.fromEntries(summary.hooks.map(hook => [hook.hook, hook]));
+}
+
+test('only records the command of runs worth reviewing', () => {
+  const input = { hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command: 'deploy --token s3cret [skip-verify]' } };
+  const denied = createRecord('block-master-commits', input, 'deny');
+  const passed = createRecord('block-master-commits', input, 'pass');
+
+  assert.strictEqual(denied.command, 'deploy --token s3cret [skip-verify]');
+  assert.strictEqual(passed.command, undefined);
+  assert.strictEqual(createRecord('block-master-commits', input, 'disabled').command, undefined);
+  assert.match(passed.commandHash, /^[0-9a-f]{16}$/);
+  assert.strictEqual(passed.commandHash, denied.commandHash);
+  assert.strictEqual(passed.skipVerify, true);
+  assert.strictEqual(createRecord('block-master-commits', { tool_input: { command: 'ls' } }, 'pass').skipVerify, undefined);
+});
+
+test('counts runs, blocks and errors per hook', () => {
+  const summary = JSON.parse(report('--json').stdout);
+  const hooks = byHook(summary);
+
+  assert.strictEqual(summary.records, 12);
+  assert.strictEqual(summary.invalidLines, 1);
+  assert.deepStrictEqual(
+    Object.fromEntries(summary.hooks.map(({ hook, runs, blocks, errors }) => [hook, { runs, blocks, errors }])),
+    {
+      'block-master-commits': { runs: 4, blocks: 1, errors: 0 },
+      'inject-project-context': { runs: 2, blocks: 0, errors: 1 },
+      'require-verification': { runs: 3, blocks: 2, errors: 0 },
+      'validate-anti-patterns': { runs: 1, blocks: 1, errors: 0 },
+      'validate-completion-claims': { runs: 2, blocks: 0, errors: 0 }
+    }
+  );
+  assert.strictEqual(hooks['validate-completion-claims'].maxMs, 40000);
+  assert.strictEqual(hooks['validate-completion-claims'].timeoutSeconds, 65);
+});
+
+test('pairs a block with a later [skip-verify] commit, not with the sibling records of the blocked command', () => {
+  const { bypassed } = JSON.parse(report('--json').stdout);
+
+  assert.strictEqual(bypassed.length, 1);
+  assert.strictEqual(bypassed[0].block.session, 's1');
+  assert.strictEqual(bypassed[0].block.command, 'git commit -m "Implemented login"');
+  assert.strictEqual(bypassed[0].bypass.timestamp, '2026-10-01T10:10:00.000Z');
+  assert.strictEqual(bypassed[0].bypass.command, undefined);
+});
+
+test('ignores blocks from hooks that [skip-verify] does not bypass', () => {
+  const { bypassed } = JSON.parse(report('--json').stdout);
+  assert.ok(bypassed.every(({ block }) => block.hook === 'require-verification'));
+});
+
+test('only counts a [skip-verify] within the window', () => {
+  assert.strictEqual(JSON.parse(report('--json', '--window', '10').stdout).bypassed.length, 1);
+  assert.strictEqual(JSON.parse(report('--json', '--window', '5').stdout).bypassed.length, 0);
+});
+
+test('flags runs taking the --slow share of the hooks.json timeout', () => {
+  const atHalf = JSON.parse(report('--json').stdout);
+  assert.deepStrictEqual(atHalf.slow.map(hook => [hook.hook, hook.slowRuns]), [['validate-completion-claims', 1]]);
+
+  const atSeventyPercent = JSON.parse(report('--json', '--slow', '0.7').stdout);
+  assert.deepStrictEqual(atSeventyPercent.slow, []);
+});
+
+test('summarize works without timeouts', () => {
+  const { records } = readRecords(LOG);
+  const summary = summarize(records);
+  assert.deepStrictEqual(summary.slow, []);
+  assert.strictEqual(byHook(summary)['require-verification'].p95Ms, 40);
+});
+
+test('prints a readable report', () => {
+  const { stdout } = report();
+  assert.match(stdout, /require-verification: 3 run\(s\), 2 block\(s\)/);
+  assert.match(stdout, /Bypassed at 2026-10-01T10:10:00.000Z/);
+  assert.match(stdout, /validate-completion-claims: 1 of 2 run\(s\), max 40\.0s \(timeout 65s\)/);
+  assert.match(stdout, /Skipped 1 unreadable line/);
+});
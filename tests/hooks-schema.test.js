@@ -0,0 +1,100 @@
+/**
+ * Tests for scripts/lib/hooks-schema.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, writeFiles } = require('./helpers');
+const { validateHooksConfig } = require('../scripts/lib/hooks-schema');
+const { locateJsonPaths } = require('../scripts/lib/json');
+
+/**
+ * Plugin with an executable script, a script without a shebang and one that
+ * can't be run directly
+ */
+function fixturePlugin(t) {
+  const pluginPath = tempDir(t, 'hooks-schema-test-');
+  writeFiles(pluginPath, {
+    'hooks/scripts/check.cjs': '#!/usr/bin/env node\n',
+    'hooks/scripts/no-shebang.cjs': 'console.log("hi");\n',
+    'hooks/scripts/plain.cjs': '#!/usr/bin/env node\n'
+  });
+  fs.chmodSync(path.join(pluginPath, 'hooks', 'scripts', 'check.cjs'), 0o755);
+  fs.chmodSync(path.join(pluginPath, 'hooks', 'scripts', 'no-shebang.cjs'), 0o755);
+  return pluginPath;
+}
+
+function command(script, extra = {}) {
+  return { type: 'command', command: `\${CLAUDE_PLUGIN_ROOT}/hooks/scripts/${script}`, ...extra };
+}
+
+function validate(pluginPath, hooks) {
+  const text = JSON.stringify({ hooks }, null, 2);
+  return validateHooksConfig(JSON.parse(text), { pluginPath, lines: locateJsonPaths(text) });
+}
+
+test('accepts hooks that follow the contract', (t) => {
+  const pluginPath = fixturePlugin(t);
+  const result = validate(pluginPath, {
+    PreToolUse: [{ matcher: 'Bash|Write', hooks: [command('check.cjs', { timeout: 10 })] }],
+    Stop: [{ hooks: [{ type: 'prompt', prompt: 'Is the task done?' }] }],
+    PostToolUse: [{ matcher: 'Edit', hooks: [{ type: 'command', command: 'node "${CLAUDE_PLUGIN_ROOT}/hooks/scripts/plain.cjs"' }] }]
+  });
+
+  assert.deepStrictEqual(result, { errors: [], warnings: [] });
+});
+
+test('reports unknown events, fields from other formats and bad matchers with their line', (t) => {
+  const pluginPath = fixturePlugin(t);
+  const { errors, warnings } = validate(pluginPath, {
+    BeforeToolUse: [{ hooks: [command('check.cjs')] }],
+    PreToolUse: [{ matcher: 'Bash(', pattern: 'rm -rf', hooks: [command('check.cjs')] }],
+    Stop: [{ matcher: 'Bash', hooks: [command('check.cjs')] }]
+  });
+
+  assert.deepStrictEqual(errors.map(e => e.line), [3, 16, 15]);
+  assert.match(errors[0].message, /^Unknown hook event 'BeforeToolUse' \(expected one of: PreToolUse, /);
+  assert.match(errors[1].message, /^Unknown field 'pattern' in PreToolUse matcher group - matchers only match the tool name/);
+  assert.match(errors[2].message, /^PreToolUse matcher 'Bash\(' is not a valid regex/);
+  assert.deepStrictEqual(warnings.map(w => w.message), ["Stop doesn't use matchers; matcher 'Bash' is ignored"]);
+});
+
+test('checks hook types and timeouts in seconds', (t) => {
+  const pluginPath = fixturePlugin(t);
+  const { errors } = validate(pluginPath, {
+    PreToolUse: [{
+      hooks: [
+        { type: 'script', command: 'true' },
+        { type: 'prompt' },
+        command('check.cjs', { timeout: 30000 }),
+        command('check.cjs', { timeout: '10' })
+      ]
+    }]
+  });
+
+  assert.deepStrictEqual(errors.map(e => e.message), [
+    "PreToolUse[0].hooks[0] has unsupported type 'script' (expected: command, prompt)",
+    "PreToolUse[0].hooks[1] of type 'prompt' requires a 'prompt' string",
+    'PreToolUse[0].hooks[2] timeout 30000s is outside 1-600 seconds - timeout is in seconds, did you mean 30?',
+    'PreToolUse[0].hooks[3] timeout must be a number of seconds'
+  ]);
+});
+
+test('checks that referenced scripts exist, are executable and have a shebang', (t) => {
+  const pluginPath = fixturePlugin(t);
+  const { errors, warnings } = validate(pluginPath, {
+    PreToolUse: [{
+      hooks: [command('missing.cjs'), command('plain.cjs'), command('no-shebang.cjs')]
+    }]
+  });
+
+  assert.deepStrictEqual(errors.map(e => e.message), [
+    'PreToolUse[0].hooks[0] references missing file hooks/scripts/missing.cjs',
+    'PreToolUse[0].hooks[1] script hooks/scripts/plain.cjs is not executable (chmod +x)'
+  ]);
+  assert.deepStrictEqual(warnings.map(w => w.message), [
+    'PreToolUse[0].hooks[2] script hooks/scripts/no-shebang.cjs has no shebang line'
+  ]);
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for the project installer: reconcile() in scripts/lib/installer.js
+ * against a fixture marketplace, and scripts/install.js against this one
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { tempDir, writeFiles } = require('./helpers');
+const { hashTree } = require('../scripts/lib/hash');
+const { projectPaths, readLockfile, directPlugins, reconcile } = require('../scripts/lib/installer');
+
+const INSTALL = path.join(__dirname, '..', 'scripts', 'install.js');
+
+/**
+ * Marketplace with app → ui → base, and tools on its own
+ */
+function marketplace(t) {
+  const marketplaceDir = tempDir(t, 'installer-market-');
+  const plugins = [
+    { name: 'base', requires: [] },
+    { name: 'ui', requires: ['base'] },
+    { name: 'app', requires: ['ui'] },
+    { name: 'tools', requires: [] }
+  ].map(({ name, requires }) => {
+    const dir = path.join(marketplaceDir, 'plugins', name);
+    writeFiles(dir, { '.claude-plugin/plugin.json': { name, version: '1.0.0' }, 'README.md': `# ${name}\n` });
+    return {
+      name,
+      version: '1.0.0',
+      source: `./plugins/${name}`,
+      description: `The ${name} plugin`,
+      requires: { plugins: requires },
+      contentHash: hashTree(dir)
+    };
+  });
+
+  const manifest = { name: 'fixture', version: '1.0.0', plugins };
+  return { marketplaceDir, manifest, byName: new Map(plugins.map(p => [p.name, p])) };
+}
+
+function context(t, market) {
+  const paths = projectPaths(tempDir(t, 'installer-project-'));
+  return { ...market, paths, lock: readLockfile(paths.lockPath) };
+}
+
+test('installs the requirements of a plugin before it', (t) => {
+  const ctx = context(t, marketplace(t));
+  const changes = [];
+  reconcile(ctx, new Set(['app']), new Set(), change => changes.push(change));
+
+  assert.deepStrictEqual(changes.map(({ action, name }) => `${action} ${name}`), ['installed base', 'installed ui', 'installed app']);
+  assert.deepStrictEqual(changes[0].requiredBy, ['ui']);
+
+  const lock = readLockfile(ctx.paths.lockPath);
+  assert.deepStrictEqual(Object.keys(lock.plugins), ['app', 'base', 'ui']);
+  assert.deepStrictEqual([...directPlugins(lock)], ['app']);
+  assert.ok(fs.existsSync(path.join(ctx.paths.pluginsDir, 'base', 'README.md')));
+});
+
+test('removes requirements nothing needs any more', (t) => {
+  const ctx = context(t, marketplace(t));
+  reconcile(ctx, new Set(['app', 'tools']));
+
+  const removed = [];
+  reconcile(ctx, new Set(['tools']), new Set(), change => removed.push(change.name));
+
+  assert.deepStrictEqual(removed.sort(), ['app', 'base', 'ui']);
+  assert.deepStrictEqual(Object.keys(readLockfile(ctx.paths.lockPath).plugins), ['tools']);
+  assert.ok(!fs.existsSync(path.join(ctx.paths.pluginsDir, 'base')));
+});
+
+test('checks every marketplace copy before copying any', (t) => {
+  const market = marketplace(t);
+  const ctx = context(t, market);
+  fs.appendFileSync(path.join(market.marketplaceDir, 'plugins', 'app', 'README.md'), 'Edited\n');
+
+  assert.throws(() => reconcile(ctx, new Set(['app'])), /app differs from plugin-manifest\.json/);
+  assert.ok(!fs.existsSync(ctx.paths.pluginsDir));
+  assert.ok(!fs.existsSync(ctx.paths.lockPath));
+});
+
+test('records the plugins copied before a copy fails', (t) => {
+  const ctx = context(t, marketplace(t));
+  const cpSync = fs.cpSync;
+  t.mock.method(fs, 'cpSync', (source, target, options) => {
+    if (path.basename(target) === 'ui') throw new Error('ENOSPC: no space left on device');
+    return cpSync(source, target, options);
+  });
+
+  assert.throws(() => reconcile(ctx, new Set(['app'])), /ENOSPC/);
+
+  const lock = readLockfile(ctx.paths.lockPath);
+  assert.deepStrictEqual(Object.keys(lock.plugins), ['base']);
+  const local = JSON.parse(fs.readFileSync(ctx.paths.marketplacePath, 'utf-8'));
+  assert.deepStrictEqual(local.plugins.map(p => p.name), ['base']);
+});
+
+test('rejects lockfile plugin names that point outside .claude/plugins/', (t) => {
+  const project = tempDir(t, 'installer-project-');
+  const victim = tempDir(t, 'installer-victim-');
+  const paths = projectPaths(project);
+  const name = path.relative(paths.pluginsDir, victim);
+  writeFiles(project, {
+    '.claude/plugins.lock.json': { lockfileVersion: 1, marketplace: null, plugins: { [name]: { version: '1.0.0', direct: false, requires: [] } } }
+  });
+
+  assert.throws(() => readLockfile(paths.lockPath), /plugins\.lock\.json lists an invalid plugin name '\.\.\//);
+
+  const lock = { lockfileVersion: 1, marketplace: null, plugins: { [name]: { version: '1.0.0', direct: false, requires: [] } } };
+  assert.throws(() => reconcile({ ...marketplace(t), paths, lock }, new Set()), /Refusing to touch '\.\.\//);
+  assert.ok(fs.existsSync(victim));
+});
+
+test('refuses to uninstall a plugin another one requires, then removes the closure', (t) => {
+  const project = tempDir(t, 'installer-cli-');
+  const run = (...args) => spawnSync(process.execPath, [INSTALL, ...args, '--project', project], { encoding: 'utf-8' });
+
+  assert.strictEqual(run('install', 'aai-dev-fullstack').status, 0);
+  const installed = Object.keys(readLockfile(projectPaths(project).lockPath).plugins);
+  assert.deepStrictEqual(installed, ['aai-dev-backend', 'aai-dev-database', 'aai-dev-frontend', 'aai-dev-fullstack']);
+
+  const refused = run('uninstall', 'aai-dev-backend');
+  assert.strictEqual(refused.status, 1);
+  assert.match(refused.stderr, /aai-dev-backend is required by aai-dev-fullstack; uninstall it first/);
+
+  const removed = run('uninstall', 'aai-dev-fullstack');
+  assert.strictEqual(removed.status, 0, removed.stderr);
+  assert.strictEqual((removed.stdout.match(/🗑️ {2}Removed/g) || []).length, 4);
+  assert.deepStrictEqual(readLockfile(projectPaths(project).lockPath).plugins, {});
+  assert.strictEqual(run('list').status, 0);
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for scripts/lib/lint: the rule registry, .plugin-lint.json loading and
+ * <!-- plugin-lint-disable --> suppressions
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { tempDir, writeFiles } = require('./helpers');
+const { RuleRegistry, builtinRules, createRegistry, loadConfig, normalizeConfig, lintPlugins, parseSuppressions } = require('../scripts/lib/lint');
+const { ruleSettings } = require('../scripts/lib/lint/config');
+
+const check = () => {};
+
+/**
+ * Plugin with a skill whose frontmatter has a misspelled field, and
+ * plugin.json without a version
+ */
+function fixturePlugin(t, skillBody = '') {
+  const root = tempDir(t, 'lint-test-');
+  writeFiles(root, {
+    'plugins/demo/.claude-plugin/plugin.json': { name: 'demo', description: 'Demo plugin' },
+    'plugins/demo/skills/testing/SKILL.md': `---\nname: testing\ndescription: Tests\nmodle: opus\n---\n${skillBody}`
+  });
+  return { root, pluginPath: path.join(root, 'plugins', 'demo') };
+}
+
+function lint({ root, pluginPath }, config = normalizeConfig({}, null)) {
+  const [result] = lintPlugins([pluginPath], { config, rootDir: root });
+  return result.findings.map(f => `${f.severity} ${f.ruleId} ${f.file}:${f.line}`);
+}
+
+test('registers the built-in rules with their defaults', () => {
+  const registry = new RuleRegistry([{ id: 'acme/license', check }]);
+
+  assert.deepStrictEqual(registry.get('acme/license'), { id: 'acme/license', severity: 'error', description: 'acme/license', options: {}, check });
+  assert.strictEqual(createRegistry().list().length, builtinRules.length);
+});
+
+test('refuses malformed and duplicate rules', () => {
+  const registry = new RuleRegistry([{ id: 'acme/license', check }]);
+
+  assert.throws(() => registry.register({ id: 'License', check }), /Invalid rule id 'License'/);
+  assert.throws(() => registry.register({ id: 'acme/owner' }), /must have a check\(context, report, options\) function/);
+  assert.throws(() => registry.register({ id: 'acme/owner', severity: 'fatal', check }), /invalid severity 'fatal'/);
+  assert.throws(() => registry.register({ id: 'acme/license', check }), /'acme\/license' is already registered/);
+});
+
+test('reports findings with the rule, file and line', (t) => {
+  const plugin = fixturePlugin(t);
+
+  assert.deepStrictEqual(lint(plugin), ['error frontmatter/unknown-field plugins/demo/skills/testing/SKILL.md:4']);
+});
+
+test('applies severities, options and per-plugin overrides from .plugin-lint.json', (t) => {
+  const plugin = fixturePlugin(t);
+  writeFiles(plugin.root, {
+    '.plugin-lint.json': {
+      rules: {
+        'frontmatter/unknown-field': 'warning',
+        'plugin/required-field': ['error', { fields: ['name', 'version'] }]
+      },
+      plugins: { demo: { rules: { 'frontmatter/unknown-field': 'off' } } }
+    }
+  });
+  const config = loadConfig(path.join(plugin.root, '.plugin-lint.json'));
+
+  assert.deepStrictEqual(lint(plugin, config), ['error plugin/required-field plugins/demo/.claude-plugin/plugin.json:1']);
+
+  const rule = createRegistry(config).get('frontmatter/unknown-field');
+  assert.strictEqual(ruleSettings(config, rule, 'other').severity, 'warning');
+});
+
+test('treats a missing optional config as empty and rejects invalid ones', (t) => {
+  const dir = tempDir(t, 'lint-config-test-');
+  const file = path.join(dir, '.plugin-lint.json');
+
+  assert.deepStrictEqual(loadConfig(file, { optional: true }), { file: null, rules: {}, plugins: {}, customRules: [] });
+  assert.throws(() => loadConfig(file), /Config file not found/);
+
+  writeFiles(dir, { '.plugin-lint.json': '{ "rules": ' });
+  assert.throws(() => loadConfig(file), /Invalid JSON in/);
+
+  assert.throws(() => normalizeConfig({ severity: {} }, file), /unknown field 'severity'/);
+  assert.throws(() => normalizeConfig({ rules: { 'plugin/description': 'fatal' } }, file), /invalid severity 'fatal'/);
+  assert.throws(() => createRegistry(normalizeConfig({ rules: { 'plugin/descripton': 'off' } }, file)), /unknown rule 'plugin\/descripton'/);
+});
+
+test('loads custom rules relative to the config file', (t) => {
+  const plugin = fixturePlugin(t);
+  writeFiles(plugin.root, {
+    'lint-rules/license.js': `module.exports = {
+  id: 'acme/license',
+  check(context, report) {
+    if (!context.manifest.license) report('Missing license', { file: context.manifestPath });
+  }
+};
+`,
+    '.plugin-lint.json': { customRules: ['./lint-rules/license.js'] }
+  });
+  const config = loadConfig(path.join(plugin.root, '.plugin-lint.json'));
+
+  assert.ok(lint(plugin, config).includes('error acme/license plugins/demo/.claude-plugin/plugin.json:1'));
+});
+
+test('parses disable comments for some or all rules', () => {
+  const some = parseSuppressions('# Skill\n<!-- plugin-lint-disable frontmatter/unknown-field, references/unknown-skill -->\n');
+  assert.deepStrictEqual(some, { all: false, rules: new Set(['frontmatter/unknown-field', 'references/unknown-skill']) });
+  assert.deepStrictEqual(parseSuppressions('<!--plugin-lint-disable-->'), { all: true, rules: new Set() });
+});
+
+test('drops findings a disable comment in the file turns off', (t) => {
+  assert.deepStrictEqual(lint(fixturePlugin(t, '<!-- plugin-lint-disable frontmatter/unknown-field -->\n')), []);
+  assert.deepStrictEqual(lint(fixturePlugin(t, '<!-- plugin-lint-disable -->\n')), []);
+  assert.strictEqual(lint(fixturePlugin(t, '<!-- plugin-lint-disable plugin/description -->\n')).length, 1);
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for scripts/recommend.js, against the marketplace's own autoLoad
+ * conditions and a project written to a temp directory
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { tempDir, writeFiles } = require('./helpers');
+
+const RECOMMEND = path.join(__dirname, '..', 'scripts', 'recommend.js');
+
+function project(t, files) {
+  const dir = tempDir(t, 'recommend-test-');
+  writeFiles(dir, files);
+  return dir;
+}
+
+function recommend(dir) {
+  const result = spawnSync(process.execPath, [RECOMMEND, dir, '--json'], { encoding: 'utf-8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout);
+}
+
+test('recommends the stack plugins a project\'s dependencies and files call for', (t) => {
+  const dir = project(t, {
+    'package.json': {
+      dependencies: { next: '^14.1.0', react: '^18.2.0', '@prisma/client': '^5.0.0' },
+      devDependencies: { typescript: '^5.3.0' }
+    },
+    'tailwind.config.ts': 'export default {};\n'
+  });
+  const { recommended, notApplicable } = recommend(dir);
+  const byName = Object.fromEntries(recommended.map(r => [r.name, r]));
+
+  assert.deepStrictEqual(Object.keys(byName).sort(), [
+    'aai-core',
+    'aai-stack-nextjs',
+    'aai-stack-node',
+    'aai-stack-prisma',
+    'aai-stack-react',
+    'aai-stack-tailwind',
+    'aai-stack-typescript'
+  ]);
+  assert.ok(notApplicable.includes('aai-stack-vite'));
+  assert.ok(byName['aai-stack-tailwind'].reasons.some(reason => reason.includes('tailwind.config.ts')));
+});
+
+test('checks dependency versions against the declared range', (t) => {
+  const dir = project(t, { 'package.json': { dependencies: { next: '^12.3.0', react: '^16.4.0' } } });
+  const { notApplicable } = recommend(dir);
+
+  assert.ok(notApplicable.includes('aai-stack-nextjs'));
+  assert.ok(notApplicable.includes('aai-stack-react'));
+});
+
+test('marks plugins the project already installed', (t) => {
+  const dir = project(t, {
+    'package.json': { dependencies: { express: '^4.18.0' } },
+    '.claude/plugins.lock.json': { lockfileVersion: 1, marketplace: null, plugins: { 'aai-stack-express': {} } }
+  });
+  const express = recommend(dir).recommended.find(r => r.name === 'aai-stack-express');
+
+  assert.strictEqual(express.installed, true);
+});
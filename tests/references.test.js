@@ -0,0 +1,90 @@
+/**
+ * Tests for scripts/lib/references.js, against a fixture marketplace
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { tempDir, writeFiles } = require('./helpers');
+const {
+  buildMarketplaceIndex,
+  parseSkillRef,
+  resolveAgentSkills,
+  findMissingPluginDependencies,
+  findDependencyCycles
+} = require('../scripts/lib/references');
+
+function agent(skills) {
+  return `---\nname: dev\ndescription: Developer\nskills:\n${skills.map(s => `  - ${s}`).join('\n')}\n---\n`;
+}
+
+/**
+ * core provides testing (skill) and deploy (command); web requires core and
+ * recommends docs, which provides writing; cycle-a and cycle-b require each other
+ */
+function fixtureIndex(t) {
+  const dir = tempDir(t, 'references-test-');
+  writeFiles(dir, {
+    'core/.claude-plugin/plugin.json': { name: 'core', version: '1.0.0' },
+    'core/skills/testing/SKILL.md': '---\nname: testing\ndescription: Tests\n---\n',
+    'core/commands/deploy.md': '---\ndescription: Deploy\n---\n',
+    'docs/.claude-plugin/plugin.json': { name: 'docs', version: '1.0.0' },
+    'docs/skills/writing/SKILL.md': '---\nname: writing\ndescription: Writing\n---\n',
+    'web/.claude-plugin/plugin.json': {
+      name: 'web',
+      version: '1.0.0',
+      requires: { plugins: ['core'] },
+      recommends: { plugins: ['docs', 'ghost'] }
+    },
+    'web/agents/dev.md': agent(['testing', 'core:deploy', 'writing', 'styling', 'linting?']),
+    'solo/.claude-plugin/plugin.json': { name: 'solo', version: '1.0.0' },
+    'solo/agents/dev.md': agent(['writing']),
+    'cycle-a/.claude-plugin/plugin.json': { name: 'cycle-a', version: '1.0.0', requires: { plugins: ['cycle-b'] } },
+    'cycle-b/.claude-plugin/plugin.json': { name: 'cycle-b', version: '1.0.0', requires: { plugins: ['cycle-a'] } }
+  });
+  const plugins = ['core', 'docs', 'web', 'solo', 'cycle-a', 'cycle-b'];
+  return { dir, index: buildMarketplaceIndex(plugins.map(name => path.join(dir, name))) };
+}
+
+test('indexes skill folders and commands as skill providers', (t) => {
+  const { index } = fixtureIndex(t);
+
+  assert.deepStrictEqual(index.skills.get('testing').map(p => `${p.plugin} ${p.kind}`), ['core skill']);
+  assert.deepStrictEqual(index.skills.get('deploy').map(p => `${p.plugin} ${p.kind}`), ['core command']);
+});
+
+test('parses plugin-qualified and optional skill references', () => {
+  assert.deepStrictEqual(parseSkillRef('core:deploy'), { ref: 'core:deploy', name: 'deploy', plugin: 'core', optional: false });
+  assert.deepStrictEqual(parseSkillRef('linting?'), { ref: 'linting?', name: 'linting', plugin: null, optional: true });
+});
+
+test('resolves agent skills and whether their plugin is declared', (t) => {
+  const { dir, index } = fixtureIndex(t);
+  const resolved = resolveAgentSkills('web', path.join(dir, 'web'), index);
+  const summary = resolved.map(r => [r.ref, r.provider && r.provider.plugin, r.declared, r.optional]);
+
+  assert.deepStrictEqual(summary, [
+    ['testing', 'core', true, false],
+    ['core:deploy', 'core', true, false],
+    ['writing', 'docs', true, false],
+    ['styling', null, false, false],
+    ['linting?', null, false, true]
+  ]);
+
+  const solo = resolveAgentSkills('solo', path.join(dir, 'solo'), index);
+  assert.strictEqual(solo[0].provider.plugin, 'docs');
+  assert.strictEqual(solo[0].declared, false);
+});
+
+test('reports requires and recommends naming unknown plugins', (t) => {
+  const { index } = fixtureIndex(t);
+
+  assert.deepStrictEqual(findMissingPluginDependencies('web', index), [{ key: 'recommends', plugin: 'ghost' }]);
+  assert.deepStrictEqual(findMissingPluginDependencies('core', index), []);
+});
+
+test('reports each requires cycle once', (t) => {
+  const { index } = fixtureIndex(t);
+
+  assert.deepStrictEqual(findDependencyCycles(index), [['cycle-a', 'cycle-b', 'cycle-a']]);
+});
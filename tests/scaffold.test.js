@@ -0,0 +1,70 @@
+/**
+ * Tests for add-hook in scripts/lib/scaffold.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { addHook } = require('../scripts/lib/scaffold');
+const { validateFixture } = require('../scripts/lib/hook-harness');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Copy of plugins/aai-hooks and the recorded events in a temp directory
+ */
+function workspace(t) {
+  const root = tempDir(t, 'scaffold-test-');
+  fs.cpSync(path.join(ROOT_DIR, 'plugins', 'aai-hooks'), path.join(root, 'plugins', 'aai-hooks'), { recursive: true });
+  fs.cpSync(path.join(ROOT_DIR, 'tests', 'hooks', 'events'), path.join(root, 'tests', 'hooks', 'events'), { recursive: true });
+  return { root, pluginsDir: path.join(root, 'plugins') };
+}
+
+test('builds aai-hooks scripts on the hook runtime with a config entry and a fixture', (t) => {
+  const { root, pluginsDir } = workspace(t);
+  const changed = addHook(pluginsDir, 'aai-hooks', 'block-secrets', { event: 'PreToolUse', matcher: 'Bash' });
+  const relative = changed.map(file => path.relative(root, file));
+
+  assert.deepStrictEqual(relative, [
+    'plugins/aai-hooks/hooks/scripts/block-secrets.cjs',
+    'plugins/aai-hooks/hooks/scripts/lib/hook-config.cjs',
+    'tests/hooks/block-secrets.json',
+    'plugins/aai-hooks/hooks/hooks.json'
+  ]);
+
+  const script = fs.readFileSync(changed[0], 'utf-8');
+  assert.match(script, /const \{ runHook, pass, deny \} = require\('\.\/lib\/hook-runtime\.cjs'\)/);
+  assert.match(script, /runHook\('block-secrets', \{ events: \['PreToolUse'\] \}, main\)/);
+  assert.doesNotMatch(script, /process\.exit\(2\)/);
+
+  // Loaded (through the runtime) before add-hook changed it
+  delete require.cache[changed[1]];
+  const { DEFAULTS, SCHEMA } = require(changed[1]);
+  assert.deepStrictEqual(DEFAULTS['block-secrets'], {});
+  assert.deepStrictEqual(SCHEMA['block-secrets'], {});
+
+  const fixture = JSON.parse(fs.readFileSync(changed[2], 'utf-8'));
+  assert.strictEqual(fixture.script, 'plugins/aai-hooks/hooks/scripts/block-secrets.cjs');
+  assert.strictEqual(fixture.cases[0].event, 'pre-tool-use-bash');
+  assert.deepStrictEqual(validateFixture(fixture, path.join(root, 'tests', 'hooks', 'events')), []);
+});
+
+test('records an event for the fixture when none fits', (t) => {
+  const { root, pluginsDir } = workspace(t);
+  const changed = addHook(pluginsDir, 'aai-hooks', 'remind-tests', { event: 'UserPromptSubmit' });
+  const eventFile = path.join(root, 'tests', 'hooks', 'events', 'user-prompt-submit.json');
+
+  assert.ok(changed.includes(eventFile));
+  assert.strictEqual(JSON.parse(fs.readFileSync(eventFile, 'utf-8')).hook_event_name, 'UserPromptSubmit');
+  assert.match(fs.readFileSync(changed[0], 'utf-8'), /const \{ runHook, pass, block \}/);
+});
+
+test('refuses events the runtime does not handle', (t) => {
+  const { pluginsDir } = workspace(t);
+  assert.throws(
+    () => addHook(pluginsDir, 'aai-hooks', 'watch-agents', { event: 'SubagentStart' }),
+    /hook runtime doesn't handle SubagentStart events/
+  );
+});
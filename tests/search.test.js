@@ -0,0 +1,33 @@
+/**
+ * Ranking tests for scripts/lib/search.js, against the marketplace's own
+ * plugin-manifest.json
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { buildDocuments, search } = require('../scripts/lib/search');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const documents = buildDocuments(require('../plugin-manifest.json'), ROOT_DIR);
+
+function ranking(query, limit = 3) {
+  return search(documents, query, { limit }).map(({ document }) => `${document.type} ${document.name}`);
+}
+
+test('a name equal to the query ranks above names that contain it', () => {
+  const results = search(documents, 'jira-retro');
+  const exact = results.filter(({ document }) => document.name === 'jira-retro');
+  const containing = results.find(({ document }) => document.name === 'jira-retro-agent');
+
+  assert.deepStrictEqual(ranking('jira-retro', 2).sort(), ['command jira-retro', 'skill jira-retro']);
+  assert.ok(exact.every(result => result.score > containing.score));
+});
+
+test('a leading slash ranks the command first', () => {
+  assert.deepStrictEqual(ranking('/jira-retro'), ['command jira-retro', 'skill jira-retro', 'agent jira-retro-agent']);
+});
+
+test('a plugin name query ranks the plugin first', () => {
+  assert.strictEqual(ranking('aai-stack-prisma', 1)[0], 'plugin aai-stack-prisma');
+});
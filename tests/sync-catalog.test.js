@@ -0,0 +1,62 @@
+/**
+ * Tests for scripts/sync-catalog.js, run against a fixture repository
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, writeFiles, runScript } = require('./helpers');
+
+/**
+ * alpha is out of date in marketplace.json, beta is missing from it and gone
+ * has no plugin directory; plugin-manifest.json matches plugins/
+ */
+function fixtureRepo(t) {
+  const root = tempDir(t, 'sync-catalog-test-');
+  const alpha = { name: 'alpha', version: '1.1.0', description: 'Alpha plugin', category: 'workflow', keywords: ['a'] };
+  const beta = { name: 'beta', version: '1.0.0', description: 'Beta plugin', category: 'stack', keywords: ['b', 'beta'] };
+
+  writeFiles(root, {
+    'plugins/alpha/.claude-plugin/plugin.json': alpha,
+    'plugins/beta/.claude-plugin/plugin.json': beta,
+    '.claude-plugin/marketplace.json': {
+      name: 'fixture',
+      plugins: [
+        { name: 'gone', source: './plugins/gone', description: 'Removed', version: '1.0.0', category: 'other', tags: [] },
+        { name: 'alpha', source: './plugins/alpha', description: 'Alpha plugin', version: '1.0.0', category: 'workflow', tags: ['curated'] }
+      ]
+    },
+    'plugin-manifest.json': {
+      plugins: [
+        { name: 'alpha', source: './plugins/alpha', description: 'Alpha plugin', version: '1.1.0', category: 'workflow' },
+        { name: 'beta', source: './plugins/beta', description: 'Beta plugin', version: '1.0.0', category: 'stack' }
+      ]
+    }
+  });
+  return root;
+}
+
+test('reports every mismatch between plugins/ and the catalogs', (t) => {
+  const root = fixtureRepo(t);
+  const result = runScript(root, 'sync-catalog.js');
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stdout, /alpha: version differs: plugin\.json has "1\.1\.0", marketplace\.json has "1\.0\.0"/);
+  assert.match(result.stdout, /beta: Missing entry for plugin directory/);
+  assert.match(result.stdout, /gone: Entry has no plugin directory/);
+  assert.match(result.stdout, /❌ 3 mismatch\(es\) found/);
+});
+
+test('regenerates marketplace.json entries, keeping order and curated tags', (t) => {
+  const root = fixtureRepo(t);
+  const result = runScript(root, 'sync-catalog.js', ['--write']);
+
+  assert.strictEqual(result.status, 0, result.stdout);
+  const { plugins } = JSON.parse(fs.readFileSync(path.join(root, '.claude-plugin', 'marketplace.json'), 'utf-8'));
+  assert.deepStrictEqual(plugins, [
+    { name: 'alpha', source: './plugins/alpha', description: 'Alpha plugin', version: '1.1.0', category: 'workflow', tags: ['curated'] },
+    { name: 'beta', source: './plugins/beta', description: 'Beta plugin', version: '1.0.0', category: 'stack', tags: ['b', 'beta'] }
+  ]);
+  assert.strictEqual(runScript(root, 'sync-catalog.js').status, 0);
+});